@@ -0,0 +1,47 @@
+// config/authConfig.js - Authentication and API key configuration
+
+const authConfig = {
+    // Permissions granted to each role
+    roles: {
+        admin: ['read', 'write', 'delete', 'manage_keys'],
+        user: ['read', 'write'],
+        readonly: ['read']
+    },
+
+    apiKeys: {
+        // Prefix for newly issued keys (makes them easy to spot in logs and secret scanners)
+        prefix: 'pk',
+        // Random bytes per generated key
+        keyBytes: 24,
+        // Default lifetime of issued keys in days (0 = never expires)
+        defaultTtlDays: process.env.API_KEY_TTL_DAYS !== undefined
+            ? parseInt(process.env.API_KEY_TTL_DAYS, 10)
+            : 365,
+        // Maximum lifetime an admin can request in days
+        maxTtlDays: 730,
+        // Seed the published development keys (data/seedApiKeys.js) into an empty key store; development only
+        seedDevelopmentKeys: (process.env.NODE_ENV || 'development') === 'development',
+        // Admin key seeded into an empty key store outside development, to bootstrap key management
+        bootstrapAdminKey: process.env.ADMIN_API_KEY || null
+    },
+
+    jwt: {
+        // HS256 signing secret; a random per-process secret is used if none is configured
+        secret: process.env.JWT_SECRET || null,
+        issuer: 'products-api',
+        // Lifetime of access tokens in seconds
+        accessTokenTtl: parseInt(process.env.JWT_ACCESS_TTL, 10) || 15 * 60,
+        // Lifetime of refresh tokens in seconds
+        refreshTokenTtl: parseInt(process.env.JWT_REFRESH_TTL, 10) || 7 * 24 * 60 * 60
+    }
+};
+
+// Get the default permission set for a role
+const getRolePermissions = (role) => {
+    return [...(authConfig.roles[role] || [])];
+};
+
+module.exports = {
+    authConfig,
+    getRolePermissions
+};
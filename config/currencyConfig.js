@@ -0,0 +1,16 @@
+// config/currencyConfig.js - Base currency, price limits and number formatting configuration
+
+const currencyConfig = {
+    // Currency that exchange rates are quoted against, and that new products are priced in by default
+    baseCurrency: (process.env.BASE_CURRENCY || 'USD').trim().toUpperCase(),
+
+    // Locale used to format prices when a request doesn't ask for one
+    defaultLocale: process.env.DEFAULT_LOCALE || 'en-US',
+
+    // Largest price allowed, in minor units of the product's currency (cents for USD, yen for JPY)
+    maxPriceMinorUnits: parseInt(process.env.PRICE_MAX_MINOR_UNITS, 10) || 99999999999
+};
+
+module.exports = {
+    currencyConfig
+};
@@ -0,0 +1,25 @@
+// config/inventoryConfig.js - Warehouses, stock level and reservation configuration
+
+const SECOND = 1000;
+
+const inventoryConfig = {
+    // Warehouses stock can be held in (comma-separated codes)
+    warehouses: (process.env.INVENTORY_WAREHOUSES || 'main,east')
+        .split(',')
+        .map(warehouse => warehouse.trim())
+        .filter(Boolean),
+
+    // Units at or below which a product counts as low on stock, unless it sets its own lowStockThreshold
+    defaultLowStockThreshold: parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5,
+
+    // How long reserved units are held when a reservation doesn't ask for a TTL, and the longest hold allowed
+    reservationTtlSeconds: parseInt(process.env.RESERVATION_TTL_SECONDS, 10) || 900,
+    maxReservationTtlSeconds: parseInt(process.env.RESERVATION_MAX_TTL_SECONDS, 10) || 86400,
+
+    // How often stale reservations are marked expired
+    reservationSweepIntervalMs: (parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS, 10) || 60) * SECOND
+};
+
+module.exports = {
+    inventoryConfig
+};
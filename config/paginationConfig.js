@@ -0,0 +1,15 @@
+// config/paginationConfig.js - List pagination configuration
+
+const paginationConfig = {
+    defaultLimit: 10,
+    maxLimit: 100,
+
+    cursor: {
+        // HMAC secret used to sign cursors; a random per-process secret is used if none is configured
+        secret: process.env.CURSOR_SECRET || null
+    }
+};
+
+module.exports = {
+    paginationConfig
+};
@@ -0,0 +1,52 @@
+// config/rateLimitConfig.js - Request throttling quotas
+
+const MINUTE = 60 * 1000;
+
+const rateLimitConfig = {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+
+    // Default per-role quotas applied to every request
+    default: {
+        admin: { limit: 1000, windowMs: MINUTE },
+        user: { limit: parseInt(process.env.API_RATE_LIMIT, 10) || 100, windowMs: MINUTE },
+        readonly: { limit: 60, windowMs: MINUTE },
+        // Requests without an authenticated user (public routes), keyed by IP
+        anonymous: { limit: 30, windowMs: MINUTE }
+    },
+
+    // Stricter per-route quotas, counted separately from the default quota
+    routes: {
+        search: {
+            admin: { limit: 300, windowMs: MINUTE },
+            user: { limit: 30, windowMs: MINUTE },
+            readonly: { limit: 20, windowMs: MINUTE },
+            anonymous: { limit: 10, windowMs: MINUTE }
+        },
+        auth: {
+            admin: { limit: 60, windowMs: MINUTE },
+            user: { limit: 10, windowMs: MINUTE },
+            readonly: { limit: 10, windowMs: MINUTE },
+            anonymous: { limit: 10, windowMs: MINUTE }
+        },
+        // Failed authentication attempts per IP; once used up the IP is refused before its credentials are checked
+        authFailures: {
+            anonymous: { limit: parseInt(process.env.AUTH_FAILURE_LIMIT, 10) || 20, windowMs: 15 * MINUTE }
+        }
+    }
+};
+
+// Get the quota table for a named route (or the default quotas)
+const getRateLimits = (route = 'default') => {
+    const limits = rateLimitConfig.routes[route] || rateLimitConfig[route];
+
+    if (!limits) {
+        throw new Error(`No rate limits configured for route "${route}"`);
+    }
+
+    return limits;
+};
+
+module.exports = {
+    rateLimitConfig,
+    getRateLimits
+};
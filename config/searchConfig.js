@@ -0,0 +1,61 @@
+// config/searchConfig.js - Full-text search configuration
+
+const searchConfig = {
+    // Indexed product fields and their relevance boosts
+    fields: {
+        name: { boost: 3 },
+        description: { boost: 1 },
+        // Variant SKUs and option values (e.g. "TSHIRT-BLK-M black M")
+        variants: { boost: 2 }
+    },
+
+    // BM25 ranking parameters
+    bm25: {
+        k1: 1.2,
+        b: 0.75
+    },
+
+    // Query terms this long (or longer) also match indexed terms they prefix, at a reduced weight
+    prefixMinLength: 3,
+    prefixWeight: 0.5,
+
+    // Typo tolerance for query terms that match nothing exactly or by prefix
+    fuzzy: {
+        enabled: true,
+        // Maximum edit distance allowed by query term length
+        maxDistance: [
+            { minLength: 7, distance: 2 },
+            { minLength: 4, distance: 1 }
+        ],
+        weight: 0.4,
+        // Minimum name similarity (0-1) for "closest products" suggestions
+        minSimilarity: 0.5,
+        maxSuggestions: 3
+    },
+
+    autocomplete: {
+        defaultLimit: 5,
+        maxLimit: 10,
+        maxPrefixLength: 50,
+        // Shortest description/name word offered as a keyword completion
+        minKeywordLength: 3,
+        // Ranking weights per completion source
+        weights: {
+            nameStart: 3,
+            nameWord: 2,
+            category: 2.5,
+            keyword: 1
+        }
+    },
+
+    highlight: {
+        preTag: '<mark>',
+        postTag: '</mark>',
+        // Maximum characters of context in a snippet
+        snippetLength: 120
+    }
+};
+
+module.exports = {
+    searchConfig
+};
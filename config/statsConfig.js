@@ -0,0 +1,29 @@
+// config/statsConfig.js - Statistics and trend configuration
+
+const configuredWindows = (process.env.TREND_WINDOWS_DAYS || '')
+    .split(',')
+    .map(days => parseInt(days.trim(), 10))
+    .filter(days => Number.isInteger(days) && days > 0);
+
+const statsConfig = {
+    // Windows (in days) trends are reported over, unless a request picks its own (comma-separated)
+    trendWindowsDays: configuredWindows.length > 0 ? [...new Set(configuredWindows)].sort((a, b) => a - b) : [7, 30, 90],
+
+    // Longest trend window a request can ask for, and how many windows it can ask for at once
+    maxTrendWindowDays: 365,
+    maxTrendWindows: 5,
+
+    // Summary trend fields (recentlyAdded, priceGrowth, stockOuts) use the window closest to this many days
+    summaryTrendWindowDays: 30,
+
+    // Time series (/api/products/stats/timeseries): buckets shown when no from date is given, per interval,
+    // and the most buckets one request can span
+    timeseries: {
+        defaultBuckets: { day: 30, week: 12, month: 12 },
+        maxBuckets: 366
+    }
+};
+
+module.exports = {
+    statsConfig
+};
@@ -0,0 +1,45 @@
+// config/storageConfig.js - Persistence layer configuration
+
+const path = require('path');
+
+const storageConfig = {
+    // Available storage drivers
+    drivers: ['memory', 'json'],
+
+    memory: {
+        seed: true
+    },
+
+    json: {
+        filePath: process.env.STORAGE_FILE || path.join(__dirname, '..', 'data', 'products.json'),
+        apiKeysFilePath: process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json'),
+        categoriesFilePath: process.env.CATEGORIES_FILE || path.join(__dirname, '..', 'data', 'categories.json'),
+        exchangeRatesFilePath: process.env.EXCHANGE_RATES_FILE || path.join(__dirname, '..', 'data', 'exchange-rates.json'),
+        auditFilePath: process.env.AUDIT_FILE || path.join(__dirname, '..', 'data', 'audit.json'),
+        priceHistoryFilePath: process.env.PRICE_HISTORY_FILE || path.join(__dirname, '..', 'data', 'price-history.json'),
+        promotionsFilePath: process.env.PROMOTIONS_FILE || path.join(__dirname, '..', 'data', 'promotions.json'),
+        reservationsFilePath: process.env.RESERVATIONS_FILE || path.join(__dirname, '..', 'data', 'reservations.json'),
+        stockMovementsFilePath: process.env.STOCK_MOVEMENTS_FILE || path.join(__dirname, '..', 'data', 'stock-movements.json'),
+        seed: true,
+        pretty: true
+    }
+};
+
+// Get current storage configuration
+const getStorageConfig = () => {
+    const driver = (process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+
+    if (!storageConfig.drivers.includes(driver)) {
+        throw new Error(`Unknown storage driver "${driver}". Valid drivers: ${storageConfig.drivers.join(', ')}`);
+    }
+
+    return {
+        driver,
+        options: storageConfig[driver]
+    };
+};
+
+module.exports = {
+    storageConfig,
+    getStorageConfig
+};
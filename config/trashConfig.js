@@ -0,0 +1,26 @@
+// config/trashConfig.js - Soft delete (trash) retention configuration
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const trashConfig = {
+    // How long deleted products stay restorable before they are purged permanently
+    retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30,
+
+    // How often expired products are purged
+    purgeIntervalMs: (parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES, 10) || 60) * MINUTE,
+
+    get retentionMs() {
+        return this.retentionDays * DAY;
+    }
+};
+
+// Date a deleted product will be purged
+const getPurgeDate = (product) => {
+    return new Date(Date.parse(product.deletedAt) + trashConfig.retentionMs).toISOString();
+};
+
+module.exports = {
+    trashConfig,
+    getPurgeDate
+};
@@ -0,0 +1,26 @@
+// data/seedApiKeys.js - Development API keys used to seed empty key stores
+// Raw keys are only kept here for local development; stores hold SHA-256 hashes.
+// They are public, so they are only seeded when NODE_ENV is development (see authConfig.apiKeys).
+
+const seedApiKeys = [
+    {
+        id: 'dev',
+        key: 'dev-key-12345',
+        owner: 'development',
+        role: 'user'
+    },
+    {
+        id: 'test',
+        key: 'test-key-67890',
+        owner: 'testing',
+        role: 'user'
+    },
+    {
+        id: 'admin',
+        key: 'admin-key-abcdef',
+        owner: 'administrator',
+        role: 'admin'
+    }
+];
+
+module.exports = seedApiKeys;
@@ -0,0 +1,19 @@
+// data/seedCategories.js - Product categories used to seed empty stores
+
+const seedCategories = [
+    { slug: 'electronics', name: 'Electronics', description: 'Computers, phones, audio and other devices' },
+    { slug: 'kitchen', name: 'Kitchen', description: 'Appliances and tools for cooking and coffee' },
+    { slug: 'clothing', name: 'Clothing', description: 'Apparel and outerwear' },
+    { slug: 'books', name: 'Books', description: 'Printed books and guides' },
+    { slug: 'sports', name: 'Sports', description: 'Fitness and outdoor equipment' },
+    { slug: 'toys', name: 'Toys', description: 'Toys and games for children' },
+    { slug: 'other', name: 'Other', description: 'Products that do not fit another category' }
+].map(category => ({
+    id: category.slug,
+    ...category,
+    parent: null,
+    createdAt: '2024-01-01T00:00:00Z',
+    updatedAt: '2024-01-01T00:00:00Z'
+}));
+
+module.exports = seedCategories;
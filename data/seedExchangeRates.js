@@ -0,0 +1,11 @@
+// data/seedExchangeRates.js - Sample exchange rates (units of each currency per 1 USD) used to seed empty stores
+
+const seedExchangeRates = [
+    { currency: 'USD', rate: 1 },
+    { currency: 'EUR', rate: 0.92 },
+    { currency: 'GBP', rate: 0.79 },
+    { currency: 'CAD', rate: 1.36 },
+    { currency: 'JPY', rate: 151.5 }
+];
+
+module.exports = seedExchangeRates;
@@ -0,0 +1,152 @@
+// data/seedProducts.js - Sample products used to seed empty stores
+
+const seedProducts = [
+    {
+        id: '1',
+        name: 'Gaming Laptop Pro',
+        description: 'High-performance gaming laptop with RTX 4070, 16GB RAM, and 1TB SSD',
+        price: 1599.99,
+        currency: 'USD',
+        category: 'electronics',
+        inStock: true,
+        stock: { main: 8, east: 4 },
+        lowStockThreshold: 5,
+        createdAt: '2024-01-15T10:30:00Z',
+        updatedAt: '2024-01-15T10:30:00Z',
+        version: 1
+    },
+    {
+        id: '2',
+        name: 'iPhone 15 Pro',
+        description: 'Latest Apple smartphone with titanium design and 48MP camera system',
+        price: 1199.99,
+        currency: 'USD',
+        category: 'electronics',
+        inStock: true,
+        stock: { main: 25, east: 10 },
+        lowStockThreshold: 5,
+        createdAt: '2024-01-10T14:20:00Z',
+        updatedAt: '2024-01-10T14:20:00Z',
+        version: 1
+    },
+    {
+        id: '3',
+        name: 'Premium Coffee Maker',
+        description: 'Programmable drip coffee maker with thermal carafe and timer',
+        price: 89.99,
+        currency: 'USD',
+        category: 'kitchen',
+        inStock: false,
+        stock: {},
+        lowStockThreshold: 5,
+        createdAt: '2024-01-08T09:15:00Z',
+        updatedAt: '2024-01-20T16:45:00Z',
+        version: 1
+    },
+    {
+        id: '4',
+        name: 'Wireless Bluetooth Headphones',
+        description: 'Premium noise-cancelling headphones with 30-hour battery life',
+        price: 249.99,
+        currency: 'USD',
+        category: 'electronics',
+        inStock: true,
+        stock: { main: 40 },
+        lowStockThreshold: 5,
+        createdAt: '2024-01-12T11:00:00Z',
+        updatedAt: '2024-01-12T11:00:00Z',
+        version: 1
+    },
+    {
+        id: '5',
+        name: 'Organic Cotton T-Shirt',
+        description: 'Comfortable organic cotton t-shirt in various colors and sizes',
+        price: 29.99,
+        currency: 'USD',
+        category: 'clothing',
+        inStock: true,
+        stock: { main: 3 },
+        lowStockThreshold: 5,
+        variants: [
+            { sku: 'TSHIRT-WHT-S', options: { color: 'White', size: 'S' }, price: null, stock: { main: 1 } },
+            { sku: 'TSHIRT-WHT-M', options: { color: 'White', size: 'M' }, price: null, stock: { main: 1 } },
+            { sku: 'TSHIRT-BLK-M', options: { color: 'Black', size: 'M' }, price: null, stock: { main: 1 } },
+            { sku: 'TSHIRT-RED-XL', options: { color: 'Red', size: 'XL' }, price: 32.99, stock: {} }
+        ],
+        createdAt: '2024-01-18T13:30:00Z',
+        updatedAt: '2024-01-18T13:30:00Z',
+        version: 1
+    },
+    {
+        id: '6',
+        name: 'JavaScript Programming Guide',
+        description: 'Complete guide to modern JavaScript programming and web development',
+        price: 39.99,
+        currency: 'USD',
+        category: 'books',
+        inStock: true,
+        stock: { main: 60, east: 15 },
+        lowStockThreshold: 5,
+        createdAt: '2024-01-05T08:45:00Z',
+        updatedAt: '2024-01-05T08:45:00Z',
+        version: 1
+    },
+    {
+        id: '7',
+        name: 'Professional Tennis Racket',
+        description: 'High-quality tennis racket used by professional players',
+        price: 189.99,
+        currency: 'USD',
+        category: 'sports',
+        inStock: false,
+        stock: {},
+        lowStockThreshold: 5,
+        createdAt: '2024-01-14T16:20:00Z',
+        updatedAt: '2024-01-22T10:15:00Z',
+        version: 1
+    },
+    {
+        id: '8',
+        name: 'Stainless Steel Cookware Set',
+        description: '10-piece professional stainless steel cookware set with non-stick coating',
+        price: 299.99,
+        currency: 'USD',
+        category: 'kitchen',
+        inStock: true,
+        stock: { main: 12, east: 6 },
+        lowStockThreshold: 5,
+        createdAt: '2024-01-11T12:10:00Z',
+        updatedAt: '2024-01-11T12:10:00Z',
+        version: 1
+    },
+    {
+        id: '9',
+        name: 'Educational Building Blocks',
+        description: 'Creative building blocks set for children aged 3-10 years',
+        price: 49.99,
+        currency: 'USD',
+        category: 'toys',
+        inStock: true,
+        stock: { main: 4, east: 2 },
+        lowStockThreshold: 5,
+        createdAt: '2024-01-16T15:25:00Z',
+        updatedAt: '2024-01-16T15:25:00Z',
+        version: 1
+    },
+    {
+        id: '10',
+        name: 'Luxury Leather Jacket',
+        description: 'Premium genuine leather jacket with modern fit and design',
+        price: 399.99,
+        currency: 'USD',
+        category: 'clothing',
+        inStock: false,
+        stock: {},
+        lowStockThreshold: 5,
+        createdAt: '2024-01-07T07:30:00Z',
+        updatedAt: '2024-01-21T14:20:00Z',
+        version: 1
+    }
+];
+
+module.exports = seedProducts;
@@ -32,6 +32,34 @@ class AuthenticationError extends CustomError {
         );
     }
 
+    static revokedApiKey() {
+        return new AuthenticationError(
+            'API key has been revoked.',
+            'REVOKED_API_KEY'
+        );
+    }
+
+    static invalidToken() {
+        return new AuthenticationError(
+            'Invalid bearer token provided.',
+            'INVALID_TOKEN'
+        );
+    }
+
+    static expiredToken() {
+        return new AuthenticationError(
+            'Bearer token has expired.',
+            'EXPIRED_TOKEN'
+        );
+    }
+
+    static revokedToken() {
+        return new AuthenticationError(
+            'Bearer token has been revoked.',
+            'REVOKED_TOKEN'
+        );
+    }
+
     // Override toJSON to include auth details
     toJSON() {
         return {
@@ -59,6 +87,22 @@ class AuthenticationError extends CustomError {
                 hints.push('Contact administrator for a new API key');
                 hints.push('Check if your subscription is still active');
                 break;
+            case 'REVOKED_API_KEY':
+                hints.push('This API key was revoked by an administrator');
+                hints.push('Contact administrator to have a new API key issued');
+                break;
+            case 'INVALID_TOKEN':
+                hints.push('Use header: Authorization: Bearer <accessToken>');
+                hints.push('Obtain a token from POST /api/auth/token using your API key');
+                break;
+            case 'EXPIRED_TOKEN':
+                hints.push('Exchange your refresh token at POST /api/auth/refresh');
+                hints.push('Or request a new token from POST /api/auth/token');
+                break;
+            case 'REVOKED_TOKEN':
+                hints.push('This token was revoked or has already been used');
+                hints.push('Request a new token from POST /api/auth/token');
+                break;
         }
 
         return hints;
@@ -0,0 +1,23 @@
+// errors/ConflictError.js - Resource state conflict error class
+
+const CustomError = require('./CustomError');
+
+class ConflictError extends CustomError {
+    constructor(message = 'Request conflicts with the current state of the resource', details = []) {
+        super(message, 409, 'CONFLICT', true);
+
+        this.details = Array.isArray(details) ? details : [details];
+        this.errorType = 'conflict';
+    }
+
+    // Override toJSON to include conflict details
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            details: this.details,
+            errorType: this.errorType
+        };
+    }
+}
+
+module.exports = ConflictError;
@@ -0,0 +1,37 @@
+// errors/InsufficientStockError.js - Not enough available units for a sale, transfer or reservation
+
+const CustomError = require('./CustomError');
+
+class InsufficientStockError extends CustomError {
+    constructor(message = 'Insufficient stock', { productId = null, warehouse = null, requested = null, available = null } = {}) {
+        super(message, 409, 'INSUFFICIENT_STOCK', true);
+
+        this.productId = productId;
+        this.warehouse = warehouse;
+        this.requested = requested;
+        this.available = available;
+        this.errorType = 'insufficient_stock';
+    }
+
+    // Create an error for a request that needs more units than a warehouse has available
+    static forWarehouse(productId, warehouse, requested, available) {
+        return new InsufficientStockError(
+            `Insufficient stock in warehouse "${warehouse}": ${available} available, ${requested} requested`,
+            { productId, warehouse, requested, available }
+        );
+    }
+
+    // Override toJSON to include the availability that was checked
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            productId: this.productId,
+            warehouse: this.warehouse,
+            requested: this.requested,
+            available: this.available,
+            errorType: this.errorType
+        };
+    }
+}
+
+module.exports = InsufficientStockError;
@@ -0,0 +1,38 @@
+// errors/PreconditionFailedError.js - Conditional request precondition failure error class
+
+const CustomError = require('./CustomError');
+
+class PreconditionFailedError extends CustomError {
+    constructor(message = 'Precondition failed', header = null, currentETag = null) {
+        super(message, 412, 'PRECONDITION_FAILED', true);
+
+        this.header = header;
+        this.currentETag = currentETag;
+        this.errorType = 'precondition_failed';
+    }
+
+    // Create an error for an If-Match header that doesn't match the current representation
+    static etagMismatch(resource, currentETag) {
+        return new PreconditionFailedError(
+            `${resource} has been modified since it was retrieved`,
+            'If-Match',
+            currentETag
+        );
+    }
+
+    // Override toJSON to include the current validator
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            ...(this.header && { header: this.header }),
+            ...(this.currentETag && { currentETag: this.currentETag }),
+            errorType: this.errorType,
+            hints: [
+                'Fetch the resource again to get its current ETag',
+                'Re-apply your changes and retry with the new ETag in If-Match'
+            ]
+        };
+    }
+}
+
+module.exports = PreconditionFailedError;
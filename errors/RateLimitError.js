@@ -0,0 +1,42 @@
+// errors/RateLimitError.js - Rate limit exceeded error class
+
+const CustomError = require('./CustomError');
+
+class RateLimitError extends CustomError {
+    constructor(message = 'Too many requests', limit = null, windowMs = null, retryAfter = null) {
+        super(message, 429, 'RATE_LIMIT_EXCEEDED', true);
+
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.retryAfter = retryAfter;
+        this.errorType = 'rate_limit';
+    }
+
+    // Create a rate limit error for a quota
+    static quotaExceeded(limit, windowMs, retryAfter) {
+        return new RateLimitError(
+            `Rate limit exceeded. Maximum ${limit} requests per ${Math.round(windowMs / 1000)} seconds.`,
+            limit,
+            windowMs,
+            retryAfter
+        );
+    }
+
+    // Override toJSON to include quota details
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            ...(this.limit !== null && { limit: this.limit }),
+            ...(this.windowMs !== null && { window: `${Math.round(this.windowMs / 1000)}s` }),
+            ...(this.retryAfter !== null && { retryAfter: this.retryAfter }),
+            errorType: this.errorType,
+            hints: [
+                `Wait ${this.retryAfter || 'a few'} second(s) before retrying`,
+                'Check the RateLimit-Remaining header to pace your requests',
+                'Contact administrator if you need a higher quota'
+            ]
+        };
+    }
+}
+
+module.exports = RateLimitError;
@@ -5,6 +5,10 @@ const ValidationError = require('./ValidationError');
 const NotFoundError = require('./NotFoundError');
 const AuthenticationError = require('./AuthenticationError');
 const AuthorizationError = require('./AuthorizationError');
+const RateLimitError = require('./RateLimitError');
+const PreconditionFailedError = require('./PreconditionFailedError');
+const ConflictError = require('./ConflictError');
+const InsufficientStockError = require('./InsufficientStockError');
 
 // Error factory class
 class ErrorFactory {
@@ -28,6 +32,26 @@ class ErrorFactory {
         return new AuthorizationError(message, permission, role);
     }
 
+    // Create rate limit error
+    static rateLimit(limit, windowMs, retryAfter) {
+        return RateLimitError.quotaExceeded(limit, windowMs, retryAfter);
+    }
+
+    // Create precondition failed error (stale If-Match)
+    static preconditionFailed(resource, currentETag) {
+        return PreconditionFailedError.etagMismatch(resource, currentETag);
+    }
+
+    // Create conflict error
+    static conflict(message, details = []) {
+        return new ConflictError(message, details);
+    }
+
+    // Create insufficient stock error (not enough available units in a warehouse)
+    static insufficientStock(productId, warehouse, requested, available) {
+        return InsufficientStockError.forWarehouse(productId, warehouse, requested, available);
+    }
+
     // Create generic custom error
     static custom(message, statusCode = 500, errorCode = 'INTERNAL_ERROR') {
         return new CustomError(message, statusCode, errorCode);
@@ -106,6 +130,10 @@ module.exports = {
     NotFoundError,
     AuthenticationError,
     AuthorizationError,
+    RateLimitError,
+    PreconditionFailedError,
+    ConflictError,
+    InsufficientStockError,
     ErrorFactory,
     ErrorUtils
 };
\ No newline at end of file
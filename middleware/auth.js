@@ -1,48 +1,115 @@
 // middleware/auth.js - API authentication middleware
 
-const { ErrorFactory } = require('../errors');
+const { ErrorFactory, AuthenticationError } = require('../errors');
+const { apiKeyRepository, ApiKeyRepository } = require('../repositories');
+const { tokenService } = require('../utils/tokenService');
 
-// Simple API key authentication middleware
-const authenticateApiKey = (req, res, next) => {
-    // Skip authentication for root route and docs
-    if (req.path === '/' || req.path === '/docs') {
+// Routes that authenticate by other means (refresh tokens carry their own credentials)
+const publicPaths = ['/', '/docs', '/api/auth/refresh'];
+
+// Verify a bearer JWT and set the user context from its claims
+const authenticateBearerToken = async (token, req, next) => {
+    const { status, payload } = tokenService.verify(token, 'access');
+
+    if (status === 'expired') {
+        return next(AuthenticationError.expiredToken());
+    }
+
+    if (status === 'revoked') {
+        return next(AuthenticationError.revokedToken());
+    }
+
+    if (status !== 'valid') {
+        return next(AuthenticationError.invalidToken());
+    }
+
+    // Tokens stop working as soon as the API key they were issued for is revoked or expires
+    let keyRecord;
+    try {
+        keyRecord = await apiKeyRepository.findById(payload.kid);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!keyRecord || ApiKeyRepository.getStatus(keyRecord) !== 'active') {
+        return next(AuthenticationError.revokedToken());
+    }
+
+    req.user = {
+        apiKey: keyRecord.keyPreview,
+        keyId: payload.kid,
+        owner: payload.sub,
+        role: payload.role,
+        permissions: payload.permissions,
+        authType: 'jwt',
+        token: payload
+    };
+
+    console.log(`🔐 Authenticated request with bearer token for key: ${keyRecord.keyPreview} (${payload.sub})`);
+    next();
+};
+
+// API key / bearer token authentication middleware (keys are verified against the key store)
+const authenticateApiKey = async (req, res, next) => {
+    // Skip authentication for public routes
+    if (publicPaths.includes(req.path)) {
         return next();
     }
 
-    // Get API key from headers
-    const apiKey = req.get('X-API-Key') || req.get('Authorization');
+    const authorization = req.get('Authorization');
 
-    // Define valid API keys (In production, store these securely)
-    const validApiKeys = [
-        'dev-key-12345',
-        'test-key-67890',
-        'admin-key-abcdef'
-    ];
+    // Bearer tokens are JWTs issued by POST /api/auth/token
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authenticateBearerToken(authorization.replace(/^Bearer\s+/i, '').trim(), req, next);
+    }
+
+    // Get API key from headers
+    const apiKey = req.get('X-API-Key') || authorization;
 
     // Check if API key is provided
     if (!apiKey) {
         return next(ErrorFactory.authentication(
-            'API key is required. Please provide X-API-Key header.',
+            'API key is required. Please provide X-API-Key header or a bearer token.',
             'MISSING_API_KEY'
         ));
     }
 
-    // Validate API key
-    if (!validApiKeys.includes(apiKey)) {
+    // Validate API key against the key store
+    let verification;
+    try {
+        verification = await apiKeyRepository.verify(apiKey);
+    } catch (error) {
+        return next(error);
+    }
+
+    const { status, record } = verification;
+
+    if (status === 'invalid') {
         return next(ErrorFactory.authentication(
             'Invalid API key provided.',
             'INVALID_API_KEY'
         ));
     }
 
-    // Set user context based on API key
+    if (status === 'revoked') {
+        return next(AuthenticationError.revokedApiKey());
+    }
+
+    if (status === 'expired') {
+        return next(AuthenticationError.expiredApiKey());
+    }
+
+    // Set user context from the stored key record
     req.user = {
         apiKey: apiKey,
-        role: apiKey.includes('admin') ? 'admin' : 'user',
-        permissions: apiKey.includes('admin') ? ['read', 'write', 'delete'] : ['read', 'write']
+        keyId: record.id,
+        owner: record.owner,
+        role: record.role,
+        permissions: record.permissions,
+        authType: 'api_key'
     };
 
-    console.log(`🔐 Authenticated request with API key: ${apiKey}`);
+    console.log(`🔐 Authenticated request with API key: ${record.keyPreview} (${record.owner})`);
     next();
 };
 
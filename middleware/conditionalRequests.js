@@ -0,0 +1,83 @@
+// middleware/conditionalRequests.js - ETag/Last-Modified validators and conditional request checks
+
+const crypto = require('crypto');
+const { ErrorFactory } = require('../errors');
+
+// Strong entity tag for the current state of a product
+const getETag = (product) => {
+    const version = product.version || 1;
+    const digest = crypto
+        .createHash('sha1')
+        .update(`${product.id}:${version}:${product.updatedAt}`)
+        .digest('base64url')
+        .slice(0, 16);
+
+    return `"${version}-${digest}"`;
+};
+
+// Last modification time truncated to whole seconds (HTTP-date precision)
+const getLastModified = (product) => {
+    const timestamp = Date.parse(product.updatedAt || product.createdAt);
+    return isNaN(timestamp) ? null : new Date(Math.floor(timestamp / 1000) * 1000);
+};
+
+// Split an If-Match / If-None-Match header into entity tags
+const parseETagList = (header) => {
+    return String(header)
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+};
+
+// Compare entity tags; weak comparison ignores the W/ prefix
+const etagMatches = (header, etag, { weak = false } = {}) => {
+    return parseETagList(header).some(tag => {
+        if (tag === '*') return true;
+        if (!weak) return tag === etag;
+        return tag.replace(/^W\//, '') === etag.replace(/^W\//, '');
+    });
+};
+
+// Set the ETag and Last-Modified response headers for a product
+const setValidators = (res, product) => {
+    res.set('ETag', getETag(product));
+
+    const lastModified = getLastModified(product);
+    if (lastModified) {
+        res.set('Last-Modified', lastModified.toUTCString());
+    }
+};
+
+// Check If-Match before changing a product; throws PreconditionFailedError when it is stale
+const assertPreconditions = (req, product, resource = 'Product') => {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch === undefined) return;
+
+    const etag = getETag(product);
+    if (!etagMatches(ifMatch, etag)) {
+        throw ErrorFactory.preconditionFailed(resource, etag);
+    }
+};
+
+// Whether a GET/HEAD can be answered with 304; If-None-Match takes precedence over If-Modified-Since
+const isNotModified = (req, product) => {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch !== undefined) {
+        return etagMatches(ifNoneMatch, getETag(product), { weak: true });
+    }
+
+    const ifModifiedSince = Date.parse(req.get('If-Modified-Since'));
+    const lastModified = getLastModified(product);
+    if (!isNaN(ifModifiedSince) && lastModified) {
+        return lastModified.getTime() <= ifModifiedSince;
+    }
+
+    return false;
+};
+
+module.exports = {
+    getETag,
+    setValidators,
+    assertPreconditions,
+    isNotModified
+};
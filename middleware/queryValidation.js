@@ -1,7 +1,15 @@
 // middleware/queryValidation.js - Advanced query parameter validation
 
-const { ErrorFactory } = require('../errors');
+const { ErrorFactory, ValidationError } = require('../errors');
 const { QueryProcessor } = require('../utils/queryHelpers');
+const { searchConfig } = require('../config/searchConfig');
+const { EXPORT_FORMATS } = require('../utils/productTransfer');
+const { STOCK_MOVEMENT_TYPES, RESERVATION_STATUSES } = require('../utils/stockLedger');
+const { inventoryConfig } = require('../config/inventoryConfig');
+const { currencyConverter } = require('../utils/currencyConverter');
+const { PROMOTION_STATUSES } = require('../utils/promotionEngine');
+const { statsConfig } = require('../config/statsConfig');
+const StatsCalculator = require('../utils/statsCalculator');
 
 // Validate pagination parameters
 const validatePagination = (req, res, next) => {
@@ -21,6 +29,8 @@ const validateFilters = (req, res, next) => {
         req.filters = filters;
         next();
     } catch (error) {
+        // Filter expression errors already carry detailed ValidationError details
+        if (error instanceof ValidationError) return next(error);
         next(ErrorFactory.validation(`Filter error: ${error.message}`, [error.message], 'filters'));
     }
 };
@@ -50,11 +60,26 @@ const validateSorting = (req, res, next) => {
 // Combined validation middleware for product listings
 const validateProductQuery = (req, res, next) => {
     try {
-        // Parse all query parameters
-        req.pagination = QueryProcessor.parsePagination(req.query);
+        // Parse all query parameters (sorting first so cursors can be checked against it)
+        req.sort = QueryProcessor.parseSorting(req.query);
+        req.pagination = QueryProcessor.parsePagination(req.query, req.sort);
         req.filters = QueryProcessor.parseFilters(req.query);
         req.search = QueryProcessor.parseSearch(req.query);
-        req.sort = QueryProcessor.parseSorting(req.query);
+        req.projection = {
+            fields: QueryProcessor.parseFields(req.query),
+            include: QueryProcessor.parseIncludes(req.query)
+        };
+        req.includeDeleted = QueryProcessor.parseIncludeDeleted(req.query);
+        req.pricing = QueryProcessor.parsePricing(req.query);
+
+        // Products in the trash are only visible to users who can delete
+        if (req.includeDeleted && !(req.user && req.user.permissions.includes('delete'))) {
+            return next(ErrorFactory.authorization(
+                'Access denied. includeDeleted requires delete permission',
+                'delete',
+                req.user ? req.user.role : null
+            ));
+        }
 
         // Log query processing for debugging
         console.log('🔍 QUERY PROCESSING:');
@@ -63,18 +88,99 @@ const validateProductQuery = (req, res, next) => {
         console.log('Filters:', req.filters);
         console.log('Search:', req.search);
         console.log('Sort:', req.sort);
+        console.log('Projection:', req.projection);
+        console.log('Pricing:', req.pricing);
         console.log('===================\n');
 
         next();
     } catch (error) {
+        if (error instanceof ValidationError) return next(error);
         next(ErrorFactory.validation(`Query validation error: ${error.message}`, [error.message], 'query'));
     }
 };
 
-// Validate statistics query parameters
-const validateStatsQuery = (req, res, next) => {
+// Validate sparse fieldset and include parameters (single resource reads)
+const validateProjectionQuery = (req, res, next) => {
+    try {
+        req.projection = {
+            fields: QueryProcessor.parseFields(req.query),
+            include: QueryProcessor.parseIncludes(req.query)
+        };
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Projection error: ${error.message}`, [error.message], 'projection'));
+    }
+};
+
+// Validate currency conversion and price formatting parameters (currency=EUR&locale=de-DE)
+const validatePricingQuery = (req, res, next) => {
+    try {
+        req.pricing = QueryProcessor.parsePricing(req.query);
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Pricing error: ${error.message}`, [error.message], 'pricing'));
+    }
+};
+
+const TIMESERIES_METRICS = ['created', 'value', 'stockouts'];
+const TIMESERIES_INTERVALS = ['day', 'week', 'month'];
+
+// Parse the metric, interval, date range and grouping of a time series query
+const parseTimeseriesQuery = (query) => {
+    const { metric, interval = 'day', groupBy } = query;
+
+    if (!TIMESERIES_METRICS.includes(metric)) {
+        throw new Error(`metric parameter is required and must be one of: ${TIMESERIES_METRICS.join(', ')}`);
+    }
+
+    if (!TIMESERIES_INTERVALS.includes(interval)) {
+        throw new Error(`interval parameter must be one of: ${TIMESERIES_INTERVALS.join(', ')}`);
+    }
+
+    if (groupBy !== undefined && groupBy !== 'category') {
+        throw new Error('groupBy parameter must be "category"');
+    }
+
+    const dates = {};
+    ['from', 'to'].forEach(name => {
+        if (query[name] === undefined) return;
+        const timestamp = Date.parse(query[name]);
+        if (isNaN(timestamp)) {
+            throw new Error(`${name} must be a valid date`);
+        }
+        dates[name] = new Date(timestamp).toISOString();
+    });
+
+    // Without from, the series covers the interval's default number of buckets up to to (default: now)
+    const { defaultBuckets, maxBuckets } = statsConfig.timeseries;
+    const to = dates.to || new Date().toISOString();
+    const from = dates.from || new Date(StatsCalculator.shiftBucket(
+        StatsCalculator.bucketStart(to, interval), interval, 1 - defaultBuckets[interval]
+    )).toISOString();
+
+    if (Date.parse(from) > Date.parse(to)) {
+        throw new Error('from must not be after to');
+    }
+
+    // Buckets starting before the earliest representable date can't be counted
+    const bucketCount = StatsCalculator.bucketCount(from, to, interval);
+    if (Number.isNaN(bucketCount)) {
+        throw new Error('from is too early for the chosen interval');
+    }
+
+    if (bucketCount > maxBuckets) {
+        throw new Error(`from and to span more than ${maxBuckets} ${interval} buckets; use a longer interval or a shorter range`);
+    }
+
+    return { metric, interval, from, to, groupBy: groupBy || null };
+};
+
+// Validate statistics query parameters; with timeseries, the time series parameters of /api/products/stats/timeseries
+const validateStatsQuery = ({ timeseries = false } = {}) => (req, res, next) => {
     try {
-        const allowedParams = ['category', 'detailed', 'format'];
+        const allowedParams = timeseries
+            ? ['category', 'depth', 'currency', 'metric', 'interval', 'from', 'to', 'groupBy']
+            : ['category', 'detailed', 'format', 'depth', 'currency', 'windows'];
         const providedParams = Object.keys(req.query);
         const invalidParams = providedParams.filter(param => !allowedParams.includes(param));
 
@@ -91,17 +197,256 @@ const validateStatsQuery = (req, res, next) => {
             throw new Error('format parameter must be "json" or "summary"');
         }
 
+        const depth = req.query.depth !== undefined ? Number(req.query.depth) : null;
+        if (depth !== null && (!Number.isInteger(depth) || depth < 1 || depth > 10)) {
+            throw new Error('depth parameter must be an integer between 1 and 10');
+        }
+
+        // Amounts are reported in one currency: the requested one, or the base currency
+        const currency = QueryProcessor.parseCurrency(req.query) || currencyConverter.baseCurrency;
+
+        if (timeseries) {
+            req.statsOptions = { depth, currency, ...parseTimeseriesQuery(req.query) };
+            return next();
+        }
+
+        // Trend windows in days (windows=7,30), shortest first
+        let windows = statsConfig.trendWindowsDays;
+        if (req.query.windows !== undefined) {
+            const { maxTrendWindowDays, maxTrendWindows } = statsConfig;
+            windows = String(req.query.windows).split(',').map(days => Number(days.trim()));
+
+            if (windows.some(days => !Number.isInteger(days) || days < 1 || days > maxTrendWindowDays)) {
+                throw new Error(`windows must be comma-separated integers between 1 and ${maxTrendWindowDays} (days)`);
+            }
+
+            windows = [...new Set(windows)].sort((a, b) => a - b);
+            if (windows.length > maxTrendWindows) {
+                throw new Error(`windows can list at most ${maxTrendWindows} windows`);
+            }
+        }
+
+        req.statsOptions = { depth, currency, windows };
         next();
     } catch (error) {
         next(ErrorFactory.validation(`Stats query error: ${error.message}`, [error.message], 'statsQuery'));
     }
 };
 
+// Validate price history query parameters
+const validatePriceHistoryQuery = (req, res, next) => {
+    try {
+        const allowedParams = ['from', 'to', 'currency'];
+        const invalidParams = Object.keys(req.query).filter(param => !allowedParams.includes(param));
+
+        if (invalidParams.length > 0) {
+            throw new Error(`Invalid parameters: ${invalidParams.join(', ')}. Allowed: ${allowedParams.join(', ')}`);
+        }
+
+        const dates = {};
+        ['from', 'to'].forEach(name => {
+            if (req.query[name] === undefined) return;
+            const timestamp = Date.parse(req.query[name]);
+            if (isNaN(timestamp)) {
+                throw new Error(`${name} must be a valid date`);
+            }
+            dates[name] = new Date(timestamp).toISOString();
+        });
+
+        if (dates.from && dates.to && dates.from > dates.to) {
+            throw new Error('from must not be after to');
+        }
+
+        req.priceHistoryQuery = {
+            filters: dates,
+            currency: QueryProcessor.parseCurrency(req.query)
+        };
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Price history query error: ${error.message}`, [error.message], 'priceHistory'));
+    }
+};
+
+// Validate autocomplete query parameters
+const validateAutocompleteQuery = (req, res, next) => {
+    try {
+        const { defaultLimit, maxLimit, maxPrefixLength } = searchConfig.autocomplete;
+        const prefix = typeof req.query.prefix === 'string' ? req.query.prefix.trim() : '';
+
+        if (prefix.length === 0) {
+            throw new Error('prefix parameter is required');
+        }
+
+        if (prefix.length > maxPrefixLength) {
+            throw new Error(`prefix must be less than ${maxPrefixLength} characters`);
+        }
+
+        const limit = req.query.limit === undefined ? defaultLimit : parseInt(req.query.limit);
+        if (isNaN(limit) || limit < 1 || limit > maxLimit) {
+            throw new Error(`limit must be between 1 and ${maxLimit}`);
+        }
+
+        req.autocomplete = { prefix, limit };
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Autocomplete query error: ${error.message}`, [error.message], 'autocomplete'));
+    }
+};
+
+// Validate export parameters (used after validateProductQuery)
+const validateExportQuery = (req, res, next) => {
+    try {
+        const format = req.query.format === undefined ? 'csv' : String(req.query.format).toLowerCase();
+
+        if (!EXPORT_FORMATS[format]) {
+            throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        if (req.projection.include.length > 0) {
+            throw new Error('include is not supported for exports');
+        }
+
+        req.export = { format };
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Export query error: ${error.message}`, [error.message], 'export'));
+    }
+};
+
+// Validate audit log query parameters
+const validateAuditQuery = (req, res, next) => {
+    try {
+        const allowedParams = ['productId', 'action', 'keyId', 'owner', 'requestId', 'from', 'to', 'page', 'limit'];
+        const invalidParams = Object.keys(req.query).filter(param => !allowedParams.includes(param));
+
+        if (invalidParams.length > 0) {
+            throw new Error(`Invalid parameters: ${invalidParams.join(', ')}. Allowed: ${allowedParams.join(', ')}`);
+        }
+
+        const { productId, action, keyId, owner, requestId, from, to } = req.query;
+        const validActions = ['created', 'updated', 'deleted', 'restored', 'purged', 'reverted'];
+
+        if (action !== undefined && !validActions.includes(action)) {
+            throw new Error(`action must be one of: ${validActions.join(', ')}`);
+        }
+
+        const dates = {};
+        Object.entries({ from, to }).forEach(([name, value]) => {
+            if (value === undefined) return;
+            const timestamp = Date.parse(value);
+            if (isNaN(timestamp)) {
+                throw new Error(`${name} must be a valid date`);
+            }
+            dates[name] = new Date(timestamp).toISOString();
+        });
+
+        const page = req.query.page === undefined ? 1 : Number(req.query.page);
+        const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+        if (!Number.isInteger(page) || page < 1) {
+            throw new Error('page must be a positive integer');
+        }
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+            throw new Error('limit must be between 1 and 200');
+        }
+
+        req.auditQuery = {
+            filters: { productId, action, keyId, owner, requestId, ...dates },
+            page,
+            limit
+        };
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Audit query error: ${error.message}`, [error.message], 'audit'));
+    }
+};
+
+// Validate stock movement ledger query parameters
+const validateStockMovementQuery = (req, res, next) => {
+    try {
+        const allowedParams = ['type', 'warehouse'];
+        const invalidParams = Object.keys(req.query).filter(param => !allowedParams.includes(param));
+
+        if (invalidParams.length > 0) {
+            throw new Error(`Invalid parameters: ${invalidParams.join(', ')}. Allowed: ${allowedParams.join(', ')}`);
+        }
+
+        const { type, warehouse } = req.query;
+
+        if (type !== undefined && !STOCK_MOVEMENT_TYPES.includes(type)) {
+            throw new Error(`type must be one of: ${STOCK_MOVEMENT_TYPES.join(', ')}`);
+        }
+
+        if (warehouse !== undefined && !inventoryConfig.warehouses.includes(warehouse)) {
+            throw new Error(`warehouse must be one of: ${inventoryConfig.warehouses.join(', ')}`);
+        }
+
+        req.movementFilters = { type, warehouse };
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Stock movement query error: ${error.message}`, [error.message], 'stockMovements'));
+    }
+};
+
+// Validate reservation listing query parameters
+const validateReservationQuery = (req, res, next) => {
+    try {
+        const invalidParams = Object.keys(req.query).filter(param => param !== 'status');
+
+        if (invalidParams.length > 0) {
+            throw new Error(`Invalid parameters: ${invalidParams.join(', ')}. Allowed: status`);
+        }
+
+        const { status } = req.query;
+
+        if (status !== undefined && !RESERVATION_STATUSES.includes(status)) {
+            throw new Error(`status must be one of: ${RESERVATION_STATUSES.join(', ')}`);
+        }
+
+        req.reservationFilters = { status };
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Reservation query error: ${error.message}`, [error.message], 'reservations'));
+    }
+};
+
+// Validate promotion listing query parameters
+const validatePromotionQuery = (req, res, next) => {
+    try {
+        const invalidParams = Object.keys(req.query).filter(param => param !== 'status');
+
+        if (invalidParams.length > 0) {
+            throw new Error(`Invalid parameters: ${invalidParams.join(', ')}. Allowed: status`);
+        }
+
+        const { status } = req.query;
+
+        if (status !== undefined && !PROMOTION_STATUSES.includes(status)) {
+            throw new Error(`status must be one of: ${PROMOTION_STATUSES.join(', ')}`);
+        }
+
+        req.promotionFilters = { status };
+        next();
+    } catch (error) {
+        next(ErrorFactory.validation(`Promotion query error: ${error.message}`, [error.message], 'promotions'));
+    }
+};
+
 module.exports = {
     validatePagination,
     validateFilters,
     validateSearch,
     validateSorting,
     validateProductQuery,
-    validateStatsQuery
+    validateStatsQuery,
+    validatePriceHistoryQuery,
+    validateAutocompleteQuery,
+    validateProjectionQuery,
+    validatePricingQuery,
+    validateExportQuery,
+    validateAuditQuery,
+    validateStockMovementQuery,
+    validateReservationQuery,
+    validatePromotionQuery
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+// middleware/rateLimiter.js - Per-key request throttling middleware
+
+const { ErrorFactory } = require('../errors');
+const { rateLimitConfig, getRateLimits } = require('../config/rateLimitConfig');
+const { rateLimitStore } = require('../utils/rateLimitStore');
+
+// Identify the client: the authenticated API key (shared by its bearer tokens), else the IP
+const getClientKey = (req) => {
+    if (req.user) {
+        return `key:${req.user.keyId || req.user.apiKey}`;
+    }
+
+    return `ip:${req.ip}`;
+};
+
+// Create a rate limiting middleware for a named route quota table
+const rateLimit = (route = 'default', options = {}) => {
+    const limits = options.limits || getRateLimits(route);
+    const store = options.store || rateLimitStore;
+
+    return (req, res, next) => {
+        if (!rateLimitConfig.enabled) {
+            return next();
+        }
+
+        const role = req.user ? req.user.role : 'anonymous';
+        const quota = limits[role] || limits.anonymous;
+        const result = store.hit(`${route}:${getClientKey(req)}`, quota.limit, quota.windowMs);
+
+        // IETF RateLimit header fields
+        res.set('RateLimit-Policy', `${quota.limit};w=${Math.round(quota.windowMs / 1000)}`);
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(result.resetAfter));
+
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.retryAfter));
+            return next(ErrorFactory.rateLimit(quota.limit, quota.windowMs, result.retryAfter));
+        }
+
+        next();
+    };
+};
+
+// Throttle failed authentication per IP. Mounted before authentication so a client that keeps
+// presenting bad credentials is refused before any more of them are checked.
+const limitFailedAuth = (options = {}) => {
+    const quota = (options.limits || getRateLimits('authFailures')).anonymous;
+    const store = options.store || rateLimitStore;
+
+    return (req, res, next) => {
+        if (!rateLimitConfig.enabled) {
+            return next();
+        }
+
+        const key = `authFailures:ip:${req.ip}`;
+        const result = store.peek(key, quota.limit, quota.windowMs);
+
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.retryAfter));
+            return next(ErrorFactory.rateLimit(quota.limit, quota.windowMs, result.retryAfter));
+        }
+
+        res.on('finish', () => {
+            if (res.statusCode === 401) {
+                store.hit(key, quota.limit, quota.windowMs);
+            }
+        });
+
+        next();
+    };
+};
+
+module.exports = {
+    rateLimit,
+    limitFailedAuth,
+    getClientKey
+};
@@ -0,0 +1,22 @@
+// middleware/requestContext.js - Bind the request ID and authenticated user to the async request context
+
+const { requestContext } = require('../utils/requestContext');
+
+// Must run after requestIdMiddleware and authenticateApiKey, and after body parsing
+// (stream callbacks would otherwise run outside the context)
+const bindRequestContext = (req, res, next) => {
+    const actor = req.user
+        ? {
+            keyId: req.user.keyId || null,
+            owner: req.user.owner,
+            role: req.user.role,
+            authType: req.user.authType
+        }
+        : null;
+
+    requestContext.run({ requestId: req.id, actor }, next);
+};
+
+module.exports = {
+    bindRequestContext
+};
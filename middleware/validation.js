@@ -1,11 +1,67 @@
 // middleware/validation.js - Request validation middleware
 
 const { ErrorFactory } = require('../errors');
+const { authConfig } = require('../config/authConfig');
+const { JsonPatch } = require('../utils/jsonPatch');
+const { IMPORT_FORMATS } = require('../utils/productTransfer');
+const { categoryRegistry } = require('../utils/categoryRegistry');
+const CategoryRepository = require('../repositories/CategoryRepository');
+const { STOCK_MOVEMENT_TYPES } = require('../utils/stockLedger');
+const { inventoryConfig } = require('../config/inventoryConfig');
+const { ProductVariants } = require('../utils/productVariants');
+const { currencyConverter } = require('../utils/currencyConverter');
+const { Money } = require('../utils/money');
+const { PROMOTION_TYPES } = require('../utils/promotionEngine');
 
-// Validate product creation data
-const validateProductCreation = (req, res, next) => {
-    const { name, description, price, category, inStock } = req.body;
+// Category slugs: lowercase words separated by single hyphens
+const CATEGORY_SLUG_PATTERN = /^(?=.{2,50}$)[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Maximum number of operations accepted by one bulk request
+const MAX_BULK_OPERATIONS = 500;
+
+// Maximum number of rows accepted by one import
+const MAX_IMPORT_ROWS = 5000;
+
+// Product fields clients may set, and fields managed by the server
+// (stock only changes through stock movements and inStock follows it)
+const EDITABLE_PRODUCT_FIELDS = ['name', 'description', 'price', 'currency', 'category', 'lowStockThreshold', 'variants'];
+const READ_ONLY_PRODUCT_FIELDS = ['id', 'createdAt', 'updatedAt', 'version', 'stock', 'inStock'];
+
+// Largest quantity accepted for a stock movement or low-stock threshold
+const MAX_STOCK_QUANTITY = 1000000;
+
+// Exchange rates are kept to 6 decimals, so the smallest rate accepted is 0.000001
+const MIN_EXCHANGE_RATE = 0.000001;
+const MAX_EXCHANGE_RATE = 1000000;
+
+// Maximum number of products and categories one promotion can target
+const MAX_PROMOTION_TARGETS = 500;
+
+// Check an optional low-stock threshold
+const checkLowStockThreshold = (lowStockThreshold, errors) => {
+    if (lowStockThreshold !== undefined && (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0 || lowStockThreshold > MAX_STOCK_QUANTITY)) {
+        errors.push(`lowStockThreshold must be an integer between 0 and ${MAX_STOCK_QUANTITY}`);
+    }
+};
+
+// Check an optional product currency, which needs an exchange rate; returns the normalized code
+// (the base currency when none is given, null when invalid)
+const checkCurrency = (currency, errors) => {
+    if (currency === undefined) return currencyConverter.baseCurrency;
+
+    const code = typeof currency === 'string' ? currency.trim().toUpperCase() : null;
+    if (!code || !currencyConverter.has(code)) {
+        errors.push(`Currency must be one of: ${currencyConverter.currencies().join(', ')}`);
+        return null;
+    }
+
+    return code;
+};
+
+// Check product creation fields; returns the problems found and the sanitized product fields
+const checkProductCreation = ({ name, description, price, currency, category, lowStockThreshold, variants }) => {
     const errors = [];
+    const priceCurrency = checkCurrency(currency, errors);
 
     // Required field validation
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -26,52 +82,71 @@ const validateProductCreation = (req, res, next) => {
         errors.push('Category is required and must be a non-empty string');
     }
 
-    if (inStock === undefined || inStock === null) {
-        errors.push('InStock status is required');
-    } else if (typeof inStock !== 'boolean') {
-        errors.push('InStock must be a boolean value (true or false)');
+    checkLowStockThreshold(lowStockThreshold, errors);
+
+    if (variants !== undefined) {
+        errors.push(...ProductVariants.check(variants, priceCurrency || currencyConverter.baseCurrency));
     }
 
     // Length validations
-    if (name && name.trim().length > 100) {
+    if (typeof name === 'string' && name.trim().length > 100) {
         errors.push('Name must be less than 100 characters');
     }
 
-    if (description && description.trim().length > 500) {
+    if (typeof description === 'string' && description.trim().length > 500) {
         errors.push('Description must be less than 500 characters');
     }
 
-    // Price range validation
-    if (typeof price === 'number' && (price > 999999 || price < 0.01)) {
-        errors.push('Price must be between 0.01 and 999999');
+    // Price range validation (limits depend on the currency's minor unit)
+    if (typeof price === 'number' && priceCurrency) {
+        const priceError = Money.checkPrice(price, priceCurrency);
+        if (priceError) errors.push(priceError);
     }
 
-    // Category validation
-    const validCategories = ['electronics', 'kitchen', 'clothing', 'books', 'sports', 'toys', 'other'];
-    if (category && !validCategories.includes(category.trim().toLowerCase())) {
-        errors.push(`Category must be one of: ${validCategories.join(', ')}`);
+    // Category validation (categories are managed through /api/categories)
+    if (typeof category === 'string' && category.trim().length > 0 && !categoryRegistry.has(category.trim().toLowerCase())) {
+        errors.push(`Category must be one of: ${categoryRegistry.slugs().join(', ')}`);
     }
 
     if (errors.length > 0) {
-        return next(ErrorFactory.validation('Product validation failed', errors));
+        return { errors, data: null };
     }
 
     // Sanitize and normalize data
-    req.body = {
-        name: name.trim(),
-        description: description.trim(),
-        price: parseFloat(price),
-        category: category.trim().toLowerCase(),
-        inStock: Boolean(inStock)
+    return {
+        errors,
+        data: {
+            name: name.trim(),
+            description: description.trim(),
+            price: Money.roundMoney(price, priceCurrency),
+            currency: priceCurrency,
+            category: category.trim().toLowerCase(),
+            lowStockThreshold: lowStockThreshold !== undefined ? lowStockThreshold : inventoryConfig.defaultLowStockThreshold,
+            variants: variants !== undefined ? ProductVariants.sanitize(variants, priceCurrency) : []
+        }
     };
+};
 
+// Validate product creation data
+const validateProductCreation = (req, res, next) => {
+    const { errors, data } = checkProductCreation(req.body);
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Product validation failed', errors));
+    }
+
+    req.body = data;
     next();
 };
 
-// Validate product update data
-const validateProductUpdate = (req, res, next) => {
-    const { name, description, price, category, inStock } = req.body;
+// Check product update fields; returns the problems found and the sanitized fields provided.
+// Prices are checked and rounded in the given currency, or in the product's current currency when the update doesn't set one.
+const checkProductUpdate = (
+    { name, description, price, currency, category, lowStockThreshold, variants },
+    { currentCurrency = currencyConverter.baseCurrency } = {}
+) => {
     const errors = [];
+    const priceCurrency = currency === undefined ? currentCurrency : checkCurrency(currency, errors);
 
     // Optional field validation (since it's an update)
     if (name !== undefined) {
@@ -93,37 +168,504 @@ const validateProductUpdate = (req, res, next) => {
     if (price !== undefined) {
         if (typeof price !== 'number' || price <= 0) {
             errors.push('Price must be a positive number');
-        } else if (price > 999999 || price < 0.01) {
-            errors.push('Price must be between 0.01 and 999999');
+        } else if (priceCurrency && Money.checkPrice(price, priceCurrency)) {
+            errors.push(Money.checkPrice(price, priceCurrency));
         }
     }
 
     if (category !== undefined) {
-        const validCategories = ['electronics', 'kitchen', 'clothing', 'books', 'sports', 'toys', 'other'];
         if (typeof category !== 'string' || category.trim().length === 0) {
             errors.push('Category must be a non-empty string');
-        } else if (!validCategories.includes(category.trim().toLowerCase())) {
-            errors.push(`Category must be one of: ${validCategories.join(', ')}`);
+        } else if (!categoryRegistry.has(category.trim().toLowerCase())) {
+            errors.push(`Category must be one of: ${categoryRegistry.slugs().join(', ')}`);
         }
     }
 
-    if (inStock !== undefined && typeof inStock !== 'boolean') {
-        errors.push('InStock must be a boolean value (true or false)');
+    checkLowStockThreshold(lowStockThreshold, errors);
+
+    if (variants !== undefined) {
+        errors.push(...ProductVariants.check(variants, priceCurrency || currentCurrency));
+    }
+
+    // Sanitize and normalize provided data
+    const sanitizedData = {};
+    if (errors.length === 0) {
+        if (name !== undefined) sanitizedData.name = name.trim();
+        if (description !== undefined) sanitizedData.description = description.trim();
+        if (price !== undefined) sanitizedData.price = Money.roundMoney(price, priceCurrency);
+        if (currency !== undefined) sanitizedData.currency = priceCurrency;
+        if (category !== undefined) sanitizedData.category = category.trim().toLowerCase();
+        if (lowStockThreshold !== undefined) sanitizedData.lowStockThreshold = lowStockThreshold;
+        if (variants !== undefined) sanitizedData.variants = ProductVariants.sanitize(variants, priceCurrency);
     }
 
+    return { errors, data: sanitizedData };
+};
+
+// Validate product update data
+const validateProductUpdate = (req, res, next) => {
+    const { errors, data } = checkProductUpdate(req.body);
+
     if (errors.length > 0) {
         return next(ErrorFactory.validation('Product update validation failed', errors));
     }
 
-    // Sanitize and normalize provided data
-    const sanitizedData = {};
-    if (name !== undefined) sanitizedData.name = name.trim();
-    if (description !== undefined) sanitizedData.description = description.trim();
-    if (price !== undefined) sanitizedData.price = parseFloat(price);
-    if (category !== undefined) sanitizedData.category = category.trim().toLowerCase();
-    if (inStock !== undefined) sanitizedData.inStock = Boolean(inStock);
+    req.body = data;
+    next();
+};
+
+// Validate a PATCH body: JSON Merge Patch object or JSON Patch operation list, chosen by Content-Type
+const validateProductPatch = (req, res, next) => {
+    let format;
+    if (req.is('application/merge-patch+json')) {
+        format = 'merge';
+    } else if (req.is('application/json-patch+json')) {
+        format = 'json-patch';
+    } else {
+        return next(ErrorFactory.custom(
+            'PATCH requires Content-Type application/merge-patch+json or application/json-patch+json',
+            415,
+            'UNSUPPORTED_MEDIA_TYPE'
+        ));
+    }
+
+    const errors = format === 'merge'
+        ? (req.body !== null && typeof req.body === 'object' && !Array.isArray(req.body) ? [] : ['Merge patch body must be a JSON object'])
+        : JsonPatch.validate(req.body);
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Invalid patch document', errors));
+    }
+
+    req.patch = { format, document: req.body };
+    next();
+};
+
+// Apply a validated patch to a stored product and check the result with the update rules.
+// Returns the sanitized editable fields of the patched product.
+const applyProductPatch = (product, { format, document }) => {
+    const patched = format === 'merge'
+        ? JsonPatch.merge(product, document)
+        : JsonPatch.apply(product, document);
+
+    if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+        throw ErrorFactory.validation('Product patch validation failed', ['Patched product must be a JSON object']);
+    }
+
+    const errors = [];
+
+    READ_ONLY_PRODUCT_FIELDS.forEach(field => {
+        if (!JsonPatch.isEqual(patched[field], product[field])) {
+            errors.push(`${field} is read-only and cannot be changed`);
+        }
+    });
+
+    EDITABLE_PRODUCT_FIELDS.forEach(field => {
+        if (patched[field] === undefined && product[field] !== undefined) {
+            errors.push(`${field} is required and cannot be removed`);
+        }
+    });
+
+    Object.keys(patched)
+        .filter(field => !READ_ONLY_PRODUCT_FIELDS.includes(field) && !EDITABLE_PRODUCT_FIELDS.includes(field))
+        .forEach(field => errors.push(`Unknown field: ${field}`));
+
+    const editable = Object.fromEntries(EDITABLE_PRODUCT_FIELDS
+        .filter(field => patched[field] !== undefined)
+        .map(field => [field, patched[field]]));
+    const result = checkProductUpdate(editable, { currentCurrency: currencyConverter.currencyOf(product) });
+    errors.push(...result.errors);
+
+    if (errors.length > 0) {
+        throw ErrorFactory.validation('Product patch validation failed', errors);
+    }
+
+    return result.data;
+};
+
+// Validate the envelope of a bulk request; individual operations are checked as they run
+const validateBulkOperations = (req, res, next) => {
+    const { operations } = req.body || {};
+    const { atomic } = req.query;
+    const errors = [];
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+        errors.push('operations must be a non-empty array');
+    } else if (operations.length > MAX_BULK_OPERATIONS) {
+        errors.push(`At most ${MAX_BULK_OPERATIONS} operations are allowed per request`);
+    }
+
+    if (atomic !== undefined && atomic !== 'true' && atomic !== 'false') {
+        errors.push('atomic must be "true" or "false"');
+    }
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Bulk request validation failed', errors));
+    }
+
+    req.bulk = { operations, atomic: atomic === 'true' };
+    next();
+};
+
+// Validate a catalog upload (CSV or NDJSON text body) and its dryRun flag
+const validateProductImport = (req, res, next) => {
+    const format = Object.keys(IMPORT_FORMATS).find(type => req.is(type));
+
+    if (!format) {
+        return next(ErrorFactory.custom(
+            `Import requires Content-Type ${Object.keys(IMPORT_FORMATS).join(' or ')}`,
+            415,
+            'UNSUPPORTED_MEDIA_TYPE'
+        ));
+    }
+
+    const { dryRun } = req.query;
+    const errors = [];
+
+    if (typeof req.body !== 'string' || req.body.trim().length === 0) {
+        errors.push('Request body must contain the file to import');
+    }
+
+    if (dryRun !== undefined && dryRun !== 'true' && dryRun !== 'false') {
+        errors.push('dryRun must be "true" or "false"');
+    }
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Import request validation failed', errors));
+    }
+
+    req.import = {
+        format: IMPORT_FORMATS[format],
+        text: req.body,
+        dryRun: dryRun === 'true',
+        maxRows: MAX_IMPORT_ROWS
+    };
+    next();
+};
+
+// Validate a revert request ({ "revision": <version number> })
+const validateProductRevert = (req, res, next) => {
+    const { revision } = req.body || {};
+
+    if (!Number.isInteger(revision) || revision < 1) {
+        return next(ErrorFactory.validation(
+            'Revert validation failed',
+            ['revision is required and must be a positive integer (a product version)'],
+            'revision'
+        ));
+    }
+
+    req.body = { revision };
+    next();
+};
+
+// Check an optional variant SKU on a stock movement or reservation (required for products with variants)
+const checkSku = (sku, errors) => {
+    if (sku !== undefined && sku !== null && (typeof sku !== 'string' || sku.trim().length === 0 || sku.trim().length > 64)) {
+        errors.push('sku must be a variant SKU of at most 64 characters');
+    }
+};
+
+// Validate a stock movement: receive, sell or adjust units in one warehouse, or transfer them between two
+const validateStockMovement = (req, res, next) => {
+    const { type, quantity, warehouse, from, to, reason, sku } = req.body || {};
+    const { warehouses } = inventoryConfig;
+    const errors = [];
+
+    const checkWarehouse = (value, field) => {
+        if (typeof value !== 'string' || !warehouses.includes(value)) {
+            errors.push(`${field} must be one of: ${warehouses.join(', ')}`);
+        }
+    };
+
+    if (!STOCK_MOVEMENT_TYPES.includes(type)) {
+        errors.push(`type must be one of: ${STOCK_MOVEMENT_TYPES.join(', ')}`);
+    } else if (type === 'transfer') {
+        checkWarehouse(from, 'from');
+        checkWarehouse(to, 'to');
+        if (from === to) {
+            errors.push('from and to must be different warehouses');
+        }
+    } else {
+        checkWarehouse(warehouse, 'warehouse');
+    }
+
+    // Adjustments are signed corrections; every other movement moves a positive number of units
+    if (type === 'adjust') {
+        if (!Number.isInteger(quantity) || quantity === 0 || Math.abs(quantity) > MAX_STOCK_QUANTITY) {
+            errors.push(`quantity must be a non-zero integer between -${MAX_STOCK_QUANTITY} and ${MAX_STOCK_QUANTITY} for adjustments`);
+        }
+    } else if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_STOCK_QUANTITY) {
+        errors.push(`quantity must be an integer between 1 and ${MAX_STOCK_QUANTITY}`);
+    }
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.trim().length > 200)) {
+        errors.push('reason must be a string of at most 200 characters');
+    }
+
+    checkSku(sku, errors);
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Stock movement validation failed', errors));
+    }
+
+    req.body = {
+        type,
+        quantity,
+        ...(type === 'transfer' ? { from, to } : { warehouse }),
+        reason: typeof reason === 'string' && reason.trim().length > 0 ? reason.trim() : null,
+        sku: sku ? ProductVariants.normalizeSku(sku) : null
+    };
+    next();
+};
+
+// Validate a stock reservation: hold a quantity (optionally in one warehouse) for ttlSeconds
+const validateStockReservation = (req, res, next) => {
+    const { quantity, warehouse, ttlSeconds, reference, sku } = req.body || {};
+    const { warehouses, reservationTtlSeconds, maxReservationTtlSeconds } = inventoryConfig;
+    const errors = [];
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_STOCK_QUANTITY) {
+        errors.push(`quantity must be an integer between 1 and ${MAX_STOCK_QUANTITY}`);
+    }
+
+    if (warehouse !== undefined && warehouse !== null && !warehouses.includes(warehouse)) {
+        errors.push(`warehouse must be one of: ${warehouses.join(', ')}`);
+    }
+
+    if (ttlSeconds !== undefined && (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > maxReservationTtlSeconds)) {
+        errors.push(`ttlSeconds must be an integer between 1 and ${maxReservationTtlSeconds}`);
+    }
+
+    if (reference !== undefined && reference !== null && (typeof reference !== 'string' || reference.trim().length > 100)) {
+        errors.push('reference must be a string of at most 100 characters');
+    }
+
+    checkSku(sku, errors);
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Reservation validation failed', errors));
+    }
+
+    req.body = {
+        quantity,
+        warehouse: warehouse || null,
+        ttlSeconds: ttlSeconds !== undefined ? ttlSeconds : reservationTtlSeconds,
+        reference: typeof reference === 'string' && reference.trim().length > 0 ? reference.trim() : null,
+        sku: sku ? ProductVariants.normalizeSku(sku) : null
+    };
+    next();
+};
+
+// Check the editable category fields shared by creation and replacement
+const checkCategoryFields = ({ name, description, parent }, errors) => {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        errors.push('Name is required and must be a non-empty string');
+    } else if (name.trim().length > 50) {
+        errors.push('Name must be less than 50 characters');
+    }
+
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            errors.push('Description must be a string');
+        } else if (description.trim().length > 300) {
+            errors.push('Description must be less than 300 characters');
+        }
+    }
+
+    if (parent !== undefined && parent !== null) {
+        if (typeof parent !== 'string' || !categoryRegistry.has(parent)) {
+            errors.push(`Parent must be an existing category slug (${categoryRegistry.slugs().join(', ')})`);
+        }
+    }
+};
+
+// Sanitized editable category fields
+const sanitizeCategoryFields = ({ name, description, parent }) => ({
+    name: name.trim(),
+    description: typeof description === 'string' && description.trim().length > 0 ? description.trim() : null,
+    parent: parent || null
+});
+
+// Validate category creation data
+const validateCategoryCreation = (req, res, next) => {
+    const { slug, name } = req.body;
+    const errors = [];
+
+    checkCategoryFields(req.body, errors);
+
+    // The slug defaults to one derived from the name
+    const categorySlug = slug !== undefined
+        ? slug
+        : (typeof name === 'string' ? CategoryRepository.slugify(name) : '');
+
+    if (typeof categorySlug !== 'string' || !CATEGORY_SLUG_PATTERN.test(categorySlug)) {
+        errors.push('Slug must be 2-50 lowercase letters, digits or hyphens (e.g. "home-garden")');
+    }
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Category validation failed', errors));
+    }
+
+    req.body = { slug: categorySlug, ...sanitizeCategoryFields(req.body) };
+    next();
+};
+
+// Validate category replacement data (the slug is permanent)
+const validateCategoryUpdate = (req, res, next) => {
+    const { slug: currentSlug } = req.params;
+    const { slug, parent } = req.body;
+    const errors = [];
+
+    if (slug !== undefined && slug !== currentSlug) {
+        errors.push('Slug cannot be changed; create a new category and merge this one into it instead');
+    }
+
+    checkCategoryFields(req.body, errors);
+
+    if (parent && (parent === currentSlug || categoryRegistry.ancestors(parent).includes(currentSlug))) {
+        errors.push('Parent cannot be the category itself or one of its descendants');
+    }
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Category validation failed', errors));
+    }
+
+    req.body = sanitizeCategoryFields(req.body);
+    next();
+};
+
+// Validate a category merge ({ "into": "<slug>" })
+const validateCategoryMerge = (req, res, next) => {
+    const { into } = req.body || {};
+    const errors = [];
+
+    if (typeof into !== 'string' || !categoryRegistry.has(into)) {
+        errors.push(`into must be an existing category slug (${categoryRegistry.slugs().join(', ')})`);
+    } else if (into === req.params.slug) {
+        errors.push('A category cannot be merged into itself');
+    } else if (categoryRegistry.descendants(req.params.slug).includes(into)) {
+        errors.push('A category cannot be merged into one of its descendants');
+    }
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Category merge validation failed', errors));
+    }
+
+    req.body = { into };
+    next();
+};
+
+// Validate an exchange rate update: the currency in the URL and { "rate": <units per 1 unit of the base currency> }
+const validateExchangeRate = (req, res, next) => {
+    const currency = String(req.params.currency).trim().toUpperCase();
+    const { rate } = req.body || {};
+    const errors = [];
+
+    if (!Money.isCurrencyCode(currency)) {
+        errors.push('currency must be a three-letter currency code (e.g. EUR)');
+    } else if (currency === currencyConverter.baseCurrency) {
+        errors.push(`${currency} is the base currency; its rate is always 1`);
+    }
+
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < MIN_EXCHANGE_RATE || rate > MAX_EXCHANGE_RATE) {
+        errors.push(`rate must be a number between ${MIN_EXCHANGE_RATE} and ${MAX_EXCHANGE_RATE}`);
+    }
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Exchange rate validation failed', errors));
+    }
 
-    req.body = sanitizedData;
+    req.exchangeRate = { currency, rate: Money.round(rate, 6) };
+    next();
+};
+
+// Validate a promotion (creation or replacement): a percentage or fixed discount on products and/or categories
+// between startsAt and endsAt (open-ended when endsAt is null)
+const validatePromotion = (req, res, next) => {
+    const { name, type, value, currency, startsAt, endsAt, productIds, categories } = req.body || {};
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        errors.push('Name is required and must be a non-empty string');
+    } else if (name.trim().length > 100) {
+        errors.push('Name must be less than 100 characters');
+    }
+
+    // Fixed discounts are an amount of money, so they carry a currency
+    let discountCurrency = null;
+    if (!PROMOTION_TYPES.includes(type)) {
+        errors.push(`type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+    } else if (type === 'percentage') {
+        if (currency !== undefined && currency !== null) {
+            errors.push('currency only applies to fixed discounts');
+        }
+        if (typeof value !== 'number' || !(value > 0 && value < 100)) {
+            errors.push('value must be a percentage greater than 0 and less than 100');
+        }
+    } else {
+        discountCurrency = checkCurrency(currency === null ? undefined : currency, errors);
+        if (discountCurrency) {
+            const valueError = Money.checkPrice(value, discountCurrency, 'value');
+            if (valueError) errors.push(valueError);
+        }
+    }
+
+    const dates = {};
+    Object.entries({ startsAt, endsAt }).forEach(([field, date]) => {
+        if (field === 'endsAt' && (date === undefined || date === null)) {
+            dates.endsAt = null;
+        } else if (typeof date !== 'string' || isNaN(Date.parse(date))) {
+            errors.push(`${field} must be a valid date${field === 'endsAt' ? ' (or null for no end)' : ''}`);
+        } else {
+            dates[field] = new Date(Date.parse(date)).toISOString();
+        }
+    });
+
+    if (dates.startsAt && dates.endsAt && dates.endsAt <= dates.startsAt) {
+        errors.push('endsAt must be after startsAt');
+    }
+
+    const checkTargets = (list, field) => {
+        if (list === undefined || list === null) return [];
+
+        if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || item.trim().length === 0)) {
+            errors.push(`${field} must be an array of non-empty strings`);
+            return [];
+        }
+
+        return [...new Set(list.map(item => item.trim()))];
+    };
+
+    const targetProducts = checkTargets(productIds, 'productIds');
+    const targetCategories = checkTargets(categories, 'categories').map(slug => slug.toLowerCase());
+    const unknownCategories = targetCategories.filter(slug => !categoryRegistry.has(slug));
+
+    if (unknownCategories.length > 0) {
+        errors.push(`Unknown categories: ${unknownCategories.join(', ')}. Valid categories: ${categoryRegistry.slugs().join(', ')}`);
+    }
+
+    const targetCount = targetProducts.length + targetCategories.length;
+    if (targetCount === 0) {
+        errors.push('A promotion must target at least one product (productIds) or category (categories)');
+    } else if (targetCount > MAX_PROMOTION_TARGETS) {
+        errors.push(`A promotion can target at most ${MAX_PROMOTION_TARGETS} products and categories`);
+    }
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('Promotion validation failed', errors));
+    }
+
+    req.body = {
+        name: name.trim(),
+        type,
+        value: type === 'fixed' ? Money.roundMoney(value, discountCurrency) : Money.round(value),
+        currency: discountCurrency,
+        startsAt: dates.startsAt,
+        endsAt: dates.endsAt,
+        productIds: targetProducts,
+        categories: targetCategories
+    };
     next();
 };
 
@@ -152,8 +694,97 @@ const validateProductId = (req, res, next) => {
     next();
 };
 
+// Validate the optional expiresInDays field shared by key issuing and rotation
+const parseKeyExpiry = (expiresInDays, errors) => {
+    if (expiresInDays === undefined) return undefined;
+
+    const { maxTtlDays } = authConfig.apiKeys;
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > maxTtlDays) {
+        errors.push(`expiresInDays must be an integer between 1 and ${maxTtlDays}`);
+        return undefined;
+    }
+
+    return new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+};
+
+// Validate API key issuing data
+const validateApiKeyCreation = (req, res, next) => {
+    const { owner, role, permissions, expiresInDays } = req.body;
+    const errors = [];
+    const validRoles = Object.keys(authConfig.roles);
+    const validPermissions = [...new Set(Object.values(authConfig.roles).flat())];
+
+    if (!owner || typeof owner !== 'string' || owner.trim().length === 0) {
+        errors.push('Owner is required and must be a non-empty string');
+    } else if (owner.trim().length > 100) {
+        errors.push('Owner must be less than 100 characters');
+    }
+
+    if (!role || !validRoles.includes(role)) {
+        errors.push(`Role is required and must be one of: ${validRoles.join(', ')}`);
+    }
+
+    if (permissions !== undefined) {
+        if (!Array.isArray(permissions) || permissions.length === 0) {
+            errors.push('Permissions must be a non-empty array');
+        } else {
+            const invalidPermissions = permissions.filter(p => !validPermissions.includes(p));
+            if (invalidPermissions.length > 0) {
+                errors.push(`Invalid permissions: ${invalidPermissions.join(', ')}. Valid permissions: ${validPermissions.join(', ')}`);
+            }
+        }
+    }
+
+    const expiresAt = parseKeyExpiry(expiresInDays, errors);
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('API key validation failed', errors));
+    }
+
+    // Sanitize and normalize data
+    req.body = {
+        owner: owner.trim(),
+        role,
+        ...(permissions !== undefined && { permissions: [...new Set(permissions)] }),
+        ...(expiresAt !== undefined && { expiresAt })
+    };
+
+    next();
+};
+
+// Validate API key rotation data
+const validateApiKeyRotation = (req, res, next) => {
+    const { expiresInDays } = req.body || {};
+    const errors = [];
+
+    const expiresAt = parseKeyExpiry(expiresInDays, errors);
+
+    if (errors.length > 0) {
+        return next(ErrorFactory.validation('API key rotation validation failed', errors));
+    }
+
+    req.body = expiresAt !== undefined ? { expiresAt } : {};
+    next();
+};
+
 module.exports = {
     validateProductCreation,
     validateProductUpdate,
-    validateProductId
+    validateProductPatch,
+    applyProductPatch,
+    validateBulkOperations,
+    validateProductImport,
+    validateProductRevert,
+    validateStockMovement,
+    validateStockReservation,
+    validateCategoryCreation,
+    validateCategoryUpdate,
+    validateCategoryMerge,
+    validateExchangeRate,
+    validatePromotion,
+    checkProductCreation,
+    checkProductUpdate,
+    validateProductId,
+    validateApiKeyCreation,
+    validateApiKeyRotation
 };
\ No newline at end of file
@@ -0,0 +1,159 @@
+// repositories/ApiKeyRepository.js - API key storage, issuing and verification
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { authConfig, getRolePermissions } = require('../config/authConfig');
+
+class ApiKeyRepository {
+    constructor(adapter) {
+        if (!adapter) {
+            throw new Error('ApiKeyRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+    }
+
+    // Hash a raw API key (only hashes are ever stored)
+    static hashKey(apiKey) {
+        return crypto.createHash('sha256').update(apiKey).digest('hex');
+    }
+
+    // Generate a new random API key
+    static generateKey() {
+        const { prefix, keyBytes } = authConfig.apiKeys;
+        return `${prefix}_${crypto.randomBytes(keyBytes).toString('hex')}`;
+    }
+
+    // Build a stored record from a seed definition
+    static fromSeed(seed) {
+        return {
+            id: seed.id,
+            keyHash: ApiKeyRepository.hashKey(seed.key),
+            keyPreview: ApiKeyRepository.previewKey(seed.key),
+            owner: seed.owner,
+            role: seed.role,
+            permissions: seed.permissions || getRolePermissions(seed.role),
+            createdAt: seed.createdAt || '2024-01-01T00:00:00Z',
+            expiresAt: seed.expiresAt || null,
+            revoked: false,
+            revokedAt: null,
+            rotatedAt: null
+        };
+    }
+
+    // Short, non-secret representation of a key for listings
+    static previewKey(apiKey) {
+        return `${apiKey.slice(0, 6)}...${apiKey.slice(-4)}`;
+    }
+
+    // Strip secret material from a record before returning it to clients
+    static sanitize(record) {
+        if (!record) return null;
+
+        const { keyHash, ...publicRecord } = record;
+        return {
+            ...publicRecord,
+            status: ApiKeyRepository.getStatus(record)
+        };
+    }
+
+    // Determine whether a key is active, expired or revoked
+    static getStatus(record, now = new Date()) {
+        if (record.revoked) return 'revoked';
+        if (record.expiresAt && new Date(record.expiresAt) <= now) return 'expired';
+        return 'active';
+    }
+
+    // Get all key records
+    async findAll() {
+        return this.adapter.getAll();
+    }
+
+    // Get a key record by ID (null when missing)
+    async findById(id) {
+        return this.adapter.getById(id);
+    }
+
+    // Look up the record matching a raw API key (null when unknown)
+    async findByKey(apiKey) {
+        const keyHash = ApiKeyRepository.hashKey(apiKey);
+        const records = await this.adapter.getAll();
+
+        return records.find(record => record.keyHash.length === keyHash.length &&
+            crypto.timingSafeEqual(Buffer.from(record.keyHash), Buffer.from(keyHash))) || null;
+    }
+
+    // Verify a raw API key and report its status
+    async verify(apiKey) {
+        const record = await this.findByKey(apiKey);
+
+        if (!record) {
+            return { status: 'invalid', record: null };
+        }
+
+        return { status: ApiKeyRepository.getStatus(record), record };
+    }
+
+    // Issue a new API key; the raw key is only returned here
+    async issue({ owner, role, permissions, expiresAt }) {
+        const apiKey = ApiKeyRepository.generateKey();
+        const record = {
+            id: uuidv4(),
+            keyHash: ApiKeyRepository.hashKey(apiKey),
+            keyPreview: ApiKeyRepository.previewKey(apiKey),
+            owner,
+            role,
+            permissions: permissions || getRolePermissions(role),
+            createdAt: new Date().toISOString(),
+            expiresAt: expiresAt === undefined ? ApiKeyRepository.defaultExpiry() : expiresAt,
+            revoked: false,
+            revokedAt: null,
+            rotatedAt: null
+        };
+
+        await this.adapter.insert(record);
+
+        return { apiKey, record };
+    }
+
+    // Replace the secret of an existing key, invalidating the old one (null when missing)
+    async rotate(id, { expiresAt } = {}) {
+        const existing = await this.adapter.getById(id);
+        if (!existing) return null;
+
+        const apiKey = ApiKeyRepository.generateKey();
+        const record = await this.adapter.update(id, {
+            ...existing,
+            keyHash: ApiKeyRepository.hashKey(apiKey),
+            keyPreview: ApiKeyRepository.previewKey(apiKey),
+            expiresAt: expiresAt === undefined ? ApiKeyRepository.defaultExpiry() : expiresAt,
+            rotatedAt: new Date().toISOString()
+        });
+
+        return { apiKey, record };
+    }
+
+    // Revoke a key so it can no longer authenticate (null when missing)
+    async revoke(id) {
+        const existing = await this.adapter.getById(id);
+        if (!existing) return null;
+
+        if (existing.revoked) return existing;
+
+        return this.adapter.update(id, {
+            ...existing,
+            revoked: true,
+            revokedAt: new Date().toISOString()
+        });
+    }
+
+    // Default expiry date for newly issued or rotated keys
+    static defaultExpiry() {
+        const { defaultTtlDays } = authConfig.apiKeys;
+        if (!defaultTtlDays) return null;
+
+        return new Date(Date.now() + defaultTtlDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+}
+
+module.exports = ApiKeyRepository;
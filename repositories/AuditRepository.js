@@ -0,0 +1,95 @@
+// repositories/AuditRepository.js - Product change events (audit trail) storage and queries
+
+const { v4: uuidv4 } = require('uuid');
+
+// Bookkeeping fields that change on every write and are left out of diffs
+const UNDIFFED_FIELDS = ['updatedAt', 'version'];
+
+// Actor recorded for changes made outside a request (e.g. scheduled trash purges)
+const SYSTEM_ACTOR = { keyId: null, owner: 'system', role: 'system', authType: 'system' };
+
+class AuditRepository {
+    constructor(adapter) {
+        if (!adapter) {
+            throw new Error('AuditRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+    }
+
+    // Field-level differences between two product states
+    static diff(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        return [...fields]
+            .filter(field => !UNDIFFED_FIELDS.includes(field))
+            .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+            .map(field => ({
+                field,
+                from: before && before[field] !== undefined ? before[field] : null,
+                to: after && after[field] !== undefined ? after[field] : null
+            }));
+    }
+
+    // Event without the full before/after snapshots (used for listings)
+    static summarize(event) {
+        const { before, after, ...summary } = event;
+        return summary;
+    }
+
+    // Record a change to a product
+    async record({ action, before = null, after = null, requestId = null, actor = null, details = {} }) {
+        const product = after || before;
+        const event = {
+            id: uuidv4(),
+            timestamp: new Date().toISOString(),
+            action,
+            productId: product.id,
+            revision: product.version || 1,
+            requestId,
+            actor: actor || SYSTEM_ACTOR,
+            changes: AuditRepository.diff(before, after),
+            ...details,
+            before,
+            after
+        };
+
+        return this.adapter.insert(event);
+    }
+
+    // Find events matching the given filters, newest first
+    async findAll({ productId, action, keyId, owner, requestId, from, to } = {}) {
+        const events = await this.adapter.getAll();
+
+        // Reverse first so events recorded in the same millisecond stay newest first after the stable sort
+        return events
+            .reverse()
+            .filter(event => !productId || event.productId === productId)
+            .filter(event => !action || event.action === action)
+            .filter(event => !keyId || event.actor.keyId === keyId)
+            .filter(event => !owner || event.actor.owner === owner)
+            .filter(event => !requestId || event.requestId === requestId)
+            .filter(event => !from || event.timestamp >= from)
+            .filter(event => !to || event.timestamp <= to)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    // Change history of one product, newest first
+    async findByProduct(productId) {
+        return this.findAll({ productId });
+    }
+
+    // State of a product at a revision (its version number), or null when no event captured it
+    async findRevision(productId, revision) {
+        const events = await this.findByProduct(productId);
+
+        for (const event of events) {
+            if (event.after && event.after.version === revision) return event.after;
+            if (event.before && (event.before.version || 1) === revision) return event.before;
+        }
+
+        return null;
+    }
+}
+
+module.exports = AuditRepository;
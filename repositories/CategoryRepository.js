@@ -0,0 +1,101 @@
+// repositories/CategoryRepository.js - Product category storage
+
+const EventEmitter = require('events');
+
+class CategoryRepository extends EventEmitter {
+    constructor(adapter) {
+        super();
+
+        if (!adapter) {
+            throw new Error('CategoryRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+    }
+
+    // Derive a URL-safe slug from a display name ("Home & Garden" -> "home-garden")
+    static slugify(text) {
+        return String(text)
+            .normalize('NFKD')
+            .replace(/[̀-ͯ]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    // Get all categories, ordered by slug
+    async findAll() {
+        const categories = await this.adapter.getAll();
+        return categories.sort((a, b) => a.slug.localeCompare(b.slug));
+    }
+
+    // Get a category by slug (null when missing)
+    async findBySlug(slug) {
+        return this.adapter.getById(slug);
+    }
+
+    // Create a category; the slug doubles as its ID and never changes
+    async create({ slug, name, description = null, parent = null }) {
+        const now = new Date().toISOString();
+        const created = await this.adapter.insert({
+            id: slug,
+            slug,
+            name,
+            description,
+            parent,
+            createdAt: now,
+            updatedAt: now
+        });
+
+        this.emit('created', created);
+        return created;
+    }
+
+    // Replace the editable fields of a category (null when missing)
+    async update(slug, { name, description = null, parent = null }) {
+        const existing = await this.adapter.getById(slug);
+        if (!existing) return null;
+
+        const updated = await this.adapter.update(slug, {
+            ...existing,
+            name,
+            description,
+            parent,
+            updatedAt: new Date().toISOString()
+        });
+        if (updated) {
+            this.emit('updated', updated, existing);
+        }
+
+        return updated;
+    }
+
+    // Move every direct child of a category under another parent (null for top level).
+    // A child that is itself the new parent takes the category's own parent instead.
+    async reparentChildren(slug, parent) {
+        const categories = await this.adapter.getAll();
+        const category = categories.find(candidate => candidate.slug === slug);
+        const children = categories.filter(candidate => candidate.parent === slug);
+
+        for (const child of children) {
+            await this.update(child.slug, {
+                ...child,
+                parent: child.slug === parent ? category.parent : parent
+            });
+        }
+
+        return children.length;
+    }
+
+    // Delete a category and return it (null when missing)
+    async delete(slug) {
+        const deleted = await this.adapter.remove(slug);
+        if (deleted) {
+            this.emit('deleted', deleted);
+        }
+
+        return deleted;
+    }
+}
+
+module.exports = CategoryRepository;
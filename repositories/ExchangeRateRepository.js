@@ -0,0 +1,85 @@
+// repositories/ExchangeRateRepository.js - Exchange rate table (units of each currency per 1 unit of the base currency)
+
+const EventEmitter = require('events');
+const { Money } = require('../utils/money');
+
+class ExchangeRateRepository extends EventEmitter {
+    constructor(adapter) {
+        super();
+
+        if (!adapter) {
+            throw new Error('ExchangeRateRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+    }
+
+    // Stored rates for seed rates quoted against USD, re-quoted against the base currency.
+    // The base currency itself is implicit (rate 1) and not stored; nothing is seeded when USD can't be converted to it.
+    static fromSeed(seedRates, baseCurrency) {
+        const base = seedRates.find(seed => seed.currency === baseCurrency);
+        if (!base) return [];
+
+        return seedRates
+            .filter(seed => seed.currency !== baseCurrency)
+            .map(seed => ({
+                id: seed.currency,
+                currency: seed.currency,
+                rate: Money.round(seed.rate / base.rate, 6),
+                createdAt: '2024-01-01T00:00:00Z',
+                updatedAt: '2024-01-01T00:00:00Z',
+                updatedBy: null
+            }));
+    }
+
+    // Get all rates, ordered by currency code
+    async findAll() {
+        const rates = await this.adapter.getAll();
+        return rates.sort((a, b) => a.currency.localeCompare(b.currency));
+    }
+
+    // Get the rate for a currency (null when missing)
+    async findByCurrency(currency) {
+        return this.adapter.getById(currency);
+    }
+
+    // Set the rate for a currency, adding it when it is new; returns the rate and whether it was created
+    async upsert(currency, rate, { updatedBy = null } = {}) {
+        const existing = await this.adapter.getById(currency);
+        const now = new Date().toISOString();
+
+        if (!existing) {
+            const created = await this.adapter.insert({
+                id: currency,
+                currency,
+                rate,
+                createdAt: now,
+                updatedAt: now,
+                updatedBy
+            });
+            this.emit('created', created);
+            return { rate: created, created: true };
+        }
+
+        const updated = await this.adapter.update(currency, {
+            ...existing,
+            rate,
+            updatedAt: now,
+            updatedBy
+        });
+        this.emit('updated', updated, existing);
+        return { rate: updated, created: false };
+    }
+
+    // Delete the rate for a currency and return it (null when missing)
+    async delete(currency) {
+        const deleted = await this.adapter.remove(currency);
+        if (deleted) {
+            this.emit('deleted', deleted);
+        }
+
+        return deleted;
+    }
+}
+
+module.exports = ExchangeRateRepository;
@@ -0,0 +1,87 @@
+// repositories/PriceHistoryRepository.js - Append-only time series of product prices and stock levels
+
+const { v4: uuidv4 } = require('uuid');
+const ProductRepository = require('./ProductRepository');
+const { ProductVariants } = require('../utils/productVariants');
+
+class PriceHistoryRepository {
+    constructor(adapter) {
+        if (!adapter) {
+            throw new Error('PriceHistoryRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+    }
+
+    // A product's prices and stock level as one point of the series
+    static snapshot(product) {
+        return {
+            productId: product.id,
+            price: product.price,
+            currency: product.currency || null,
+            // Effective price of each variant (null for products without variants)
+            variantPrices: ProductVariants.hasVariants(product)
+                ? Object.fromEntries(ProductVariants.items(product).map(item => [item.sku, item.price]))
+                : null,
+            units: ProductRepository.totalStock(product),
+            inStock: Boolean(product.inStock)
+        };
+    }
+
+    // What changed between two snapshots of a product: "price" and/or "stock"
+    static changedFields(before, after) {
+        const changes = [];
+
+        if (before.price !== after.price
+            || before.currency !== after.currency
+            || JSON.stringify(before.variantPrices) !== JSON.stringify(after.variantPrices)) {
+            changes.push('price');
+        }
+
+        if (before.units !== after.units || before.inStock !== after.inStock) {
+            changes.push('stock');
+        }
+
+        return changes;
+    }
+
+    // Starting points for seeded products, recorded at their creation time
+    static fromProducts(products) {
+        return products.map(product => ({
+            id: `seed-${product.id}`,
+            recordedAt: new Date(product.createdAt).toISOString(),
+            ...PriceHistoryRepository.snapshot(product),
+            changes: ['created'],
+            requestId: null
+        }));
+    }
+
+    // Append a point for a product; points are never changed or removed afterwards
+    async record(product, { changes, requestId = null }) {
+        return this.adapter.insert({
+            id: uuidv4(),
+            recordedAt: new Date().toISOString(),
+            ...PriceHistoryRepository.snapshot(product),
+            changes,
+            requestId
+        });
+    }
+
+    // Points matching the given filters, oldest first
+    async findAll({ productId, from, to } = {}) {
+        const points = await this.adapter.getAll();
+
+        return points
+            .filter(point => !productId || point.productId === productId)
+            .filter(point => !from || point.recordedAt >= from)
+            .filter(point => !to || point.recordedAt <= to)
+            .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+    }
+
+    // Series of one product, oldest first
+    async findByProduct(productId, filters = {}) {
+        return this.findAll({ ...filters, productId });
+    }
+}
+
+module.exports = PriceHistoryRepository;
@@ -0,0 +1,376 @@
+// repositories/ProductRepository.js - Product data access layer
+
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { ErrorFactory } = require('../errors');
+const { ProductVariants } = require('../utils/productVariants');
+const { KeyedLock } = require('../utils/keyedLock');
+
+class ProductRepository extends EventEmitter {
+    constructor(adapter) {
+        super();
+
+        if (!adapter) {
+            throw new Error('ProductRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+        // Per-product write locks: every read-merge-write of a product runs under its lock. They only cover this
+        // process; writes also carry the version they were based on, so a store shared with other processes
+        // (JSON files) refuses a write that another process got in before (409) instead of losing it.
+        this.locks = new KeyedLock();
+        // Change events held back by the running withEventsHeld task
+        this.heldEvents = new AsyncLocalStorage();
+    }
+
+    // Run a task while holding a product's write lock, so what it reads isn't overwritten before it writes.
+    // Writes made by the task itself (through this repository) don't wait for the lock it holds.
+    withLock(id, task) {
+        return this.locks.run(id, task);
+    }
+
+    // Run a task while holding the write locks of several products
+    withLocks(ids, task) {
+        return this.locks.runAll(ids, task);
+    }
+
+    // Run a task with the change events its writes cause held back instead of emitted.
+    // Returns the task's result and the held events, which the caller emits with emitHeld or drops.
+    async withEventsHeld(task) {
+        const events = [];
+        const result = await this.heldEvents.run(events, task);
+        return { result, events };
+    }
+
+    // Emit change events held back by withEventsHeld, in the order they happened
+    emitHeld(events) {
+        events.forEach(([event, ...args]) => super.emit(event, ...args));
+    }
+
+    // Emit a change event, unless the running task is holding them back
+    emit(event, ...args) {
+        const held = this.heldEvents.getStore();
+        if (held) {
+            held.push([event, ...args]);
+            return true;
+        }
+
+        return super.emit(event, ...args);
+    }
+
+    // Name of the underlying data source (used in response metadata)
+    get dataSource() {
+        return this.adapter.name;
+    }
+
+    // Whether a product has been moved to the trash
+    static isDeleted(product) {
+        return Boolean(product && product.deletedAt);
+    }
+
+    // Units held across all warehouses
+    static totalStock(product) {
+        return Object.values((product && product.stock) || {}).reduce((sum, quantity) => sum + quantity, 0);
+    }
+
+    // Variants for a product being written: each keeps the stock of the stored variant with its SKU, and
+    // the product's stock becomes their total. Stock would otherwise be lost, so removing a variant that
+    // still holds units (or adding variants to a product that holds units itself) is refused.
+    static carryVariantStock(existing, variants) {
+        const previous = (existing && existing.variants) || [];
+        const stocked = previous
+            .filter(variant => !variants.some(candidate => candidate.sku === variant.sku))
+            .filter(variant => ProductRepository.totalStock(variant) > 0);
+
+        if (stocked.length > 0) {
+            throw ErrorFactory.conflict(
+                `Variants still holding stock cannot be removed: ${stocked.map(variant => variant.sku).join(', ')}`,
+                stocked.map(variant => ({ sku: variant.sku, stock: variant.stock }))
+            );
+        }
+
+        if (variants.length > 0 && previous.length === 0 && ProductRepository.totalStock(existing) > 0) {
+            throw ErrorFactory.conflict(
+                'Variants cannot be added while the product holds stock of its own; sell or adjust it to zero first',
+                [{ stock: existing.stock }]
+            );
+        }
+
+        const carried = variants.map(variant => ({
+            ...variant,
+            stock: (previous.find(candidate => candidate.sku === variant.sku) || {}).stock || {}
+        }));
+
+        return {
+            variants: carried,
+            stock: carried.length > 0 ? ProductVariants.aggregateStock(carried) : (previous.length > 0 ? {} : (existing && existing.stock) || {})
+        };
+    }
+
+    // Throw a conflict when another product (including the trash) already uses one of the SKUs
+    async assertSkusAvailable(variants, productId = null) {
+        const skus = new Set(variants.map(variant => variant.sku));
+        if (skus.size === 0) return;
+
+        const taken = [];
+        (await this.adapter.getAll())
+            .filter(product => product.id !== productId)
+            .forEach(product => (product.variants || []).forEach(variant => {
+                if (skus.has(variant.sku)) taken.push({ sku: variant.sku, productId: product.id });
+            }));
+
+        if (taken.length > 0) {
+            throw ErrorFactory.conflict(
+                `SKU already in use by another product: ${taken.map(entry => entry.sku).join(', ')}`,
+                taken
+            );
+        }
+    }
+
+    // Get all products (products in the trash only when includeDeleted is set)
+    async findAll({ includeDeleted = false } = {}) {
+        const products = await this.adapter.getAll();
+        return includeDeleted ? products : products.filter(product => !ProductRepository.isDeleted(product));
+    }
+
+    // Get a product by ID (null when missing or in the trash, unless includeDeleted is set)
+    async findById(id, { includeDeleted = false } = {}) {
+        const product = await this.adapter.getById(id);
+        if (!product || (!includeDeleted && ProductRepository.isDeleted(product))) return null;
+
+        return product;
+    }
+
+    // Get the products in the trash, most recently deleted first
+    async findDeleted() {
+        const products = await this.adapter.getAll();
+        return products
+            .filter(product => ProductRepository.isDeleted(product))
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    // Count all products (excluding the trash)
+    async count() {
+        const products = await this.findAll();
+        return products.length;
+    }
+
+    // Create a new product; it (and each variant) starts with no stock until units are received
+    async create(product) {
+        const variants = (product.variants || []).map(variant => ({ ...variant, stock: variant.stock || {} }));
+        await this.assertSkusAvailable(variants, product.id);
+
+        const stock = variants.length > 0 ? ProductVariants.aggregateStock(variants) : product.stock || {};
+        const created = await this.adapter.insert({
+            ...product,
+            variants,
+            stock,
+            inStock: ProductRepository.totalStock({ stock }) > 0
+        });
+        this.emit('created', created);
+        return created;
+    }
+
+    // Next version number for a stored product (records written before versioning count as 1)
+    static nextVersion(existing) {
+        return (existing.version || 1) + 1;
+    }
+
+    // Write options that make the adapter refuse the write if another process changed the product since it was
+    // read: since `existing` was read, or since `basedOn`, the copy the caller worked out the change from
+    static writtenOver(existing, basedOn = existing) {
+        return { expectedVersion: basedOn.version || 1 };
+    }
+
+    // Merge changes into an existing product, bumping its version (null when missing or in the trash).
+    // Pass basedOn when the changes were worked out from a product read earlier.
+    async update(id, changes, { basedOn } = {}) {
+        return this.withLock(id, async () => {
+            const existing = await this.findById(id);
+            if (!existing) return null;
+
+            let inventory = {};
+            if (changes.variants !== undefined && changes.stock === undefined) {
+                await this.assertSkusAvailable(changes.variants, id);
+                inventory = ProductRepository.carryVariantStock(existing, changes.variants);
+                inventory.inStock = ProductRepository.totalStock(inventory) > 0;
+            }
+
+            const updated = await this.adapter.update(id, {
+                ...existing,
+                ...changes,
+                ...inventory,
+                id,
+                version: ProductRepository.nextVersion(existing)
+            }, ProductRepository.writtenOver(existing, basedOn));
+            if (updated) {
+                this.emit('updated', updated, existing);
+            }
+
+            return updated;
+        });
+    }
+
+    // Replace every field of an existing product, keeping its ID, creation date and stock (null when missing or in the trash)
+    async replace(id, product, { basedOn } = {}) {
+        return this.withLock(id, async () => {
+            const existing = await this.findById(id);
+            if (!existing) return null;
+
+            const variants = product.variants || [];
+            await this.assertSkusAvailable(variants, id);
+            const inventory = ProductRepository.carryVariantStock(existing, variants);
+            // Products without variants before or after keep their stock status as it was
+            const inStock = variants.length > 0 || ProductVariants.hasVariants(existing)
+                ? ProductRepository.totalStock(inventory) > 0
+                : existing.inStock;
+
+            const replaced = await this.adapter.update(id, {
+                ...product,
+                id,
+                createdAt: existing.createdAt,
+                variants: inventory.variants,
+                stock: inventory.stock,
+                inStock,
+                version: ProductRepository.nextVersion(existing)
+            }, ProductRepository.writtenOver(existing, basedOn));
+            if (replaced) {
+                this.emit('updated', replaced, existing);
+            }
+
+            return replaced;
+        });
+    }
+
+    // Set a product's per-warehouse stock (and its variants' stock when it has variants);
+    // inStock follows the total (null when missing or in the trash)
+    async setStock(id, stock, variants = undefined, { basedOn } = {}) {
+        return this.update(id, {
+            ...(variants !== undefined && { variants }),
+            stock,
+            inStock: ProductRepository.totalStock({ stock }) > 0,
+            updatedAt: new Date().toISOString()
+        }, { basedOn });
+    }
+
+    // Move every product (including the trash) from one category to another; returns how many moved
+    async recategorize(fromCategory, toCategory) {
+        const products = (await this.adapter.getAll()).filter(product => product.category === fromCategory);
+        let moved = 0;
+
+        for (const { id } of products) {
+            await this.withLock(id, async () => {
+                // Re-read under the lock; the product may have changed (or moved) since the list was taken
+                const existing = await this.adapter.getById(id);
+                if (!existing || existing.category !== fromCategory) return;
+
+                const updated = await this.adapter.update(id, {
+                    ...existing,
+                    category: toCategory,
+                    updatedAt: new Date().toISOString(),
+                    version: ProductRepository.nextVersion(existing)
+                }, ProductRepository.writtenOver(existing));
+                if (updated) {
+                    moved++;
+                    this.emit('updated', updated, existing);
+                }
+            });
+        }
+
+        return moved;
+    }
+
+    // Put a product back as it was, recreating it if needed (used to undo changes). A product that still exists
+    // gets a new version rather than its old one, so validators (ETags) issued before the undo don't match again.
+    async reinstate(product) {
+        return this.withLock(product.id, async () => {
+            const existing = await this.adapter.getById(product.id);
+
+            if (existing) {
+                const reinstated = await this.adapter.update(product.id, {
+                    ...product,
+                    updatedAt: new Date().toISOString(),
+                    version: ProductRepository.nextVersion(existing)
+                }, ProductRepository.writtenOver(existing));
+                this.emit('updated', reinstated, existing);
+                return reinstated;
+            }
+
+            const reinstated = await this.adapter.insert(product);
+            this.emit('created', reinstated);
+            return reinstated;
+        });
+    }
+
+    // Move a product to the trash and return it, bumping its version (null when missing or already deleted)
+    async delete(id, { deletedBy = null, basedOn } = {}) {
+        return this.withLock(id, async () => {
+            const existing = await this.findById(id);
+            if (!existing) return null;
+
+            const deleted = await this.adapter.update(id, {
+                ...existing,
+                deletedAt: new Date().toISOString(),
+                deletedBy,
+                version: ProductRepository.nextVersion(existing)
+            }, ProductRepository.writtenOver(existing, basedOn));
+            if (deleted) {
+                this.emit('deleted', deleted, existing);
+            }
+
+            return deleted;
+        });
+    }
+
+    // Take a product out of the trash (null when it isn't there)
+    async restore(id) {
+        return this.withLock(id, async () => {
+            const existing = await this.adapter.getById(id);
+            if (!ProductRepository.isDeleted(existing)) return null;
+
+            const { deletedAt, deletedBy, ...product } = existing;
+            const restored = await this.adapter.update(id, {
+                ...product,
+                updatedAt: new Date().toISOString(),
+                version: ProductRepository.nextVersion(existing)
+            }, ProductRepository.writtenOver(existing));
+            if (restored) {
+                this.emit('restored', restored, existing);
+            }
+
+            return restored;
+        });
+    }
+
+    // Permanently remove a product from the trash (null when it isn't there). Products that are not in the
+    // trash are only removed with includeLive, e.g. to undo a create.
+    async purge(id, { includeLive = false } = {}) {
+        return this.withLock(id, async () => {
+            const existing = await this.adapter.getById(id);
+            if (!existing || (!includeLive && !ProductRepository.isDeleted(existing))) return null;
+
+            const purged = await this.adapter.remove(id, ProductRepository.writtenOver(existing));
+            if (purged) {
+                this.emit('purged', purged);
+            }
+
+            return purged;
+        });
+    }
+
+    // Permanently remove products that have been in the trash longer than the retention period
+    async purgeExpired(retentionMs, now = Date.now()) {
+        const cutoff = now - retentionMs;
+        const expired = (await this.findDeleted()).filter(product => Date.parse(product.deletedAt) <= cutoff);
+        const purged = [];
+
+        for (const product of expired) {
+            const removed = await this.purge(product.id);
+            if (removed) purged.push(removed);
+        }
+
+        return purged;
+    }
+}
+
+module.exports = ProductRepository;
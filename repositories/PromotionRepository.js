@@ -0,0 +1,90 @@
+// repositories/PromotionRepository.js - Scheduled promotion (time-boxed discount) storage
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+class PromotionRepository extends EventEmitter {
+    constructor(adapter) {
+        super();
+
+        if (!adapter) {
+            throw new Error('PromotionRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+    }
+
+    // Where a promotion is in its schedule: scheduled before startsAt, ended at endsAt (never when open-ended)
+    static status(promotion, now = Date.now()) {
+        if (Date.parse(promotion.startsAt) > now) return 'scheduled';
+        if (promotion.endsAt && Date.parse(promotion.endsAt) <= now) return 'ended';
+        return 'active';
+    }
+
+    // Promotion as clients see it, with its current status
+    static present(promotion, now = Date.now()) {
+        return { ...promotion, status: PromotionRepository.status(promotion, now) };
+    }
+
+    // Get all promotions (only those in one status when given), soonest start first
+    async findAll({ status } = {}, now = Date.now()) {
+        const promotions = await this.adapter.getAll();
+
+        return promotions
+            .map(promotion => PromotionRepository.present(promotion, now))
+            .filter(promotion => !status || promotion.status === status)
+            .sort((a, b) => a.startsAt.localeCompare(b.startsAt) || a.id.localeCompare(b.id));
+    }
+
+    // Get a promotion by ID (null when missing)
+    async findById(id, now = Date.now()) {
+        const promotion = await this.adapter.getById(id);
+        return promotion ? PromotionRepository.present(promotion, now) : null;
+    }
+
+    // Create a promotion
+    async create(fields, { createdBy = null } = {}) {
+        const now = new Date().toISOString();
+        const created = await this.adapter.insert({
+            id: uuidv4(),
+            ...fields,
+            createdAt: now,
+            updatedAt: now,
+            createdBy
+        });
+
+        this.emit('created', created);
+        return PromotionRepository.present(created);
+    }
+
+    // Replace the editable fields of a promotion (null when missing)
+    async replace(id, fields) {
+        const existing = await this.adapter.getById(id);
+        if (!existing) return null;
+
+        const replaced = await this.adapter.update(id, {
+            ...fields,
+            id,
+            createdAt: existing.createdAt,
+            createdBy: existing.createdBy,
+            updatedAt: new Date().toISOString()
+        });
+        if (replaced) {
+            this.emit('updated', replaced, existing);
+        }
+
+        return replaced ? PromotionRepository.present(replaced) : null;
+    }
+
+    // Delete a promotion and return it (null when missing)
+    async delete(id) {
+        const deleted = await this.adapter.remove(id);
+        if (deleted) {
+            this.emit('deleted', deleted);
+        }
+
+        return deleted ? PromotionRepository.present(deleted) : null;
+    }
+}
+
+module.exports = PromotionRepository;
@@ -0,0 +1,112 @@
+// repositories/ReservationRepository.js - Stock reservation (checkout hold) storage
+
+const { v4: uuidv4 } = require('uuid');
+
+class ReservationRepository {
+    constructor(adapter) {
+        if (!adapter) {
+            throw new Error('ReservationRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+    }
+
+    // Whether a reservation still holds its units
+    static isActive(reservation, now = Date.now()) {
+        return reservation.status === 'active' && Date.parse(reservation.expiresAt) > now;
+    }
+
+    // Reservation as clients see it: holds past their expiry read as expired before the sweep marks them
+    static present(reservation, now = Date.now()) {
+        if (reservation.status === 'active' && !ReservationRepository.isActive(reservation, now)) {
+            return { ...reservation, status: 'expired' };
+        }
+
+        return reservation;
+    }
+
+    // Hold units of a product (or of one of its variants) in a warehouse until expiresAt
+    async create({ productId, sku = null, warehouse, quantity, expiresAt, reference = null, requestId = null, actor = null }) {
+        const now = new Date().toISOString();
+
+        return this.adapter.insert({
+            id: uuidv4(),
+            productId,
+            sku,
+            warehouse,
+            quantity,
+            status: 'active',
+            reference,
+            expiresAt,
+            createdAt: now,
+            updatedAt: now,
+            requestId,
+            actor
+        });
+    }
+
+    // Get a reservation by ID (null when missing)
+    async findById(id, now = Date.now()) {
+        const reservation = await this.adapter.getById(id);
+        return reservation ? ReservationRepository.present(reservation, now) : null;
+    }
+
+    // Reservations of a product, newest first
+    async findByProduct(productId, { status } = {}, now = Date.now()) {
+        const reservations = await this.adapter.getAll();
+
+        return reservations
+            .filter(reservation => reservation.productId === productId)
+            .map(reservation => ReservationRepository.present(reservation, now))
+            .filter(reservation => !status || reservation.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Units of a product held by active reservations, per warehouse
+    // (only those of one variant when a SKU is given, optionally ignoring one reservation)
+    async heldUnits(productId, { sku = undefined, exclude = null, now = Date.now() } = {}) {
+        const reservations = await this.adapter.getAll();
+        const held = {};
+
+        reservations
+            .filter(reservation => reservation.productId === productId && reservation.id !== exclude)
+            .filter(reservation => sku === undefined || reservation.sku === sku)
+            .filter(reservation => ReservationRepository.isActive(reservation, now))
+            .forEach(reservation => {
+                held[reservation.warehouse] = (held[reservation.warehouse] || 0) + reservation.quantity;
+            });
+
+        return held;
+    }
+
+    // Move a reservation to a new status, recording when it happened (null when missing)
+    async setStatus(id, status, details = {}) {
+        const existing = await this.adapter.getById(id);
+        if (!existing) return null;
+
+        const now = new Date().toISOString();
+        return this.adapter.update(id, {
+            ...existing,
+            ...details,
+            status,
+            updatedAt: now,
+            [`${status}At`]: now
+        });
+    }
+
+    // Mark active reservations past their expiry as expired; returns them
+    async expireStale(now = Date.now()) {
+        const stale = (await this.adapter.getAll())
+            .filter(reservation => reservation.status === 'active' && !ReservationRepository.isActive(reservation, now));
+        const expired = [];
+
+        for (const reservation of stale) {
+            const updated = await this.setStatus(reservation.id, 'expired');
+            if (updated) expired.push(updated);
+        }
+
+        return expired;
+    }
+}
+
+module.exports = ReservationRepository;
@@ -0,0 +1,61 @@
+// repositories/StockMovementRepository.js - Append-only stock movement ledger storage
+
+const { v4: uuidv4 } = require('uuid');
+
+// Actor recorded for movements made outside a request
+const SYSTEM_ACTOR = { keyId: null, owner: 'system', role: 'system', authType: 'system' };
+
+class StockMovementRepository {
+    constructor(adapter) {
+        if (!adapter) {
+            throw new Error('StockMovementRepository requires a storage adapter');
+        }
+
+        this.adapter = adapter;
+    }
+
+    // ID for a movement that is about to be recorded
+    static newId() {
+        return uuidv4();
+    }
+
+    // Append a movement; entries are never changed or removed afterwards
+    async record({ id = uuidv4(), productId, sku = null, type, quantity, warehouse = null, from = null, to = null, reason = null, reservationId = null, changes, requestId = null, actor = null }) {
+        return this.adapter.insert({
+            id,
+            timestamp: new Date().toISOString(),
+            productId,
+            sku,
+            type,
+            quantity,
+            warehouse,
+            from,
+            to,
+            reason,
+            reservationId,
+            changes,
+            requestId,
+            actor: actor || SYSTEM_ACTOR
+        });
+    }
+
+    // Movements matching the given filters, newest first
+    async findAll({ productId, type, warehouse } = {}) {
+        const movements = await this.adapter.getAll();
+
+        // Reverse first so movements recorded in the same millisecond stay newest first after the stable sort
+        return movements
+            .reverse()
+            .filter(movement => !productId || movement.productId === productId)
+            .filter(movement => !type || movement.type === type)
+            .filter(movement => !warehouse || movement.changes.some(change => change.warehouse === warehouse))
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    // Ledger of one product, newest first
+    async findByProduct(productId, filters = {}) {
+        return this.findAll({ ...filters, productId });
+    }
+}
+
+module.exports = StockMovementRepository;
@@ -0,0 +1,203 @@
+// repositories/adapters/JsonFileAdapter.js - JSON file storage adapter
+// Several processes can share one file: every read-modify-write holds a lock file next to it, and
+// update/remove can be told the version the caller read so a record another process changed meanwhile is
+// refused (409) rather than overwritten.
+
+const fs = require('fs');
+const path = require('path');
+const { ErrorFactory } = require('../../errors');
+
+// Lock file timing: retry interval, how long to wait for the lock, and when a lock left by a crashed process is broken
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 15000;
+const LOCK_STALE_MS = 10000;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class JsonFileAdapter {
+    constructor(options = {}) {
+        if (!options.filePath) {
+            throw new Error('JsonFileAdapter requires a filePath option');
+        }
+
+        this.name = 'json-file';
+        this.filePath = options.filePath;
+        this.pretty = options.pretty !== false;
+        this.seedData = options.seed === false ? [] : (options.seedData || []);
+        this.lockPath = `${this.filePath}.lock`;
+        this.lockTimeoutMs = options.lockTimeoutMs || LOCK_TIMEOUT_MS;
+        this.lockStaleMs = options.lockStaleMs || LOCK_STALE_MS;
+
+        // Serialize this process's writes; the lock file serializes them with other processes
+        this.queue = Promise.resolve();
+        // Pending creation of a missing file, shared by concurrent first reads
+        this.seeding = null;
+    }
+
+    // Read all records from disk (re-read every time so other instances' writes are visible)
+    async readRecords() {
+        try {
+            const contents = await fs.promises.readFile(this.filePath, 'utf8');
+            const records = JSON.parse(contents);
+
+            if (!Array.isArray(records)) {
+                throw new Error(`Storage file ${this.filePath} must contain a JSON array`);
+            }
+
+            return records;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+
+            // First run - create the file, optionally seeded with sample data
+            if (!this.seeding) {
+                this.seeding = this.createFile().finally(() => {
+                    this.seeding = null;
+                });
+            }
+            await this.seeding;
+            return this.readRecords();
+        }
+    }
+
+    // Create the missing file with the seed data; linking the finished temp file into place fails
+    // if another process created the file first, so its records are never overwritten
+    async createFile() {
+        const tempPath = `${this.filePath}.${process.pid}.seed.tmp`;
+        const contents = JSON.stringify(this.seedData, null, this.pretty ? 2 : 0);
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, contents, 'utf8');
+
+        try {
+            await fs.promises.link(tempPath, this.filePath);
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        } finally {
+            await fs.promises.unlink(tempPath).catch(() => {});
+        }
+    }
+
+    // Write all records atomically (temp file + rename)
+    async writeRecords(records) {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        const contents = JSON.stringify(records, null, this.pretty ? 2 : 0);
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, contents, 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    // Run a task holding the lock file, so no other process writes the file meanwhile
+    async withFileLock(task) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const deadline = Date.now() + this.lockTimeoutMs;
+
+        for (;;) {
+            try {
+                await fs.promises.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                if (await this.breakStaleLock()) continue;
+                if (Date.now() > deadline) {
+                    throw new Error(`Timed out waiting for the storage lock ${this.lockPath}`);
+                }
+                await delay(LOCK_RETRY_MS);
+            }
+        }
+
+        try {
+            return await task();
+        } finally {
+            await fs.promises.unlink(this.lockPath).catch(() => {});
+        }
+    }
+
+    // Remove a lock file left behind by a process that died while holding it; true when removed
+    async breakStaleLock() {
+        try {
+            const { mtimeMs } = await fs.promises.stat(this.lockPath);
+            if (Date.now() - mtimeMs < this.lockStaleMs) return false;
+
+            await fs.promises.unlink(this.lockPath);
+            return true;
+        } catch (error) {
+            // Released while we looked: try again straight away
+            return error.code === 'ENOENT';
+        }
+    }
+
+    // Throw a conflict when the stored record's version isn't the one the caller read
+    static assertVersion(record, expectedVersion) {
+        if (expectedVersion !== undefined && (record.version || 1) !== expectedVersion) {
+            throw ErrorFactory.conflict(`Record ${record.id} was changed by another writer; retry the request`, [
+                { id: record.id, expectedVersion, currentVersion: record.version || 1 }
+            ]);
+        }
+    }
+
+    // Run a read-modify-write operation in the write queue, holding the lock file
+    mutate(operation) {
+        const result = this.queue.then(() => this.withFileLock(async () => {
+            const records = await this.readRecords();
+            const { records: nextRecords, value } = operation(records);
+
+            if (nextRecords) {
+                await this.writeRecords(nextRecords);
+            }
+
+            return value;
+        }));
+
+        // Keep the queue alive even if this operation fails
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    // Get all stored records (after this instance's pending writes)
+    async getAll() {
+        await this.queue;
+        return this.readRecords();
+    }
+
+    // Get a single record by ID (after this instance's pending writes)
+    async getById(id) {
+        await this.queue;
+        const records = await this.readRecords();
+        return records.find(r => r.id === id) || null;
+    }
+
+    // Insert a new record
+    insert(record) {
+        return this.mutate(records => ({
+            records: [...records, record],
+            value: { ...record }
+        }));
+    }
+
+    // Replace an existing record (refused when it no longer has expectedVersion, if given)
+    update(id, record, { expectedVersion } = {}) {
+        return this.mutate(records => {
+            const index = records.findIndex(r => r.id === id);
+            if (index === -1) return { records: null, value: null };
+            JsonFileAdapter.assertVersion(records[index], expectedVersion);
+
+            records[index] = record;
+            return { records, value: { ...record } };
+        });
+    }
+
+    // Remove a record and return it (refused when it no longer has expectedVersion, if given)
+    remove(id, { expectedVersion } = {}) {
+        return this.mutate(records => {
+            const index = records.findIndex(r => r.id === id);
+            if (index === -1) return { records: null, value: null };
+            JsonFileAdapter.assertVersion(records[index], expectedVersion);
+
+            const removed = records.splice(index, 1)[0];
+            return { records, value: removed };
+        });
+    }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,46 @@
+// repositories/adapters/MemoryAdapter.js - In-memory storage adapter
+
+class MemoryAdapter {
+    constructor(options = {}) {
+        this.name = 'in-memory';
+        this.records = options.seed === false
+            ? []
+            : (options.seedData || []).map(record => ({ ...record }));
+    }
+
+    // Get all stored records
+    async getAll() {
+        return this.records.map(record => ({ ...record }));
+    }
+
+    // Get a single record by ID
+    async getById(id) {
+        const record = this.records.find(r => r.id === id);
+        return record ? { ...record } : null;
+    }
+
+    // Insert a new record
+    async insert(record) {
+        this.records.push({ ...record });
+        return { ...record };
+    }
+
+    // Replace an existing record
+    async update(id, record) {
+        const index = this.records.findIndex(r => r.id === id);
+        if (index === -1) return null;
+
+        this.records[index] = { ...record };
+        return { ...record };
+    }
+
+    // Remove a record and return it
+    async remove(id) {
+        const index = this.records.findIndex(r => r.id === id);
+        if (index === -1) return null;
+
+        return this.records.splice(index, 1)[0];
+    }
+}
+
+module.exports = MemoryAdapter;
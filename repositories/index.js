@@ -0,0 +1,159 @@
+// repositories/index.js - Repository factories and shared instances
+
+const ProductRepository = require('./ProductRepository');
+const ApiKeyRepository = require('./ApiKeyRepository');
+const AuditRepository = require('./AuditRepository');
+const CategoryRepository = require('./CategoryRepository');
+const StockMovementRepository = require('./StockMovementRepository');
+const ReservationRepository = require('./ReservationRepository');
+const ExchangeRateRepository = require('./ExchangeRateRepository');
+const PromotionRepository = require('./PromotionRepository');
+const PriceHistoryRepository = require('./PriceHistoryRepository');
+const MemoryAdapter = require('./adapters/MemoryAdapter');
+const JsonFileAdapter = require('./adapters/JsonFileAdapter');
+const { getStorageConfig } = require('../config/storageConfig');
+const { currencyConfig } = require('../config/currencyConfig');
+const { authConfig } = require('../config/authConfig');
+const seedProducts = require('../data/seedProducts');
+const seedApiKeys = require('../data/seedApiKeys');
+const seedCategories = require('../data/seedCategories');
+const seedExchangeRates = require('../data/seedExchangeRates');
+
+const adapters = {
+    memory: MemoryAdapter,
+    json: JsonFileAdapter
+};
+
+// Create a storage adapter for the configured driver
+const createAdapter = (config, overrides = {}) => {
+    const Adapter = adapters[config.driver];
+
+    if (!Adapter) {
+        throw new Error(`No storage adapter registered for driver "${config.driver}"`);
+    }
+
+    return new Adapter({ ...config.options, ...overrides });
+};
+
+// Create a product repository for the given (or configured) storage driver
+const createProductRepository = (config = getStorageConfig()) => {
+    return new ProductRepository(createAdapter(config, {
+        seedData: seedProducts
+    }));
+};
+
+// Keys seeded into an empty key store: the published development keys in development,
+// otherwise only the admin key from ADMIN_API_KEY (when set)
+const getApiKeySeeds = () => {
+    const { seedDevelopmentKeys, bootstrapAdminKey } = authConfig.apiKeys;
+
+    if (seedDevelopmentKeys) return seedApiKeys;
+    return bootstrapAdminKey ? [{ id: 'admin', key: bootstrapAdminKey, owner: 'administrator', role: 'admin' }] : [];
+};
+
+// Create an API key repository for the given (or configured) storage driver
+const createApiKeyRepository = (config = getStorageConfig()) => {
+    return new ApiKeyRepository(createAdapter(config, {
+        filePath: config.options.apiKeysFilePath,
+        seedData: getApiKeySeeds().map(ApiKeyRepository.fromSeed)
+    }));
+};
+
+// Create a category repository for the given (or configured) storage driver
+const createCategoryRepository = (config = getStorageConfig()) => {
+    return new CategoryRepository(createAdapter(config, {
+        filePath: config.options.categoriesFilePath,
+        seedData: seedCategories
+    }));
+};
+
+// Create an audit event repository for the given (or configured) storage driver
+const createAuditRepository = (config = getStorageConfig()) => {
+    return new AuditRepository(createAdapter(config, {
+        filePath: config.options.auditFilePath,
+        seedData: []
+    }));
+};
+
+// Create a stock movement ledger repository for the given (or configured) storage driver
+const createStockMovementRepository = (config = getStorageConfig()) => {
+    return new StockMovementRepository(createAdapter(config, {
+        filePath: config.options.stockMovementsFilePath,
+        seedData: []
+    }));
+};
+
+// Create a stock reservation repository for the given (or configured) storage driver
+const createReservationRepository = (config = getStorageConfig()) => {
+    return new ReservationRepository(createAdapter(config, {
+        filePath: config.options.reservationsFilePath,
+        seedData: []
+    }));
+};
+
+// Create an exchange rate repository for the given (or configured) storage driver
+const createExchangeRateRepository = (config = getStorageConfig()) => {
+    return new ExchangeRateRepository(createAdapter(config, {
+        filePath: config.options.exchangeRatesFilePath,
+        seedData: ExchangeRateRepository.fromSeed(seedExchangeRates, currencyConfig.baseCurrency)
+    }));
+};
+
+// Create a promotion repository for the given (or configured) storage driver
+const createPromotionRepository = (config = getStorageConfig()) => {
+    return new PromotionRepository(createAdapter(config, {
+        filePath: config.options.promotionsFilePath,
+        seedData: []
+    }));
+};
+
+// Create a price and stock history repository for the given (or configured) storage driver
+const createPriceHistoryRepository = (config = getStorageConfig()) => {
+    return new PriceHistoryRepository(createAdapter(config, {
+        filePath: config.options.priceHistoryFilePath,
+        seedData: PriceHistoryRepository.fromProducts(seedProducts)
+    }));
+};
+
+// Create singleton instances
+const productRepository = createProductRepository();
+const apiKeyRepository = createApiKeyRepository();
+const categoryRepository = createCategoryRepository();
+const auditRepository = createAuditRepository();
+const stockMovementRepository = createStockMovementRepository();
+const reservationRepository = createReservationRepository();
+const exchangeRateRepository = createExchangeRateRepository();
+const promotionRepository = createPromotionRepository();
+const priceHistoryRepository = createPriceHistoryRepository();
+
+module.exports = {
+    ProductRepository,
+    ApiKeyRepository,
+    AuditRepository,
+    CategoryRepository,
+    StockMovementRepository,
+    ReservationRepository,
+    ExchangeRateRepository,
+    PromotionRepository,
+    PriceHistoryRepository,
+    MemoryAdapter,
+    JsonFileAdapter,
+    createProductRepository,
+    createApiKeyRepository,
+    createCategoryRepository,
+    createAuditRepository,
+    createStockMovementRepository,
+    createReservationRepository,
+    createExchangeRateRepository,
+    createPromotionRepository,
+    createPriceHistoryRepository,
+    productRepository,
+    apiKeyRepository,
+    categoryRepository,
+    auditRepository,
+    stockMovementRepository,
+    reservationRepository,
+    exchangeRateRepository,
+    promotionRepository,
+    priceHistoryRepository
+};
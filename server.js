@@ -3,15 +3,33 @@
 // Import required modules
 const express = require('express');
 const bodyParser = require('body-parser');
+const qs = require('qs');
+const { Readable, pipeline } = require('stream');
 const { v4: uuidv4 } = require('uuid');
 
 // Import custom middleware
 const logger = require('./middleware/logger');
-const { authenticateApiKey, requirePermission } = require('./middleware/auth');
+const { authenticateApiKey, requireRole, requirePermission } = require('./middleware/auth');
+const { bindRequestContext } = require('./middleware/requestContext');
+const { rateLimit, limitFailedAuth } = require('./middleware/rateLimiter');
 const {
     validateProductCreation,
-    validateProductUpdate,
-    validateProductId
+    validateProductPatch,
+    applyProductPatch,
+    validateBulkOperations,
+    validateProductImport,
+    validateProductRevert,
+    validateStockMovement,
+    validateStockReservation,
+    validateCategoryCreation,
+    validateCategoryUpdate,
+    validateCategoryMerge,
+    validateExchangeRate,
+    validatePromotion,
+    checkProductCreation,
+    validateProductId,
+    validateApiKeyCreation,
+    validateApiKeyRotation
 } = require('./middleware/validation');
 const {
     globalErrorHandler,
@@ -21,7 +39,7 @@ const {
 } = require('./middleware/errorHandler');
 
 // Import error handling utilities
-const { ErrorFactory } = require('./errors');
+const { ErrorFactory, AuthenticationError } = require('./errors');
 const { requestIdMiddleware } = require('./middleware/errorHandler');
 
 // Import query processing utilities
@@ -29,20 +47,74 @@ const { QueryProcessor, ResponseBuilder } = require('./utils/queryHelpers');
 const StatsCalculator = require('./utils/statsCalculator');
 const {
     validateProductQuery,
-    validateStatsQuery
+    validateStatsQuery,
+    validatePriceHistoryQuery,
+    validateAutocompleteQuery,
+    validateProjectionQuery,
+    validatePricingQuery,
+    validateExportQuery,
+    validateAuditQuery,
+    validateStockMovementQuery,
+    validateReservationQuery,
+    validatePromotionQuery
 } = require('./middleware/queryValidation');
+const { setValidators, assertPreconditions, isNotModified } = require('./middleware/conditionalRequests');
+const { BulkOperationProcessor } = require('./utils/bulkOperations');
+const { ProductTransfer, EXPORT_FIELDS, EXPORT_FORMATS, IMPORT_FORMATS } = require('./utils/productTransfer');
+const { trashConfig, getPurgeDate } = require('./config/trashConfig');
+
+// Import data access layer (storage driver selected by STORAGE_DRIVER)
+const {
+    productRepository,
+    apiKeyRepository,
+    auditRepository,
+    categoryRepository,
+    stockMovementRepository,
+    reservationRepository,
+    exchangeRateRepository,
+    promotionRepository,
+    priceHistoryRepository,
+    ProductRepository,
+    ApiKeyRepository,
+    AuditRepository
+} = require('./repositories');
+const AuditTrail = require('./utils/auditTrail');
+const PriceHistory = require('./utils/priceHistory');
+const { requestContext } = require('./utils/requestContext');
+const { tokenService } = require('./utils/tokenService');
+const { productSearchIndex } = require('./utils/searchIndex');
+const { productAutocomplete } = require('./utils/autocomplete');
+const { categoryRegistry } = require('./utils/categoryRegistry');
+const { currencyConverter } = require('./utils/currencyConverter');
+const { Money } = require('./utils/money');
+const { PromotionEngine, promotionEngine } = require('./utils/promotionEngine');
+const { StockLedger } = require('./utils/stockLedger');
+const { inventoryConfig } = require('./config/inventoryConfig');
+const { statsConfig } = require('./config/statsConfig');
+const { authConfig } = require('./config/authConfig');
+const seedApiKeys = require('./data/seedApiKeys');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Parse nested query strings deeply enough for grouped filter expressions (filter[or][0][and][0][price][gt]=...)
+app.set('query parser', (queryString) => qs.parse(queryString, { depth: 10 }));
+
 // Middleware setup
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+    limit: '1mb',
+    type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+}));
+app.use(bodyParser.text({ type: Object.keys(IMPORT_FORMATS), limit: '5mb' })); // CSV/NDJSON catalog imports
 
 // Apply custom middleware
 app.use(logger); // Log all requests
 app.use(requestIdMiddleware); // Add request IDs for tracking
+app.use(limitFailedAuth()); // Refuse IPs with too many failed authentication attempts
 app.use(authenticateApiKey); // Authenticate API requests
+app.use(rateLimit()); // Throttle requests per API key (per IP for public routes)
+app.use(bindRequestContext); // Make the request ID and user available to the audit trail
 
 // Add health check middleware
 app.use(healthCheckMiddleware);
@@ -59,112 +131,59 @@ if (process.env.NODE_ENV !== 'production') {
     });
 }
 
-// Trust proxy for correct IP addresses
-app.set('trust proxy', true);
-
-// Sample in-memory products database
-let products = [
-    {
-        id: '1',
-        name: 'Gaming Laptop Pro',
-        description: 'High-performance gaming laptop with RTX 4070, 16GB RAM, and 1TB SSD',
-        price: 1599.99,
-        category: 'electronics',
-        inStock: true,
-        createdAt: '2024-01-15T10:30:00Z',
-        updatedAt: '2024-01-15T10:30:00Z'
-    },
-    {
-        id: '2',
-        name: 'iPhone 15 Pro',
-        description: 'Latest Apple smartphone with titanium design and 48MP camera system',
-        price: 1199.99,
-        category: 'electronics',
-        inStock: true,
-        createdAt: '2024-01-10T14:20:00Z',
-        updatedAt: '2024-01-10T14:20:00Z'
-    },
-    {
-        id: '3',
-        name: 'Premium Coffee Maker',
-        description: 'Programmable drip coffee maker with thermal carafe and timer',
-        price: 89.99,
-        category: 'kitchen',
-        inStock: false,
-        createdAt: '2024-01-08T09:15:00Z',
-        updatedAt: '2024-01-20T16:45:00Z'
-    },
-    {
-        id: '4',
-        name: 'Wireless Bluetooth Headphones',
-        description: 'Premium noise-cancelling headphones with 30-hour battery life',
-        price: 249.99,
-        category: 'electronics',
-        inStock: true,
-        createdAt: '2024-01-12T11:00:00Z',
-        updatedAt: '2024-01-12T11:00:00Z'
-    },
-    {
-        id: '5',
-        name: 'Organic Cotton T-Shirt',
-        description: 'Comfortable organic cotton t-shirt in various colors and sizes',
-        price: 29.99,
-        category: 'clothing',
-        inStock: true,
-        createdAt: '2024-01-18T13:30:00Z',
-        updatedAt: '2024-01-18T13:30:00Z'
-    },
-    {
-        id: '6',
-        name: 'JavaScript Programming Guide',
-        description: 'Complete guide to modern JavaScript programming and web development',
-        price: 39.99,
-        category: 'books',
-        inStock: true,
-        createdAt: '2024-01-05T08:45:00Z',
-        updatedAt: '2024-01-05T08:45:00Z'
-    },
-    {
-        id: '7',
-        name: 'Professional Tennis Racket',
-        description: 'High-quality tennis racket used by professional players',
-        price: 189.99,
-        category: 'sports',
-        inStock: false,
-        createdAt: '2024-01-14T16:20:00Z',
-        updatedAt: '2024-01-22T10:15:00Z'
-    },
-    {
-        id: '8',
-        name: 'Stainless Steel Cookware Set',
-        description: '10-piece professional stainless steel cookware set with non-stick coating',
-        price: 299.99,
-        category: 'kitchen',
-        inStock: true,
-        createdAt: '2024-01-11T12:10:00Z',
-        updatedAt: '2024-01-11T12:10:00Z'
-    },
-    {
-        id: '9',
-        name: 'Educational Building Blocks',
-        description: 'Creative building blocks set for children aged 3-10 years',
-        price: 49.99,
-        category: 'toys',
-        inStock: true,
-        createdAt: '2024-01-16T15:25:00Z',
-        updatedAt: '2024-01-16T15:25:00Z'
-    },
-    {
-        id: '10',
-        name: 'Luxury Leather Jacket',
-        description: 'Premium genuine leather jacket with modern fit and design',
-        price: 399.99,
-        category: 'clothing',
-        inStock: false,
-        createdAt: '2024-01-07T07:30:00Z',
-        updatedAt: '2024-01-21T14:20:00Z'
-    }
-];
+// Trust only the reverse proxies actually in front of the app (TRUST_PROXY_HOPS), so a client can't choose its
+// own req.ip - which keys the rate limits - by sending a forged X-Forwarded-For header
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0);
+
+// Load the category list used by product validation and filtering, and keep it in sync with category changes
+categoryRegistry.syncWith(categoryRepository)
+    .catch(error => console.error(`Failed to load categories: ${error.message}`));
+
+// Load the exchange rate table used to convert prices, and keep it in sync with rate changes
+currencyConverter.syncWith(exchangeRateRepository)
+    .catch(error => console.error(`Failed to load exchange rates: ${error.message}`));
+
+// Load the promotions used to work out sale prices, and keep them in sync with promotion changes
+promotionEngine.syncWith(promotionRepository)
+    .catch(error => console.error(`Failed to load promotions: ${error.message}`));
+
+// Build the full-text search index and autocomplete trie, and keep them in sync with product changes
+productSearchIndex.syncWith(productRepository)
+    .catch(error => console.error(`Failed to build the search index: ${error.message}`));
+productAutocomplete.syncWith(productRepository)
+    .catch(error => console.error(`Failed to build the autocomplete index: ${error.message}`));
+
+// Record every product change (with the acting key and request ID) in the audit trail
+new AuditTrail(auditRepository).attach(productRepository);
+
+// Record every price and stock change as a point of the product's price history
+new PriceHistory(priceHistoryRepository).attach(productRepository);
+
+// Apply stock movements and reservations to products and keep the movement ledger
+const stockLedger = new StockLedger(productRepository, stockMovementRepository, reservationRepository);
+
+// Mark checkout holds past their expiry as expired
+const expireReservations = () => stockLedger.expireReservations()
+    .then(expired => {
+        if (expired.length > 0) {
+            console.log(`⏱️  Expired ${expired.length} stock reservation(s)`);
+        }
+    })
+    .catch(error => console.error(`Reservation expiry failed: ${error.message}`));
+
+setInterval(expireReservations, inventoryConfig.reservationSweepIntervalMs).unref();
+
+// Permanently remove products that have been in the trash longer than the retention period
+const purgeExpiredProducts = () => productRepository.purgeExpired(trashConfig.retentionMs)
+    .then(purged => {
+        if (purged.length > 0) {
+            console.log(`🗑️  Purged ${purged.length} product(s) from the trash`);
+        }
+    })
+    .catch(error => console.error(`Trash purge failed: ${error.message}`));
+
+purgeExpiredProducts();
+setInterval(purgeExpiredProducts, trashConfig.purgeIntervalMs).unref();
 
 // Root route
 app.get('/', (req, res) => {
@@ -173,7 +192,9 @@ app.get('/', (req, res) => {
 
 // GET /api/products - Get all products with filtering, pagination, search, and sorting
 app.get('/api/products', validateProductQuery, asyncHandler(async (req, res) => {
-    let processedProducts = [...products]; // Create a copy to avoid mutating original
+    // Sale prices from running promotions (filters and price sorting use them)
+    const products = promotionEngine.applyAll(await productRepository.findAll({ includeDeleted: req.includeDeleted }));
+    let processedProducts = [...products];
 
     // Apply search if provided
     if (req.search.term) {
@@ -187,7 +208,7 @@ app.get('/api/products', validateProductQuery, asyncHandler(async (req, res) =>
     processedProducts = QueryProcessor.applySorting(processedProducts, req.sort);
 
     // Apply pagination
-    const result = QueryProcessor.applyPagination(processedProducts, req.pagination);
+    const result = QueryProcessor.applyPagination(processedProducts, req.pagination, req.sort);
 
     // Build comprehensive response
     const response = ResponseBuilder.buildListResponse(
@@ -196,19 +217,53 @@ app.get('/api/products', validateProductQuery, asyncHandler(async (req, res) =>
         req.filters,
         req.search,
         req.sort,
-        result.pagination
+        result.pagination,
+        { ...req.projection, catalog: products, pricing: req.pricing }
     );
 
     res.status(200).json(response);
 }));
 
+// GET /api/products/export - Download the (filtered, searched, sorted) catalog as CSV, NDJSON or JSON, written in chunks
+app.get('/api/products/export', validateProductQuery, validateExportQuery, asyncHandler(async (req, res) => {
+    // Sale prices from running promotions, so filters and price sorting match the listing
+    let processedProducts = promotionEngine.applyAll(await productRepository.findAll({ includeDeleted: req.includeDeleted }));
+
+    if (req.search.term) {
+        processedProducts = QueryProcessor.applySearch(processedProducts, req.search);
+    }
+
+    processedProducts = QueryProcessor.applyFilters(processedProducts, req.filters);
+    processedProducts = QueryProcessor.applySorting(processedProducts, req.sort);
+
+    const { format } = req.export;
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const fields = req.projection.fields || EXPORT_FIELDS;
+    const filename = `products-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    res.status(200);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Total-Count', String(processedProducts.length));
+
+    const present = product => currencyConverter.convertProduct(product, req.pricing.currency);
+
+    pipeline(Readable.from(ProductTransfer.exportChunks(processedProducts, format, fields, { present })), res, (error) => {
+        if (error) {
+            console.error(`Export stream failed: ${error.message}`);
+        }
+    });
+}));
+
 // GET /api/products/search - Dedicated search endpoint
-app.get('/api/products/search', validateProductQuery, asyncHandler(async (req, res) => {
+app.get('/api/products/search', rateLimit('search'), validateProductQuery, asyncHandler(async (req, res) => {
     // Require search term for this endpoint
     if (!req.search.term) {
         throw ErrorFactory.validation('Search term is required', ['Query parameter "q" or "search" is required'], 'search');
     }
 
+    // Sale prices from running promotions (filters and price sorting use them)
+    const products = promotionEngine.applyAll(await productRepository.findAll({ includeDeleted: req.includeDeleted }));
     let searchResults = [...products];
 
     // Apply search
@@ -217,31 +272,48 @@ app.get('/api/products/search', validateProductQuery, asyncHandler(async (req, r
     // Apply additional filters if provided
     searchResults = QueryProcessor.applyFilters(searchResults, req.filters);
 
-    // Apply sorting (relevance-based for search)
+    // Apply sorting (relevance by default for search)
     searchResults = QueryProcessor.applySorting(searchResults, req.sort);
 
     // Apply pagination
-    const result = QueryProcessor.applyPagination(searchResults, req.pagination);
+    const result = QueryProcessor.applyPagination(searchResults, req.pagination, req.sort);
+
+    // Spelling corrections and closest product names derived from the catalog vocabulary
+    const spelling = productSearchIndex.suggest(req.search.term, products);
 
     // Search response
     const response = {
         success: true,
-        data: result.data,
+        data: result.data.map(product => {
+            const presented = currencyConverter.present(product, req.pricing);
+            return {
+                ...QueryProcessor.projectProduct(presented, req.projection.fields),
+                ...ResponseBuilder.buildProductIncludes(presented, products, req.projection.include)
+            };
+        }),
         meta: {
             search: {
                 term: req.search.term,
                 fields: req.search.fields,
                 resultsFound: searchResults.length,
+                didYouMean: spelling.didYouMean,
                 searchTime: `${Date.now() - req.startTime}ms`
             },
             pagination: result.pagination,
             filters: req.filters,
-            suggestions: searchResults.length === 0 ? [
-                'Try using different keywords',
-                'Check for spelling errors',
-                'Use broader search terms',
-                'Browse categories: ' + [...new Set(products.map(p => p.category))].join(', ')
-            ] : null
+            pricing: req.pricing,
+            suggestions: searchResults.length === 0 ? {
+                didYouMean: spelling.didYouMean,
+                corrections: spelling.corrections,
+                closestProducts: spelling.closestProducts,
+                categories: [...new Set(products.map(p => p.category))]
+            } : null,
+            ...(req.projection.include.includes('categoryStats') && {
+                categoryStats: ResponseBuilder.buildCategoryStats(
+                    result.data,
+                    currencyConverter.convertAll(products, req.pricing.currency || currencyConverter.baseCurrency)
+                )
+            })
         },
         message: `Found ${result.data.length} product(s) matching "${req.search.term}"`
     };
@@ -249,21 +321,45 @@ app.get('/api/products/search', validateProductQuery, asyncHandler(async (req, r
     res.status(200).json(response);
 }));
 
-// GET /api/products/stats - Product statistics endpoint
-app.get('/api/products/stats', validateStatsQuery, asyncHandler(async (req, res) => {
-    let analyticsProducts = [...products];
+// GET /api/products/autocomplete - Type-ahead completions for product names, categories and keywords
+app.get('/api/products/autocomplete', validateAutocompleteQuery, asyncHandler(async (req, res) => {
+    const { prefix, limit } = req.autocomplete;
+    const completions = productAutocomplete.complete(prefix, limit);
+
+    res.status(200).json({
+        success: true,
+        data: completions,
+        meta: {
+            prefix: prefix,
+            limit: limit,
+            resultsFound: completions.length
+        },
+        message: `Found ${completions.length} completion(s) for "${prefix}"`
+    });
+}));
+
+// Products stats are worked out over: filtered by the category query (a category includes its subcategories)
+// and converted to one currency, since amounts are only comparable in one currency
+const loadAnalyticsProducts = async (query, currency) => {
+    let products = await productRepository.findAll();
 
-    // Apply category filter if provided
-    if (req.query.category) {
-        const categories = Array.isArray(req.query.category)
-            ? req.query.category.map(c => c.toLowerCase())
-            : [req.query.category.toLowerCase()];
+    if (query.category) {
+        const categories = (Array.isArray(query.category) ? query.category : [query.category])
+            .flatMap(c => categoryRegistry.subtree(String(c).toLowerCase()));
 
-        analyticsProducts = analyticsProducts.filter(p => categories.includes(p.category));
+        products = products.filter(p => categories.includes(p.category));
     }
 
+    return currencyConverter.convertAll(products, currency);
+};
+
+// GET /api/products/stats - Product statistics endpoint
+app.get('/api/products/stats', validateStatsQuery(), asyncHandler(async (req, res) => {
+    const analyticsProducts = await loadAnalyticsProducts(req.query, req.statsOptions.currency);
+    const history = await priceHistoryRepository.findAll();
+
     // Calculate comprehensive statistics
-    const stats = StatsCalculator.calculateProductStats(analyticsProducts);
+    const stats = StatsCalculator.calculateProductStats(analyticsProducts, { ...req.statsOptions, history });
 
     // Handle format parameter
     if (req.query.format === 'summary') {
@@ -273,6 +369,7 @@ app.get('/api/products/stats', validateStatsQuery, asyncHandler(async (req, res)
                 totalProducts: stats.overview.totalProducts,
                 inStock: stats.overview.inStockProducts,
                 averagePrice: stats.overview.averagePrice,
+                currency: req.statsOptions.currency,
                 categories: Object.keys(stats.byCategory).length,
                 topCategory: Object.entries(stats.byCategory)
                     .sort(([,a], [,b]) => b.count - a.count)[0]?.[0] || 'N/A'
@@ -283,7 +380,7 @@ app.get('/api/products/stats', validateStatsQuery, asyncHandler(async (req, res)
     }
 
     // Full detailed response
-    const response = ResponseBuilder.buildStatsResponse(analyticsProducts, stats);
+    const response = ResponseBuilder.buildStatsResponse(analyticsProducts, stats, productRepository.dataSource, req.statsOptions.currency);
 
     // Add additional metadata if detailed=true
     if (req.query.detailed === 'true') {
@@ -297,77 +394,309 @@ app.get('/api/products/stats', validateStatsQuery, asyncHandler(async (req, res)
     res.status(200).json(response);
 }));
 
-// GET /api/products/categories - Get all available categories with counts
-app.get('/api/products/categories', asyncHandler(async (req, res) => {
-    const categoryStats = {};
-
-    products.forEach(product => {
-        if (!categoryStats[product.category]) {
-            categoryStats[product.category] = {
-                name: product.category,
-                count: 0,
-                inStock: 0,
-                averagePrice: 0,
-                priceRange: { min: Infinity, max: -Infinity }
-            };
-        }
+// GET /api/products/stats/timeseries - A metric per day, week or month, ready to chart
+app.get('/api/products/stats/timeseries', validateStatsQuery({ timeseries: true }), asyncHandler(async (req, res) => {
+    const analyticsProducts = await loadAnalyticsProducts(req.query, req.statsOptions.currency);
+    const history = req.statsOptions.metric === 'created' ? [] : await priceHistoryRepository.findAll();
+    const timeseries = StatsCalculator.calculateTimeseries(analyticsProducts, history, req.statsOptions);
+
+    res.status(200).json({
+        success: true,
+        data: timeseries,
+        meta: {
+            totalProducts: analyticsProducts.length,
+            buckets: timeseries.labels.length,
+            series: timeseries.series.length,
+            generatedAt: new Date().toISOString(),
+            dataSource: productRepository.dataSource
+        },
+        message: 'Product time series retrieved successfully'
+    });
+}));
 
-        const stats = categoryStats[product.category];
-        stats.count++;
-        if (product.inStock) stats.inStock++;
-        stats.priceRange.min = Math.min(stats.priceRange.min, product.price);
-        stats.priceRange.max = Math.max(stats.priceRange.max, product.price);
+// GET /api/products/categories - Get the category tree with counts and price ranges rolled up per node
+app.get('/api/products/categories', validatePricingQuery, asyncHandler(async (req, res) => {
+    const currency = req.pricing.currency || currencyConverter.baseCurrency;
+    const products = await productRepository.findAll();
+    const tree = StatsCalculator.calculateCategoryTree(currencyConverter.convertAll(products, currency));
+    const countNodes = nodes => nodes.reduce((sum, node) => sum + 1 + countNodes(node.children), 0);
+
+    res.status(200).json({
+        success: true,
+        data: tree,
+        meta: {
+            totalCategories: countNodes(tree),
+            totalProducts: products.length,
+            currency
+        },
+        message: 'Categories retrieved successfully'
     });
+}));
 
-    // Calculate averages and format
-    Object.values(categoryStats).forEach(stats => {
-        const categoryProducts = products.filter(p => p.category === stats.name);
-        const totalValue = categoryProducts.reduce((sum, p) => sum + p.price, 0);
-        stats.averagePrice = parseFloat((totalValue / stats.count).toFixed(2));
+// GET /api/products/trash - List deleted products that can still be restored
+app.get('/api/products/trash', requirePermission('delete'), asyncHandler(async (req, res) => {
+    const deletedProducts = await productRepository.findDeleted();
 
-        if (stats.priceRange.min === Infinity) stats.priceRange.min = 0;
-        if (stats.priceRange.max === -Infinity) stats.priceRange.max = 0;
+    res.status(200).json({
+        success: true,
+        data: deletedProducts.map(product => ({ ...product, purgeAt: getPurgeDate(product) })),
+        meta: {
+            count: deletedProducts.length,
+            retentionDays: trashConfig.retentionDays
+        },
+        message: 'Trash retrieved successfully'
     });
+}));
+
+// GET /api/products/low-stock - Products at or below their low-stock threshold, fewest units first
+app.get('/api/products/low-stock', asyncHandler(async (req, res) => {
+    const products = await productRepository.findAll();
+    const lowStock = products
+        .filter(product => StockLedger.isLowStock(product))
+        .map(product => ({
+            ...product,
+            totalStock: ProductRepository.totalStock(product),
+            lowStockThreshold: StockLedger.lowStockThreshold(product)
+        }))
+        .sort((a, b) => a.totalStock - b.totalStock || a.name.localeCompare(b.name));
 
     res.status(200).json({
         success: true,
-        data: Object.values(categoryStats).sort((a, b) => b.count - a.count),
+        data: lowStock,
         meta: {
-            totalCategories: Object.keys(categoryStats).length,
-            totalProducts: products.length
+            count: lowStock.length,
+            outOfStock: lowStock.filter(product => product.totalStock === 0).length,
+            defaultLowStockThreshold: inventoryConfig.defaultLowStockThreshold
         },
-        message: 'Categories retrieved successfully'
+        message: 'Low-stock products retrieved successfully'
+    });
+}));
+
+// GET /api/products/:id/stock-movements - Stock movement ledger of a product, newest first
+app.get('/api/products/:id/stock-movements',
+    validateProductId,
+    validateStockMovementQuery,
+    asyncHandler(async (req, res) => {
+        const productId = req.params.id;
+        const product = await productRepository.findById(productId, { includeDeleted: true });
+
+        if (!product) {
+            throw ErrorFactory.notFound('Product', productId);
+        }
+
+        const [movements, availability] = await Promise.all([
+            stockMovementRepository.findByProduct(productId, req.movementFilters),
+            stockLedger.availabilityOf(product)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: movements,
+            meta: {
+                productId,
+                ...availability,
+                totalStock: ProductRepository.totalStock(product),
+                count: movements.length
+            },
+            message: 'Stock movements retrieved successfully'
+        });
+    })
+);
+
+// GET /api/products/:id/price-history - Price and stock level of a product over time, oldest first
+app.get('/api/products/:id/price-history',
+    validateProductId,
+    validatePriceHistoryQuery,
+    asyncHandler(async (req, res) => {
+        const productId = req.params.id;
+        const { filters, currency: requestedCurrency } = req.priceHistoryQuery;
+        const [product, history] = await Promise.all([
+            productRepository.findById(productId, { includeDeleted: true }),
+            priceHistoryRepository.findByProduct(productId, filters)
+        ]);
+
+        // Purged products keep their history
+        if (!product && (await priceHistoryRepository.findByProduct(productId)).length === 0) {
+            throw ErrorFactory.notFound('Product', productId);
+        }
+
+        // Points are reported in one currency: the requested one, or the one the product is priced in
+        const currency = requestedCurrency || currencyConverter.currencyOf(product || history[history.length - 1]);
+        const points = history.map(point => {
+            const from = currencyConverter.currencyOf(point);
+            if (from === currency || !currencyConverter.has(from)) return point;
+
+            return {
+                ...point,
+                price: currencyConverter.convert(point.price, from, currency),
+                currency,
+                variantPrices: point.variantPrices && Object.fromEntries(Object.entries(point.variantPrices)
+                    .map(([sku, price]) => [sku, currencyConverter.convert(price, from, currency)]))
+            };
+        });
+
+        const prices = points.map(point => point.price);
+        const first = prices[0];
+        const last = prices[prices.length - 1];
+
+        res.status(200).json({
+            success: true,
+            data: points,
+            meta: {
+                productId,
+                currency,
+                count: points.length,
+                summary: points.length > 0 ? {
+                    first,
+                    last,
+                    min: Math.min(...prices),
+                    max: Math.max(...prices),
+                    change: Money.roundMoney(last - first, currency),
+                    changePercentage: first > 0 ? Money.round(((last - first) / first) * 100) : 0,
+                    from: points[0].recordedAt,
+                    to: points[points.length - 1].recordedAt
+                } : null
+            },
+            message: 'Price history retrieved successfully'
+        });
+    })
+);
+
+// POST /api/products/:id/stock-movements - Receive, sell, adjust or transfer units of a product
+app.post('/api/products/:id/stock-movements',
+    requirePermission('write'),
+    validateProductId,
+    validateStockMovement,
+    asyncHandler(async (req, res) => {
+        const { movement, product } = await stockLedger.record(req.params.id, req.body);
+
+        setValidators(res, product);
+
+        res.status(201).json({
+            success: true,
+            data: movement,
+            meta: {
+                stock: product.stock,
+                totalStock: ProductRepository.totalStock(product),
+                inStock: product.inStock,
+                lowStock: StockLedger.isLowStock(product)
+            },
+            message: `Stock movement (${movement.type}) recorded`
+        });
+    })
+);
+
+// GET /api/products/:id/reservations - Reservations of a product, newest first
+app.get('/api/products/:id/reservations',
+    validateProductId,
+    validateReservationQuery,
+    asyncHandler(async (req, res) => {
+        const productId = req.params.id;
+        const product = await productRepository.findById(productId);
+
+        if (!product) {
+            throw ErrorFactory.notFound('Product', productId);
+        }
+
+        const [reservations, availability] = await Promise.all([
+            reservationRepository.findByProduct(productId, req.reservationFilters),
+            stockLedger.availabilityOf(product)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: reservations,
+            meta: {
+                productId,
+                ...availability,
+                count: reservations.length
+            },
+            message: 'Reservations retrieved successfully'
+        });
+    })
+);
+
+// POST /api/products/:id/reservations - Hold units for a checkout until they are confirmed, released or expire
+app.post('/api/products/:id/reservations',
+    requirePermission('write'),
+    validateProductId,
+    validateStockReservation,
+    asyncHandler(async (req, res) => {
+        const { reservation, availability } = await stockLedger.reserve(req.params.id, req.body);
+
+        res.status(201).json({
+            success: true,
+            data: reservation,
+            meta: availability,
+            message: `Reserved ${reservation.quantity} unit(s) until ${reservation.expiresAt}`
+        });
+    })
+);
+
+// GET /api/products/:id/history - Change history of a product, newest first
+app.get('/api/products/:id/history', validateProductId, asyncHandler(async (req, res) => {
+    const productId = req.params.id;
+    const [product, events] = await Promise.all([
+        productRepository.findById(productId, { includeDeleted: true }),
+        auditRepository.findByProduct(productId)
+    ]);
+
+    if (!product && events.length === 0) {
+        throw ErrorFactory.notFound('Product', productId);
+    }
+
+    res.status(200).json({
+        success: true,
+        data: events.map(AuditRepository.summarize),
+        meta: {
+            productId,
+            currentRevision: product ? product.version || 1 : null,
+            status: !product ? 'purged' : product.deletedAt ? 'deleted' : 'active',
+            count: events.length
+        },
+        message: 'Product history retrieved successfully'
     });
 }));
 
 // GET /api/products/:id - Get a specific product by ID
-app.get('/api/products/:id', validateProductId, asyncHandler(async (req, res) => {
+app.get('/api/products/:id', validateProductId, validateProjectionQuery, validatePricingQuery, asyncHandler(async (req, res) => {
     const productId = req.params.id;
-    const product = products.find(p => p.id === productId);
+    const product = await productRepository.findById(productId);
 
     if (!product) {
         throw ErrorFactory.notFound('Product', productId);
     }
 
-    // Response with related products
-    const relatedProducts = products
-        .filter(p => p.id !== productId && p.category === product.category)
-        .slice(0, 3)
-        .map(p => ({ id: p.id, name: p.name, price: p.price }));
+    // Sale prices change on a schedule without a new product version, and converted prices change with the
+    // exchange rates, so a product with a running or upcoming promotion or a converted price is always sent in full
+    const converted = Boolean(req.pricing.currency) && req.pricing.currency !== currencyConverter.currencyOf(product);
+    setValidators(res, product);
+    if (!converted && !promotionEngine.hasScheduledPrices(product) && isNotModified(req, product)) {
+        return res.status(304).end();
+    }
+
+    const { fields, include } = req.projection;
+    const presented = currencyConverter.present(promotionEngine.apply(product), req.pricing);
+    const meta = {
+        category: product.category,
+        ...((req.pricing.currency || req.pricing.locale) && { pricing: req.pricing })
+    };
+
+    // Expensive blocks are only computed when requested with include=...
+    if (include.length > 0) {
+        const products = await productRepository.findAll();
+        Object.assign(meta, ResponseBuilder.buildProductIncludes(presented, products, include));
+
+        if (include.includes('categoryStats')) {
+            const catalog = currencyConverter.convertAll(products, currencyConverter.currencyOf(presented));
+            meta.categoryStats = ResponseBuilder.buildCategoryStats([product], catalog)[product.category];
+        }
+    }
 
     res.status(200).json({
         success: true,
-        data: product,
-        meta: {
-            relatedProducts: relatedProducts,
-            category: product.category,
-            priceComparison: {
-                isAboveAverage: product.price > (products.reduce((sum, p) => sum + p.price, 0) / products.length),
-                categoryAverage: parseFloat((products
-                    .filter(p => p.category === product.category)
-                    .reduce((sum, p) => sum + p.price, 0) / products.filter(p => p.category === product.category).length).toFixed(2))
-            }
-        },
+        data: QueryProcessor.projectProduct(presented, fields),
+        meta: meta,
         message: 'Product retrieved successfully'
     });
 }));
@@ -377,21 +706,24 @@ app.post('/api/products',
     requirePermission('write'),
     validateProductCreation,
     asyncHandler(async (req, res) => {
-        const { name, description, price, category, inStock } = req.body;
+        const { name, description, price, currency, category, lowStockThreshold, variants } = req.body;
 
-        // Create new product
-        const newProduct = {
+        // Create new product (stock is added afterwards with "receive" stock movements)
+        const newProduct = await productRepository.create({
             id: uuidv4(),
             name: name.trim(),
             description: description.trim(),
-            price: parseFloat(price),
+            price,
+            currency,
             category: category.trim().toLowerCase(),
-            inStock: inStock,
+            lowStockThreshold,
+            variants,
             createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+            updatedAt: new Date().toISOString(),
+            version: 1
+        });
 
-        products.push(newProduct);
+        setValidators(res, newProduct);
 
         res.status(201).json({
             success: true,
@@ -401,32 +733,205 @@ app.post('/api/products',
     })
 );
 
-// PUT /api/products/:id - Update an existing product
+// POST /api/products/bulk - Create, update and delete many products in one request
+app.post('/api/products/bulk',
+    requirePermission('write'),
+    validateBulkOperations,
+    asyncHandler(async (req, res) => {
+        const { operations, atomic } = req.bulk;
+        const processor = new BulkOperationProcessor(productRepository);
+
+        const { results, summary } = await processor.run(operations, {
+            atomic,
+            permissions: req.user.permissions,
+            role: req.user.role,
+            actor: req.user.owner
+        });
+
+        let message = `Processed ${summary.total} operations: ${summary.succeeded} succeeded, ${summary.failed} failed`;
+        if (summary.rolledBack) {
+            message = 'Bulk operation failed; no changes were applied';
+        }
+
+        // 207 Multi-Status whenever any item did not succeed
+        res.status(summary.failed > 0 ? 207 : 200).json({
+            success: summary.failed === 0,
+            data: results,
+            meta: {
+                summary
+            },
+            message
+        });
+    })
+);
+
+// POST /api/products/import - Create or update products from a CSV or NDJSON upload (all or nothing)
+app.post('/api/products/import',
+    requirePermission('write'),
+    validateProductImport,
+    asyncHandler(async (req, res) => {
+        const { format, text, dryRun, maxRows } = req.import;
+        const { rows, errors } = ProductTransfer.parseImport(text, format);
+        const rowCount = rows.length + errors.length;
+
+        if (rowCount > maxRows) {
+            throw ErrorFactory.validation('Import file is too large', [`At most ${maxRows} rows can be imported at once`]);
+        }
+
+        // Rows with the ID of an existing product replace its fields; rows without an ID create products
+        const existingIds = new Set((await productRepository.findAll()).map(product => product.id));
+        const planned = [];
+
+        rows.forEach(({ row, data }) => {
+            const { id, ...fields } = data;
+            let result;
+
+            // A row the checks cannot handle is reported against its row number instead of failing the whole upload
+            try {
+                result = checkProductCreation(fields);
+            } catch (error) {
+                errors.push({ row, errors: [error.message] });
+                return;
+            }
+
+            const rowErrors = [...result.errors];
+
+            if (id !== undefined && !existingIds.has(String(id))) {
+                rowErrors.push(`Product with ID '${id}' not found`);
+            }
+
+            if (rowErrors.length > 0) {
+                errors.push({ row, errors: rowErrors });
+                return;
+            }
+
+            planned.push(id === undefined
+                ? { row, action: 'create', operation: { op: 'create', data: result.data } }
+                : { row, action: 'update', operation: { op: 'update', id: String(id), data: result.data } });
+        });
+
+        errors.sort((a, b) => (a.row || 0) - (b.row || 0));
+
+        const summary = {
+            format,
+            rows: rowCount,
+            valid: planned.length,
+            invalid: errors.length,
+            create: planned.filter(entry => entry.action === 'create').length,
+            update: planned.filter(entry => entry.action === 'update').length,
+            dryRun
+        };
+
+        if (dryRun) {
+            return res.status(200).json({
+                success: errors.length === 0,
+                data: {
+                    rows: planned.map(({ row, action, operation }) => ({ row, action, ...(operation.id && { id: operation.id }) })),
+                    errors
+                },
+                meta: { summary },
+                message: errors.length === 0
+                    ? 'Dry run complete: the file can be imported'
+                    : `Dry run complete: ${errors.length} row(s) have errors`
+            });
+        }
+
+        if (errors.length > 0) {
+            throw ErrorFactory.validation(`Import failed: ${errors.length} row(s) have errors; nothing was imported`, errors, 'rows');
+        }
+
+        const processor = new BulkOperationProcessor(productRepository);
+        const { results, summary: bulkSummary } = await processor.run(planned.map(entry => entry.operation), {
+            atomic: true,
+            permissions: req.user.permissions,
+            role: req.user.role,
+            actor: req.user.owner
+        });
+
+        if (bulkSummary.rolledBack) {
+            const failures = results
+                .filter(result => result.error && !['ROLLED_BACK', 'NOT_EXECUTED'].includes(result.error.code))
+                .map(result => ({ row: planned[result.index].row, errors: result.error.details || [result.error.message] }));
+            throw ErrorFactory.validation('Import failed; nothing was imported', failures, 'rows');
+        }
+
+        res.status(200).json({
+            success: true,
+            data: results.map(result => ({ row: planned[result.index].row, action: planned[result.index].action, id: result.id })),
+            meta: { summary },
+            message: `Imported ${summary.valid} product(s): ${summary.create} created, ${summary.update} updated`
+        });
+    })
+);
+
+// PUT /api/products/:id - Replace an existing product (every field is required)
 app.put('/api/products/:id',
     requirePermission('write'),
     validateProductId,
-    validateProductUpdate,
+    validateProductCreation,
     asyncHandler(async (req, res) => {
         const productId = req.params.id;
-        // Find the product
-        const productIndex = products.findIndex(p => p.id === productId);
 
-        if (productIndex === -1) {
-            throw ErrorFactory.notFound('Product', productId);
-        }
+        // Check the preconditions and write under the product's lock so no other write lands in between
+        const replacedProduct = await productRepository.withLock(productId, async () => {
+            const product = await productRepository.findById(productId);
 
-        // Update the product (only update provided fields)
-        const updatedProduct = {
-            ...products[productIndex],
-            ...req.body,
-            updatedAt: new Date().toISOString()
-        };
+            if (!product) {
+                throw ErrorFactory.notFound('Product', productId);
+            }
+
+            assertPreconditions(req, product);
+
+            return productRepository.replace(productId, {
+                ...req.body,
+                updatedAt: new Date().toISOString()
+            }, { basedOn: product });
+        });
 
-        products[productIndex] = updatedProduct;
+        setValidators(res, replacedProduct);
+
+        res.status(200).json({
+            success: true,
+            data: replacedProduct,
+            message: 'Product replaced successfully'
+        });
+    })
+);
+
+// PATCH /api/products/:id - Partially update a product with a JSON Merge Patch or JSON Patch document
+app.patch('/api/products/:id',
+    requirePermission('write'),
+    validateProductId,
+    validateProductPatch,
+    asyncHandler(async (req, res) => {
+        const productId = req.params.id;
+
+        // Patch the stored product and write it under the product's lock so no other write lands in between
+        const updatedProduct = await productRepository.withLock(productId, async () => {
+            const product = await productRepository.findById(productId);
+
+            if (!product) {
+                throw ErrorFactory.notFound('Product', productId);
+            }
+
+            assertPreconditions(req, product);
+
+            const changes = applyProductPatch(product, req.patch);
+
+            return productRepository.update(productId, {
+                ...changes,
+                updatedAt: new Date().toISOString()
+            }, { basedOn: product });
+        });
+
+        setValidators(res, updatedProduct);
 
         res.status(200).json({
             success: true,
             data: updatedProduct,
+            meta: {
+                patchFormat: req.patch.format
+            },
             message: 'Product updated successfully'
         });
     })
@@ -438,34 +943,786 @@ app.delete('/api/products/:id',
     validateProductId,
     asyncHandler(async (req, res) => {
         const productId = req.params.id;
-        // Find the product
-        const productIndex = products.findIndex(p => p.id === productId);
 
-        if (productIndex === -1) {
-            throw ErrorFactory.notFound('Product', productId);
-        }
+        // Move the product to the trash; it is purged once the retention period has passed
+        const deletedProduct = await productRepository.withLock(productId, async () => {
+            const product = await productRepository.findById(productId);
+
+            if (!product) {
+                throw ErrorFactory.notFound('Product', productId);
+            }
 
-        // Remove the product
-        const deletedProduct = products.splice(productIndex, 1)[0];
+            assertPreconditions(req, product);
+
+            return productRepository.delete(productId, { deletedBy: req.user.owner, basedOn: product });
+        });
 
         res.status(200).json({
             success: true,
             data: deletedProduct,
-            message: 'Product deleted successfully'
+            meta: {
+                purgeAt: getPurgeDate(deletedProduct),
+                restore: `POST /api/products/${productId}/restore`
+            },
+            message: 'Product moved to trash'
         });
     })
 );
 
-// API Documentation endpoint
-app.get('/docs', (req, res) => {
-    const documentation = {
-        title: 'Products API Documentation',
-        version: '1.0.0',
+// POST /api/products/:id/revert - Return a product's editable fields to an earlier revision
+app.post('/api/products/:id/revert',
+    requirePermission('write'),
+    validateProductId,
+    validateProductRevert,
+    asyncHandler(async (req, res) => {
+        const productId = req.params.id;
+        const { revision } = req.body;
+
+        // Check and write under the product's lock so no other write lands in between
+        const revertedProduct = await productRepository.withLock(productId, async () => {
+            const product = await productRepository.findById(productId);
+
+            if (!product) {
+                throw ErrorFactory.notFound('Product', productId);
+            }
+
+            assertPreconditions(req, product);
+
+            const snapshot = await auditRepository.findRevision(productId, revision);
+            if (!snapshot) {
+                throw ErrorFactory.notFound('Revision', `${productId}@${revision}`);
+            }
+
+            if (revision === (product.version || 1)) {
+                throw ErrorFactory.validation('Product is already at this revision', [`Current revision is ${revision}`], 'revision');
+            }
+
+            // Earlier revisions must still satisfy the current product rules
+            const { errors, data } = checkProductCreation(snapshot);
+            if (errors.length > 0) {
+                throw ErrorFactory.validation(`Revision ${revision} no longer passes product validation`, errors, 'revision');
+            }
+
+            requestContext.annotate({ auditAction: 'reverted', auditDetails: { revertedTo: revision } });
+
+            return productRepository.update(productId, {
+                ...data,
+                updatedAt: new Date().toISOString()
+            }, { basedOn: product });
+        });
+
+        setValidators(res, revertedProduct);
+
+        res.status(200).json({
+            success: true,
+            data: revertedProduct,
+            meta: {
+                revertedTo: revision
+            },
+            message: `Product reverted to revision ${revision}`
+        });
+    })
+);
+
+// POST /api/products/:id/restore - Take a product out of the trash
+app.post('/api/products/:id/restore',
+    requirePermission('delete'),
+    validateProductId,
+    asyncHandler(async (req, res) => {
+        const productId = req.params.id;
+        const restoredProduct = await productRepository.restore(productId);
+
+        if (!restoredProduct) {
+            throw ErrorFactory.notFound('Deleted product', productId);
+        }
+
+        setValidators(res, restoredProduct);
+
+        res.status(200).json({
+            success: true,
+            data: restoredProduct,
+            message: 'Product restored successfully'
+        });
+    })
+);
+
+// DELETE /api/products/trash/:id - Permanently remove a product from the trash
+app.delete('/api/products/trash/:id',
+    requirePermission('delete'),
+    validateProductId,
+    asyncHandler(async (req, res) => {
+        const productId = req.params.id;
+
+        // Checked under the product's lock so a restore running at the same time can't be purged
+        const purgedProduct = await productRepository.withLock(productId, async () => {
+            const product = await productRepository.findById(productId, { includeDeleted: true });
+
+            if (!product || !product.deletedAt) {
+                throw ErrorFactory.notFound('Deleted product', productId);
+            }
+
+            return productRepository.purge(productId);
+        });
+
+        res.status(200).json({
+            success: true,
+            data: purgedProduct,
+            message: 'Product permanently deleted'
+        });
+    })
+);
+
+// GET /api/audit - Search the audit trail of product changes (admin only)
+app.get('/api/audit', requireRole('admin'), validateAuditQuery, asyncHandler(async (req, res) => {
+    const { filters, page, limit } = req.auditQuery;
+    const events = await auditRepository.findAll(filters);
+    const totalPages = Math.ceil(events.length / limit);
+
+    res.status(200).json({
+        success: true,
+        data: events.slice((page - 1) * limit, page * limit).map(AuditRepository.summarize),
+        meta: {
+            filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+            pagination: {
+                page,
+                limit,
+                total: events.length,
+                totalPages,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            }
+        },
+        message: 'Audit events retrieved successfully'
+    });
+}));
+
+// Category resource with its product count and direct subcategories
+const describeCategory = (category, products) => ({
+    ...category,
+    productCount: products.filter(product => product.category === category.slug).length,
+    children: categoryRegistry.children(category.slug)
+});
+
+// GET /api/categories - List all categories
+app.get('/api/categories', asyncHandler(async (req, res) => {
+    const [categories, products] = await Promise.all([
+        categoryRepository.findAll(),
+        productRepository.findAll()
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: categories.map(category => describeCategory(category, products)),
+        meta: {
+            totalCategories: categories.length
+        },
+        message: 'Categories retrieved successfully'
+    });
+}));
+
+// GET /api/categories/:slug - Get a single category
+app.get('/api/categories/:slug', asyncHandler(async (req, res) => {
+    const category = await categoryRepository.findBySlug(req.params.slug);
+
+    if (!category) {
+        throw ErrorFactory.notFound('Category', req.params.slug);
+    }
+
+    const products = await productRepository.findAll();
+
+    res.status(200).json({
+        success: true,
+        data: describeCategory(category, products),
+        message: 'Category retrieved successfully'
+    });
+}));
+
+// POST /api/categories - Create a category (admin only)
+app.post('/api/categories',
+    requireRole('admin'),
+    validateCategoryCreation,
+    asyncHandler(async (req, res) => {
+        if (await categoryRepository.findBySlug(req.body.slug)) {
+            throw ErrorFactory.conflict(`Category "${req.body.slug}" already exists`, { slug: req.body.slug });
+        }
+
+        const category = await categoryRepository.create(req.body);
+
+        res.status(201).json({
+            success: true,
+            data: describeCategory(category, []),
+            message: 'Category created successfully'
+        });
+    })
+);
+
+// PUT /api/categories/:slug - Replace a category's name, description and parent (admin only)
+app.put('/api/categories/:slug',
+    requireRole('admin'),
+    validateCategoryUpdate,
+    asyncHandler(async (req, res) => {
+        const category = await categoryRepository.update(req.params.slug, req.body);
+
+        if (!category) {
+            throw ErrorFactory.notFound('Category', req.params.slug);
+        }
+
+        const products = await productRepository.findAll();
+
+        res.status(200).json({
+            success: true,
+            data: describeCategory(category, products),
+            message: 'Category updated successfully'
+        });
+    })
+);
+
+// DELETE /api/categories/:slug - Delete a category (admin only).
+// Products still in the category (including the trash) must be moved with ?reassignTo=<slug>.
+app.delete('/api/categories/:slug',
+    requireRole('admin'),
+    asyncHandler(async (req, res) => {
+        const { slug } = req.params;
+        const { reassignTo } = req.query;
+        const category = await categoryRepository.findBySlug(slug);
+
+        if (!category) {
+            throw ErrorFactory.notFound('Category', slug);
+        }
+
+        if (reassignTo !== undefined && (typeof reassignTo !== 'string' || !categoryRegistry.has(reassignTo) || reassignTo === slug)) {
+            throw ErrorFactory.validation(
+                'Invalid reassignTo category',
+                ['reassignTo must be the slug of another existing category'],
+                'reassignTo'
+            );
+        }
+
+        const products = await productRepository.findAll({ includeDeleted: true });
+        const productCount = products.filter(product => product.category === slug).length;
+
+        if (productCount > 0 && reassignTo === undefined) {
+            throw ErrorFactory.conflict(
+                `Category "${slug}" still has ${productCount} product(s); pass ?reassignTo=<slug> to move them`,
+                { slug, productCount }
+            );
+        }
+
+        const reassignedProducts = productCount > 0 ? await productRepository.recategorize(slug, reassignTo) : 0;
+        const reparentedCategories = await categoryRepository.reparentChildren(slug, category.parent);
+        await categoryRepository.delete(slug);
+
+        res.status(200).json({
+            success: true,
+            data: category,
+            meta: {
+                reassignedProducts,
+                reassignedTo: reassignedProducts > 0 ? reassignTo : null,
+                reparentedCategories
+            },
+            message: 'Category deleted successfully'
+        });
+    })
+);
+
+// POST /api/categories/:slug/merge - Move a category's products and subcategories into another and delete it (admin only)
+app.post('/api/categories/:slug/merge',
+    requireRole('admin'),
+    validateCategoryMerge,
+    asyncHandler(async (req, res) => {
+        const { slug } = req.params;
+        const { into } = req.body;
+        const category = await categoryRepository.findBySlug(slug);
+
+        if (!category) {
+            throw ErrorFactory.notFound('Category', slug);
+        }
+
+        const reassignedProducts = await productRepository.recategorize(slug, into);
+        const reparentedCategories = await categoryRepository.reparentChildren(slug, into);
+        await categoryRepository.delete(slug);
+
+        const target = await categoryRepository.findBySlug(into);
+        const products = await productRepository.findAll();
+
+        res.status(200).json({
+            success: true,
+            data: describeCategory(target, products),
+            meta: {
+                merged: slug,
+                reassignedProducts,
+                reparentedCategories
+            },
+            message: `Category "${slug}" merged into "${into}"`
+        });
+    })
+);
+
+// Rate table with the base currency first (its rate is always 1)
+const listExchangeRates = async () => [
+    { currency: currencyConverter.baseCurrency, rate: 1, base: true },
+    ...(await exchangeRateRepository.findAll()).map(entry => ({ ...entry, base: false }))
+];
+
+// GET /api/exchange-rates - List the exchange rates used to convert prices
+app.get('/api/exchange-rates', asyncHandler(async (req, res) => {
+    const rates = await listExchangeRates();
+
+    res.status(200).json({
+        success: true,
+        data: rates,
+        meta: {
+            baseCurrency: currencyConverter.baseCurrency,
+            totalCurrencies: rates.length
+        },
+        message: 'Exchange rates retrieved successfully'
+    });
+}));
+
+// PUT /api/exchange-rates/:currency - Add or change the rate for a currency (admin only)
+app.put('/api/exchange-rates/:currency',
+    requireRole('admin'),
+    validateExchangeRate,
+    asyncHandler(async (req, res) => {
+        const { currency, rate } = req.exchangeRate;
+        const { rate: entry, created } = await exchangeRateRepository.upsert(currency, rate, {
+            updatedBy: req.user.keyId || req.user.owner
+        });
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            data: { ...entry, base: false },
+            meta: {
+                baseCurrency: currencyConverter.baseCurrency
+            },
+            message: created ? `Exchange rate for ${currency} added` : `Exchange rate for ${currency} updated`
+        });
+    })
+);
+
+// DELETE /api/exchange-rates/:currency - Remove a currency's rate (admin only); refused while products are priced in it
+// or promotions that haven't ended discount a fixed amount in it
+app.delete('/api/exchange-rates/:currency',
+    requireRole('admin'),
+    asyncHandler(async (req, res) => {
+        const currency = String(req.params.currency).trim().toUpperCase();
+        const entry = await exchangeRateRepository.findByCurrency(currency);
+
+        if (!entry) {
+            throw ErrorFactory.notFound('Exchange rate', currency);
+        }
+
+        const products = await productRepository.findAll({ includeDeleted: true });
+        const productCount = products.filter(product => currencyConverter.currencyOf(product) === currency).length;
+
+        if (productCount > 0) {
+            throw ErrorFactory.conflict(
+                `${productCount} product(s) are priced in ${currency}; reprice them before removing its exchange rate`,
+                { currency, productCount }
+            );
+        }
+
+        // Fixed discounts are converted from their currency while they are scheduled or running
+        const promotions = await promotionRepository.findAll();
+        const promotionCount = promotions
+            .filter(promotion => promotion.status !== 'ended' && promotion.type === 'fixed' && promotion.currency === currency)
+            .length;
+
+        if (promotionCount > 0) {
+            throw ErrorFactory.conflict(
+                `${promotionCount} scheduled or running promotion(s) discount a fixed amount in ${currency}; change or delete them before removing its exchange rate`,
+                { currency, promotionCount }
+            );
+        }
+
+        await exchangeRateRepository.delete(currency);
+
+        res.status(200).json({
+            success: true,
+            data: entry,
+            message: `Exchange rate for ${currency} removed`
+        });
+    })
+);
+
+// Promotion with the number of (live) products it applies to
+const describePromotion = (promotion, products) => ({
+    ...promotion,
+    productCount: products.filter(product => PromotionEngine.targets(promotion, product)).length
+});
+
+// Throw a validation error when a promotion targets products that don't exist
+const assertPromotionProducts = (productIds, products) => {
+    const unknownIds = productIds.filter(id => !products.some(product => product.id === id));
+
+    if (unknownIds.length > 0) {
+        throw ErrorFactory.validation('Promotion validation failed', [`Unknown product IDs: ${unknownIds.join(', ')}`], 'productIds');
+    }
+};
+
+// GET /api/promotions - List promotions, soonest start first
+app.get('/api/promotions', validatePromotionQuery, asyncHandler(async (req, res) => {
+    const [promotions, products] = await Promise.all([
+        promotionRepository.findAll(req.promotionFilters),
+        productRepository.findAll()
+    ]);
+
+    res.status(200).json({
+        success: true,
+        data: promotions.map(promotion => describePromotion(promotion, products)),
+        meta: {
+            filters: req.promotionFilters,
+            count: promotions.length
+        },
+        message: `Retrieved ${promotions.length} promotion(s)`
+    });
+}));
+
+// GET /api/promotions/:id - Get a promotion
+app.get('/api/promotions/:id', asyncHandler(async (req, res) => {
+    const promotion = await promotionRepository.findById(req.params.id);
+
+    if (!promotion) {
+        throw ErrorFactory.notFound('Promotion', req.params.id);
+    }
+
+    const products = await productRepository.findAll();
+
+    res.status(200).json({
+        success: true,
+        data: describePromotion(promotion, products),
+        message: 'Promotion retrieved successfully'
+    });
+}));
+
+// POST /api/promotions - Schedule a promotion (requires write permission)
+app.post('/api/promotions',
+    requirePermission('write'),
+    validatePromotion,
+    asyncHandler(async (req, res) => {
+        const products = await productRepository.findAll();
+        assertPromotionProducts(req.body.productIds, products);
+
+        const promotion = await promotionRepository.create(req.body, {
+            createdBy: req.user.keyId || req.user.owner
+        });
+
+        res.status(201).json({
+            success: true,
+            data: describePromotion(promotion, products),
+            message: 'Promotion created successfully'
+        });
+    })
+);
+
+// PUT /api/promotions/:id - Replace a promotion's discount, schedule and targets (requires write permission)
+app.put('/api/promotions/:id',
+    requirePermission('write'),
+    validatePromotion,
+    asyncHandler(async (req, res) => {
+        const products = await productRepository.findAll();
+        assertPromotionProducts(req.body.productIds, products);
+
+        const promotion = await promotionRepository.replace(req.params.id, req.body);
+
+        if (!promotion) {
+            throw ErrorFactory.notFound('Promotion', req.params.id);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: describePromotion(promotion, products),
+            message: 'Promotion updated successfully'
+        });
+    })
+);
+
+// DELETE /api/promotions/:id - Delete a promotion, ending it at once if it is running (requires delete permission)
+app.delete('/api/promotions/:id',
+    requirePermission('delete'),
+    asyncHandler(async (req, res) => {
+        const promotion = await promotionRepository.delete(req.params.id);
+
+        if (!promotion) {
+            throw ErrorFactory.notFound('Promotion', req.params.id);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: promotion,
+            message: 'Promotion deleted successfully'
+        });
+    })
+);
+
+// GET /api/reservations/:id - Get a stock reservation
+app.get('/api/reservations/:id', asyncHandler(async (req, res) => {
+    const reservation = await reservationRepository.findById(req.params.id);
+
+    if (!reservation) {
+        throw ErrorFactory.notFound('Reservation', req.params.id);
+    }
+
+    res.status(200).json({
+        success: true,
+        data: reservation,
+        message: 'Reservation retrieved successfully'
+    });
+}));
+
+// POST /api/reservations/:id/confirm - Sell the reserved units (records a "sell" stock movement)
+app.post('/api/reservations/:id/confirm',
+    requirePermission('write'),
+    asyncHandler(async (req, res) => {
+        const { reservation, movement, product } = await stockLedger.confirm(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: reservation,
+            meta: {
+                movement,
+                stock: product.stock,
+                totalStock: ProductRepository.totalStock(product),
+                inStock: product.inStock
+            },
+            message: 'Reservation confirmed'
+        });
+    })
+);
+
+// POST /api/reservations/:id/release - Return the reserved units to available stock
+app.post('/api/reservations/:id/release',
+    requirePermission('write'),
+    asyncHandler(async (req, res) => {
+        const { reservation } = await stockLedger.release(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: reservation,
+            message: 'Reservation released'
+        });
+    })
+);
+
+// POST /api/auth/token - Exchange an API key for a short-lived access token and a refresh token
+app.post('/api/auth/token', rateLimit('auth'), asyncHandler(async (req, res) => {
+    if (req.user.authType !== 'api_key') {
+        throw ErrorFactory.authorization('Access denied. Tokens can only be issued using an API key');
+    }
+
+    const keyRecord = await apiKeyRepository.findById(req.user.keyId);
+    const tokens = tokenService.issueTokens(keyRecord);
+
+    res.status(201).json({
+        success: true,
+        data: tokens,
+        message: 'Access token issued successfully'
+    });
+}));
+
+// POST /api/auth/refresh - Exchange a refresh token for a new token pair (refresh tokens are single-use)
+app.post('/api/auth/refresh', rateLimit('auth'), asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw ErrorFactory.validation('Refresh token is required', ['Body field "refreshToken" is required'], 'refreshToken');
+    }
+
+    const { status, payload } = tokenService.verify(refreshToken, 'refresh');
+
+    if (status === 'expired') throw AuthenticationError.expiredToken();
+    if (status === 'revoked') throw AuthenticationError.revokedToken();
+    if (status !== 'valid') throw AuthenticationError.invalidToken();
+
+    const keyRecord = await apiKeyRepository.findById(payload.kid);
+    if (!keyRecord || ApiKeyRepository.getStatus(keyRecord) !== 'active') {
+        throw AuthenticationError.revokedToken();
+    }
+
+    tokenService.revoke(payload);
+    const tokens = tokenService.issueTokens(keyRecord);
+
+    res.status(200).json({
+        success: true,
+        data: tokens,
+        message: 'Tokens refreshed successfully'
+    });
+}));
+
+// POST /api/auth/revoke - Revoke an access or refresh token (defaults to the current bearer token)
+app.post('/api/auth/revoke', asyncHandler(async (req, res) => {
+    const { token } = req.body || {};
+    let payload;
+
+    if (token !== undefined) {
+        if (typeof token !== 'string') {
+            throw ErrorFactory.validation('Token must be a string', ['Body field "token" must be a string'], 'token');
+        }
+
+        const access = tokenService.verify(token, 'access');
+        const verification = access.status === 'invalid' ? tokenService.verify(token, 'refresh') : access;
+
+        if (verification.status === 'invalid' || verification.status === 'expired') {
+            throw AuthenticationError.invalidToken();
+        }
+
+        payload = verification.payload;
+    } else if (req.user.authType === 'jwt') {
+        payload = req.user.token;
+    } else {
+        throw ErrorFactory.validation('Token is required', ['Provide body field "token" or authenticate with a bearer token'], 'token');
+    }
+
+    // Only admins may revoke tokens that belong to another key
+    if (payload.kid !== req.user.keyId && !req.user.permissions.includes('manage_keys')) {
+        throw ErrorFactory.authorization('Access denied. Required permission: manage_keys', 'manage_keys');
+    }
+
+    tokenService.revoke(payload);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            tokenId: payload.jti,
+            type: payload.type,
+            revokedAt: new Date().toISOString()
+        },
+        message: 'Token revoked successfully'
+    });
+}));
+
+// GET /api/keys - List all API keys (admin only, secrets never returned)
+app.get('/api/keys',
+    requirePermission('manage_keys'),
+    asyncHandler(async (req, res) => {
+        const keys = await apiKeyRepository.findAll();
+        const data = keys
+            .map(ApiKeyRepository.sanitize)
+            .filter(key => !req.query.status || key.status === req.query.status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        res.status(200).json({
+            success: true,
+            data: data,
+            meta: {
+                total: data.length,
+                byStatus: data.reduce((counts, key) => {
+                    counts[key.status] = (counts[key.status] || 0) + 1;
+                    return counts;
+                }, {})
+            },
+            message: `Retrieved ${data.length} API key(s) successfully`
+        });
+    })
+);
+
+// POST /api/keys - Issue a new API key (admin only)
+app.post('/api/keys',
+    requirePermission('manage_keys'),
+    validateApiKeyCreation,
+    asyncHandler(async (req, res) => {
+        const { apiKey, record } = await apiKeyRepository.issue(req.body);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...ApiKeyRepository.sanitize(record),
+                apiKey: apiKey
+            },
+            message: 'API key issued successfully. Store it securely - it will not be shown again.'
+        });
+    })
+);
+
+// POST /api/keys/:id/rotate - Replace an API key's secret (admin only)
+app.post('/api/keys/:id/rotate',
+    requirePermission('manage_keys'),
+    validateApiKeyRotation,
+    asyncHandler(async (req, res) => {
+        const result = await apiKeyRepository.rotate(req.params.id, req.body);
+
+        if (!result) {
+            throw ErrorFactory.notFound('API key', req.params.id);
+        }
+
+        // Refresh tokens issued for the old secret must not outlive it
+        tokenService.revokeAllForKey(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...ApiKeyRepository.sanitize(result.record),
+                apiKey: result.apiKey
+            },
+            message: 'API key rotated successfully. The previous key is no longer valid.'
+        });
+    })
+);
+
+// DELETE /api/keys/:id - Revoke an API key (admin only)
+app.delete('/api/keys/:id',
+    requirePermission('manage_keys'),
+    asyncHandler(async (req, res) => {
+        if (req.params.id === req.user.keyId) {
+            throw ErrorFactory.validation(
+                'Cannot revoke the API key used for this request',
+                ['Use a different admin key to revoke this key'],
+                'id'
+            );
+        }
+
+        const revokedKey = await apiKeyRepository.revoke(req.params.id);
+
+        if (!revokedKey) {
+            throw ErrorFactory.notFound('API key', req.params.id);
+        }
+
+        tokenService.revokeAllForKey(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: ApiKeyRepository.sanitize(revokedKey),
+            message: 'API key revoked successfully'
+        });
+    })
+);
+
+// API Documentation endpoint
+app.get('/docs', (req, res) => {
+    const documentation = {
+        title: 'Products API Documentation',
+        version: '1.0.0',
         baseUrl: `${req.protocol}://${req.get('host')}`,
         authentication: {
             type: 'API Key',
             header: 'X-API-Key',
-            validKeys: ['dev-key-12345', 'test-key-67890', 'admin-key-abcdef']
+            ...(authConfig.apiKeys.seedDevelopmentKeys && {
+                developmentKeys: seedApiKeys.map(seed => seed.key)
+            }),
+            bootstrap: 'Outside development the key store starts with only the admin key set in ADMIN_API_KEY',
+            keyManagement: 'Admins can issue, list, rotate and revoke keys via /api/keys',
+            bearerTokens: {
+                header: 'Authorization: Bearer <accessToken>',
+                algorithm: 'HS256',
+                issue: 'POST /api/auth/token (authenticate with X-API-Key)',
+                refresh: 'POST /api/auth/refresh',
+                revoke: 'POST /api/auth/revoke'
+            }
+        },
+        rateLimiting: {
+            description: 'Requests are throttled per API key (per IP for public routes) using a sliding window. The client IP is taken from X-Forwarded-For only through the number of proxies set in TRUST_PROXY_HOPS (default 0: the connecting address)',
+            headers: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After (on 429)'],
+            quotas: {
+                default: 'admin 1000/min, user 100/min, readonly 60/min, anonymous 30/min',
+                'GET /api/products/search': 'admin 300/min, user 30/min, readonly 20/min, anonymous 10/min',
+                '/api/auth/token, /api/auth/refresh': '10/min (admin 60/min)',
+                failedAuthentication: '20 failed attempts per IP per 15 min (AUTH_FAILURE_LIMIT); further requests from that IP get 429 before their credentials are checked'
+            }
+        },
+        conditionalRequests: {
+            description: 'Products carry a version; single-product responses include ETag and Last-Modified headers',
+            reads: 'GET /api/products/:id honors If-None-Match and If-Modified-Since with 304 Not Modified (never while a promotion is scheduled or when ?currency= converts the price)',
+            writes: 'PUT, PATCH and DELETE /api/products/:id honor If-Match and return 412 Precondition Failed when the product has changed'
         },
         endpoints: {
             products: {
@@ -474,59 +1731,365 @@ app.get('/docs', (req, res) => {
                     parameters: {
                         page: 'Page number (default: 1)',
                         limit: 'Items per page (default: 10, max: 100)',
-                        category: 'Filter by category (electronics, kitchen, clothing, books, sports, toys, other)',
-                        minPrice: 'Minimum price filter',
-                        maxPrice: 'Maximum price filter',
+                        after: 'Cursor from meta.pagination.nextCursor - return items after it (cannot be combined with page)',
+                        before: 'Cursor from meta.pagination.prevCursor - return items before it',
+                        category: 'Filter by category slug (see GET /api/categories); matches its subcategories too',
+                        minPrice: 'Minimum price filter on the price products sell for (salePrice during a promotion), in the currency parameter (base currency by default); products priced in other currencies are converted',
+                        maxPrice: 'Maximum price filter, in the same currency as minPrice',
+                        currency: 'Show prices converted to this currency (see GET /api/exchange-rates); items gain formattedPrice',
+                        locale: 'Format prices for this locale (e.g. de-DE); items gain formattedPrice',
                         inStock: 'Filter by stock status (true/false)',
-                        sortBy: 'Sort field (name, price, category, inStock, createdAt, updatedAt)',
+                        'option[name]': 'Products with a variant having this option value, e.g. option[color]=red,blue&option[size]=M',
+                        'filter[field][operator]': 'Filter expression. Operators: eq, ne, gt, gte, lt, lte, in, nin, between, contains, startsWith, exists. Fields: id, name, description, category, price, inStock, createdAt, updatedAt. Group with filter[or][0][...] / filter[and][0][...]. price compares the price products sell for (the sale price during a promotion) in the currency parameter, like minPrice/maxPrice',
+                        sortBy: 'Sort field (name, price, category, inStock, createdAt, updatedAt, relevance); price sorts on the price products sell for, compared in the base currency',
                         sortOrder: 'Sort order (asc/desc)',
-                        q: 'Search term (minimum 2 characters)',
-                        fields: 'Search fields (name,description)'
+                        q: 'Search term (minimum 2 characters); results include a relevance score and highlights',
+                        searchFields: 'Fields to search in (name,description,variants); variants covers SKUs and option values',
+                        fields: 'Comma-separated fields to return (e.g. id,name,price); id is always included',
+                        include: 'Computed blocks to add: related, priceComparison (per item), categoryStats (meta)',
+                        includeDeleted: 'true to include products in the trash (requires delete permission)'
+                    },
+                    example: '/api/products?category=electronics&inStock=true&sortBy=price&sortOrder=asc&page=1&limit=5',
+                    response: 'Each product has price (list price), salePrice and promotion (both null unless a promotion is running); variants get a salePrice too',
+                    filterExamples: [
+                        '/api/products?filter[price][gte]=100&filter[name][contains]=pro',
+                        '/api/products?filter[createdAt][between]=2024-01-01,2024-01-15',
+                        '/api/products?filter[or][0][price][lt]=50&filter[or][1][category][in]=books,toys'
+                    ]
+                },
+                'GET /api/products/export': {
+                    description: 'Download the catalog; honors the same search, filter, sort and fields parameters as the listing (no pagination)',
+                    parameters: {
+                        format: 'csv (default), ndjson or json; CSV text cells starting with =, +, -, @, tab or CR are prefixed with \' so spreadsheets do not run them as formulas (the importer strips it again)',
+                        'All /api/products parameters': 'except include'
                     },
-                    example: '/api/products?category=electronics&inStock=true&sortBy=price&sortOrder=asc&page=1&limit=5'
+                    example: '/api/products/export?format=csv&category=electronics&sortBy=price'
                 },
                 'GET /api/products/search': {
-                    description: 'Dedicated search endpoint for products',
+                    description: 'Full-text search with stemming, typo tolerance, field boosts (name x3), relevance scores and highlighted snippets (HTML-escaped product text with matches wrapped in <mark>). Empty results include "did you mean" suggestions.',
                     parameters: {
-                        q: 'Search term (required)',
-                        fields: 'Fields to search in (name,description)',
+                        q: 'Search term (required); all terms must match',
+                        sortBy: 'Defaults to relevance',
+                        searchFields: 'Fields to search in (name,description,variants)',
                         'All /api/products parameters': 'Supports all filtering and pagination options'
                     },
                     example: '/api/products/search?q=gaming&category=electronics&page=1&limit=10'
                 },
+                'GET /api/products/autocomplete': {
+                    description: 'Ranked type-ahead completions from product names, categories and description keywords',
+                    parameters: {
+                        prefix: 'Text typed so far (required)',
+                        limit: 'Maximum completions (default: 5, max: 10)'
+                    },
+                    example: '/api/products/autocomplete?prefix=lap&limit=5'
+                },
                 'GET /api/products/stats': {
                     description: 'Get comprehensive product statistics and analytics',
                     parameters: {
-                        category: 'Filter stats by category',
+                        category: 'Filter stats by category (includes its subcategories)',
+                        depth: 'Roll byCategory up to this tree level (1 = top-level categories)',
+                        currency: 'Currency to report prices and values in (default: base currency)',
+                        windows: `Comma-separated trend windows in days (default: ${statsConfig.trendWindowsDays.join(',')}; max ${statsConfig.maxTrendWindows} windows of up to ${statsConfig.maxTrendWindowDays} days)`,
                         format: 'Response format (json/summary)',
                         detailed: 'Include detailed information (true/false)'
                     },
-                    example: '/api/products/stats?detailed=true&format=json'
+                    notes: 'trends are worked out from the price history: products added, price growth of the products that existed at each window start, and stock-outs (byWindow has one entry per window)',
+                    example: '/api/products/stats?detailed=true&format=json&windows=7,30'
+                },
+                'GET /api/products/stats/timeseries': {
+                    description: 'A catalog metric per day, week or month, as chart-ready series (labels holds the bucket starts, each series one value per bucket)',
+                    parameters: {
+                        metric: 'created (products added), value (sum of list prices at the end of each bucket) or stockouts (times products went out of stock); required',
+                        interval: 'day, week (starting Monday) or month (default: day; buckets are UTC)',
+                        from: `Start date (default: ${statsConfig.timeseries.defaultBuckets.day} days, ${statsConfig.timeseries.defaultBuckets.week} weeks or ${statsConfig.timeseries.defaultBuckets.month} months before to)`,
+                        to: 'End date (default: now)',
+                        groupBy: 'category for one series per category (rolled up to depth when given)',
+                        category: 'Only products in this category (includes its subcategories)',
+                        depth: 'Roll grouped categories up to this tree level',
+                        currency: 'Currency of the value metric (default: base currency)'
+                    },
+                    notes: `At most ${statsConfig.timeseries.maxBuckets} buckets per request. value and stockouts come from the price history`,
+                    example: '/api/products/stats/timeseries?metric=created&interval=week&groupBy=category&depth=1'
                 },
                 'GET /api/products/categories': {
-                    description: 'Get all product categories with statistics',
-                    example: '/api/products/categories'
+                    description: 'Get the category tree; count, inStock, averagePrice and priceRange of each node include its subcategories (ownCount does not)',
+                    parameters: {
+                        currency: 'Currency to report prices in (default: base currency)'
+                    },
+                    example: '/api/products/categories?currency=EUR'
                 },
                 'GET /api/products/:id': {
-                    description: 'Get a single product by ID with related products',
-                    example: '/api/products/1'
+                    description: 'Get a single product by ID',
+                    parameters: {
+                        fields: 'Comma-separated fields to return (e.g. id,name,price)',
+                        include: 'Computed meta blocks: related, priceComparison, categoryStats',
+                        currency: 'Show prices converted to this currency',
+                        locale: 'Format prices for this locale (adds formattedPrice)'
+                    },
+                    example: '/api/products/1?fields=id,name,price,formattedPrice&currency=EUR&locale=de-DE'
                 },
                 'POST /api/products': {
                     description: 'Create a new product (requires write permission)',
                     body: {
                         name: 'string (required)',
                         description: 'string (required)',
-                        price: 'number (required)',
+                        price: 'number (required); between one minor unit and PRICE_MAX_MINOR_UNITS of the currency, rounded to its minor unit',
+                        currency: 'string (optional, default BASE_CURRENCY); needs an exchange rate',
                         category: 'string (required)',
-                        inStock: 'boolean (required)'
-                    }
+                        lowStockThreshold: 'integer (optional, default LOW_STOCK_THRESHOLD)',
+                        variants: 'array (optional) of { sku, options: { color: "Red", size: "M" }, price (optional override) }; every variant sets the same options'
+                    },
+                    notes: 'New products have no stock; inStock becomes true once units are received with a stock movement. SKUs are unique across the catalog (409 otherwise)'
+                },
+                'POST /api/products/import': {
+                    description: 'Create or update products from a file (requires write permission); nothing is imported if any row is invalid',
+                    contentTypes: {
+                        'text/csv': 'Header row with id, name, description, price, currency, category, lowStockThreshold, variants (inStock, stock, createdAt, updatedAt and version are ignored)',
+                        'application/x-ndjson': 'One JSON product object per line'
+                    },
+                    parameters: {
+                        dryRun: 'true to validate and report what would change without importing'
+                    },
+                    notes: 'Rows with the id of an existing product replace its fields; rows without an id create products. Errors are reported by row (line) number'
+                },
+                'POST /api/products/bulk': {
+                    description: 'Run up to 500 create/update/delete operations in one request (requires write; deletes also require delete)',
+                    body: '{ "operations": [{ "op": "create", "data": {...} }, { "op": "update", "id": "...", "data": {...} }, { "op": "delete", "id": "..." }] }',
+                    parameters: {
+                        atomic: 'true to apply nothing if any operation fails (default false); every operation is checked before any is applied'
+                    },
+                    responses: '200 when every operation succeeds, otherwise 207 with a status and error per item'
                 },
                 'PUT /api/products/:id': {
-                    description: 'Update an existing product (requires write permission)',
-                    body: 'Any combination of the POST fields'
+                    description: 'Replace an existing product (requires write permission)',
+                    body: 'All of the POST fields; omitted fields are not kept'
+                },
+                'PATCH /api/products/:id': {
+                    description: 'Partially update a product (requires write permission)',
+                    contentTypes: {
+                        'application/merge-patch+json': 'JSON Merge Patch (RFC 7396), e.g. { "price": 99.99 }',
+                        'application/json-patch+json': 'JSON Patch (RFC 6902) operations: add, remove, replace, test'
+                    },
+                    notes: 'The patched product must pass the update rules; id, createdAt, updatedAt, version, stock and inStock are read-only. A failed test operation returns 409'
+                },
+                'GET /api/products/low-stock': {
+                    description: 'Products whose total units are at or below their lowStockThreshold, fewest units first'
+                },
+                'POST /api/products/:id/stock-movements': {
+                    description: 'Change stock levels (requires write permission); each movement is appended to an immutable ledger and inStock follows the total',
+                    body: {
+                        type: 'receive, sell, adjust or transfer (required)',
+                        quantity: 'integer (required); adjustments take a signed correction, e.g. -2',
+                        warehouse: `receive/sell/adjust: one of ${inventoryConfig.warehouses.join(', ')}`,
+                        from: 'transfer: source warehouse',
+                        to: 'transfer: destination warehouse',
+                        reason: 'string (optional)',
+                        sku: 'Variant SKU (required for products with variants)'
+                    },
+                    responses: '201 with the ledger entry; 409 INSUFFICIENT_STOCK when a warehouse does not have enough unreserved units'
+                },
+                'POST /api/products/:id/reservations': {
+                    description: 'Hold units for a checkout (requires write permission); held units cannot be sold, transferred or reserved again',
+                    body: {
+                        quantity: 'integer (required)',
+                        warehouse: 'string (optional, defaults to the warehouse with the most available units)',
+                        ttlSeconds: `integer (optional, default ${inventoryConfig.reservationTtlSeconds}, max ${inventoryConfig.maxReservationTtlSeconds})`,
+                        reference: 'string (optional, e.g. an order or cart ID)',
+                        sku: 'Variant SKU (required for products with variants)'
+                    },
+                    responses: '201 with the reservation and current availability; 409 INSUFFICIENT_STOCK when not enough units are available'
+                },
+                'GET /api/products/:id/reservations': {
+                    description: 'Reservations of a product with on-hand, reserved and available units per warehouse',
+                    parameters: {
+                        status: 'active, confirmed, released or expired'
+                    }
+                },
+                'GET /api/products/:id/stock-movements': {
+                    description: 'Stock movement ledger of a product, newest first, with the acting key and per-warehouse balances',
+                    parameters: {
+                        type: 'Only movements of this type',
+                        warehouse: 'Only movements touching this warehouse'
+                    }
+                },
+                'GET /api/products/:id/price-history': {
+                    description: 'Price and stock level of a product over time, oldest first; a point is recorded on creation and on every price or stock change',
+                    parameters: {
+                        from: 'Only points recorded at or after this date',
+                        to: 'Only points recorded at or before this date',
+                        currency: 'Currency to report prices in (default: the product\'s currency)'
+                    },
+                    example: '/api/products/1/price-history?from=2024-01-01&currency=EUR'
                 },
                 'DELETE /api/products/:id': {
-                    description: 'Delete a product (requires delete permission - admin only)'
+                    description: 'Move a product to the trash (requires delete permission - admin only)',
+                    notes: 'Deleted products are hidden from listings, search, stats and categories, and purged permanently after the retention period (TRASH_RETENTION_DAYS, default 30)'
+                },
+                'GET /api/products/trash': {
+                    description: 'List deleted products with deletedAt, deletedBy and purgeAt (requires delete permission)'
+                },
+                'POST /api/products/:id/restore': {
+                    description: 'Restore a deleted product from the trash (requires delete permission)'
+                },
+                'DELETE /api/products/trash/:id': {
+                    description: 'Permanently remove a product from the trash now (requires delete permission)'
+                },
+                'GET /api/products/:id/history': {
+                    description: 'Change history of a product, newest first: action, revision, actor (key, owner, role), request ID and field changes (from/to)'
+                },
+                'POST /api/products/:id/revert': {
+                    description: 'Return a product to an earlier revision (requires write permission); honors If-Match',
+                    body: '{ "revision": 2 } - a version number listed in the product history'
+                }
+            },
+            reservations: {
+                'GET /api/reservations/:id': {
+                    description: 'Get a reservation'
+                },
+                'POST /api/reservations/:id/confirm': {
+                    description: 'Sell the reserved units, recording a "sell" stock movement (requires write permission); 409 unless the reservation is active'
+                },
+                'POST /api/reservations/:id/release': {
+                    description: 'Give the reserved units back (requires write permission); 409 unless the reservation is active'
+                },
+                expiry: 'Unconfirmed reservations stop holding units at expiresAt and are then reported as expired'
+            },
+            promotions: {
+                'GET /api/promotions': {
+                    description: 'List promotions with their status and the number of products they apply to',
+                    parameters: {
+                        status: 'scheduled, active or ended'
+                    }
+                },
+                'GET /api/promotions/:id': {
+                    description: 'Get a promotion'
+                },
+                'POST /api/promotions': {
+                    description: 'Schedule a discount (requires write permission)',
+                    body: {
+                        name: 'string (required)',
+                        type: 'percentage or fixed (required)',
+                        value: 'number (required): percent off (0-100, exclusive), or amount off for fixed discounts',
+                        currency: 'string (fixed discounts only, default BASE_CURRENCY); converted to each product\'s currency',
+                        startsAt: 'date (required)',
+                        endsAt: 'date (optional); null keeps the discount until the promotion is deleted',
+                        productIds: 'array of product IDs',
+                        categories: 'array of category slugs (subcategories included); at least one product or category is required'
+                    },
+                    example: '{ "name": "Summer sale", "type": "percentage", "value": 20, "startsAt": "2024-07-01T00:00:00Z", "endsAt": "2024-07-15T00:00:00Z", "categories": ["clothing"] }'
+                },
+                'PUT /api/promotions/:id': {
+                    description: 'Replace a promotion (requires write permission)',
+                    body: 'Same fields as POST'
+                },
+                'DELETE /api/promotions/:id': {
+                    description: 'Delete a promotion, ending it immediately if it is running (requires delete permission)'
+                },
+                pricing: 'While promotions run, a product sells for the lowest of their discounted prices (never below one minor unit of its currency)'
+            },
+            exchangeRates: {
+                'GET /api/exchange-rates': {
+                    description: 'List exchange rates: units of each currency per 1 unit of the base currency (BASE_CURRENCY, always rate 1)'
+                },
+                'PUT /api/exchange-rates/:currency': {
+                    description: 'Add or change the rate for a currency (admin only); 201 when added',
+                    body: '{ "rate": 0.92 }'
+                },
+                'DELETE /api/exchange-rates/:currency': {
+                    description: 'Remove a currency (admin only); 409 while any product, including the trash, is priced in it or a scheduled or running fixed promotion is in it'
+                },
+                conversion: 'Converted prices are rounded half away from zero to the target currency\'s minor unit (cents, or whole yen)'
+            },
+            categories: {
+                'GET /api/categories': {
+                    description: 'List categories with parent, direct children and product count'
+                },
+                'GET /api/categories/:slug': {
+                    description: 'Get a single category'
+                },
+                'POST /api/categories': {
+                    description: 'Create a category (admin only); 409 if the slug is taken',
+                    body: {
+                        name: 'string (required)',
+                        slug: 'string (optional, derived from the name; lowercase letters, digits and hyphens)',
+                        description: 'string (optional)',
+                        parent: 'string (optional, slug of the parent category)'
+                    }
+                },
+                'PUT /api/categories/:slug': {
+                    description: 'Replace the name, description and parent of a category (admin only); the slug cannot change',
+                    body: 'Same fields as POST except slug'
+                },
+                'DELETE /api/categories/:slug': {
+                    description: 'Delete a category (admin only); subcategories move up to its parent',
+                    parameters: {
+                        reassignTo: 'Slug to move its products to; required (409 otherwise) while any product, including the trash, uses the category'
+                    }
+                },
+                'POST /api/categories/:slug/merge': {
+                    description: 'Move every product and subcategory into another category, then delete this one (admin only)',
+                    body: '{ "into": "electronics" }',
+                    note: 'into cannot be the category itself or one of its descendants'
+                }
+            },
+            audit: {
+                'GET /api/audit': {
+                    description: 'Search product change events (admin only)',
+                    parameters: {
+                        productId: 'Events for one product',
+                        action: 'created, updated, deleted, restored, purged or reverted',
+                        keyId: 'Events made with one API key',
+                        owner: 'Events made by one key owner',
+                        requestId: 'Events made by one request (X-Request-ID)',
+                        from: 'Events at or after this date',
+                        to: 'Events at or before this date',
+                        page: 'Page number (default 1)',
+                        limit: 'Events per page (default 50, max 200)'
+                    },
+                    example: '/api/audit?action=updated&from=2024-01-01'
+                }
+            },
+            auth: {
+                'POST /api/auth/token': {
+                    description: 'Exchange an API key (X-API-Key header) for a short-lived access token and a refresh token'
+                },
+                'POST /api/auth/refresh': {
+                    description: 'Exchange a refresh token for a new token pair (no API key required, refresh tokens are single-use)',
+                    body: {
+                        refreshToken: 'string (required)'
+                    }
+                },
+                'POST /api/auth/revoke': {
+                    description: 'Revoke an access or refresh token (defaults to the current bearer token)',
+                    body: {
+                        token: 'string (optional)'
+                    }
+                }
+            },
+            apiKeys: {
+                'GET /api/keys': {
+                    description: 'List API keys with owner, role, expiry and status (requires manage_keys permission - admin only)',
+                    parameters: {
+                        status: 'Filter by status (active, expired, revoked)'
+                    }
+                },
+                'POST /api/keys': {
+                    description: 'Issue a new API key (requires manage_keys permission - admin only). The raw key is only returned once.',
+                    body: {
+                        owner: 'string (required)',
+                        role: 'string (required: admin, user, readonly)',
+                        permissions: 'string[] (optional, defaults to role permissions)',
+                        expiresInDays: 'number (optional, default 365)'
+                    }
+                },
+                'POST /api/keys/:id/rotate': {
+                    description: 'Replace the secret of an API key (requires manage_keys permission - admin only)',
+                    body: {
+                        expiresInDays: 'number (optional)'
+                    }
+                },
+                'DELETE /api/keys/:id': {
+                    description: 'Revoke an API key (requires manage_keys permission - admin only)'
                 }
             },
             utility: {
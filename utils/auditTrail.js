@@ -0,0 +1,39 @@
+// utils/auditTrail.js - Record product repository changes as audit events
+
+const { requestContext } = require('./requestContext');
+
+class AuditTrail {
+    constructor(auditRepository) {
+        this.auditRepository = auditRepository;
+    }
+
+    // Record every change made through a product repository
+    attach(repository) {
+        repository.on('created', product => this.record('created', null, product));
+        repository.on('updated', (product, previous) => this.record('updated', previous, product));
+        repository.on('deleted', (product, previous) => this.record('deleted', previous, product));
+        repository.on('restored', (product, previous) => this.record('restored', previous, product));
+        repository.on('purged', product => this.record('purged', product, null));
+
+        return this;
+    }
+
+    // Record one change with the acting user and request ID of the current request.
+    // Routes can relabel a change (e.g. "reverted") by annotating the request context with auditAction.
+    record(action, before, after) {
+        const context = requestContext.get() || {};
+
+        return this.auditRepository.record({
+            action: context.auditAction || action,
+            before,
+            after,
+            requestId: context.requestId || null,
+            actor: context.actor || null,
+            details: context.auditDetails || {}
+        }).catch(error => {
+            console.error(`Failed to record audit event for product ${(after || before).id}: ${error.message}`);
+        });
+    }
+}
+
+module.exports = AuditTrail;
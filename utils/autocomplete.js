@@ -0,0 +1,206 @@
+// utils/autocomplete.js - Prefix trie backed type-ahead completions
+
+const { TextAnalyzer, STOP_WORDS } = require('./textAnalysis');
+const { searchConfig } = require('../config/searchConfig');
+
+class PrefixTrie {
+    constructor() {
+        this.root = { children: new Map(), entries: new Map() };
+    }
+
+    // Store an entry under a word (entries are keyed so they can be removed later)
+    insert(word, key, value) {
+        let node = this.root;
+
+        for (const ch of word) {
+            if (!node.children.has(ch)) {
+                node.children.set(ch, { children: new Map(), entries: new Map() });
+            }
+            node = node.children.get(ch);
+        }
+
+        node.entries.set(key, value);
+    }
+
+    // Remove an entry stored under a word, pruning empty branches
+    remove(word, key) {
+        const path = [this.root];
+        let node = this.root;
+
+        for (const ch of word) {
+            node = node.children.get(ch);
+            if (!node) return;
+            path.push(node);
+        }
+
+        node.entries.delete(key);
+
+        // Prune nodes that no longer lead to any entry
+        for (let i = path.length - 1; i > 0; i--) {
+            const current = path[i];
+            if (current.entries.size > 0 || current.children.size > 0) break;
+            path[i - 1].children.delete([...word][i - 1]);
+        }
+    }
+
+    // Collect every entry stored under words starting with a prefix
+    collect(prefix) {
+        let node = this.root;
+
+        for (const ch of prefix) {
+            node = node.children.get(ch);
+            if (!node) return [];
+        }
+
+        const results = [];
+        const stack = [node];
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            current.entries.forEach((value, key) => results.push({ key, value }));
+            current.children.forEach(child => stack.push(child));
+        }
+
+        return results;
+    }
+}
+
+class AutocompleteIndex {
+    constructor(options = searchConfig.autocomplete) {
+        this.options = options;
+        this.reset();
+    }
+
+    // Clear all completions
+    reset() {
+        this.trie = new PrefixTrie();
+        // completion key -> { type, text, productIds: Set }
+        this.completions = new Map();
+        // productId -> [{ word, key }] so a product's contributions can be removed
+        this.productEntries = new Map();
+    }
+
+    // Register a completion for a product under a word
+    addEntry(productId, word, type, text, weight) {
+        const key = `${type}:${text.toLowerCase()}`;
+
+        if (!this.completions.has(key)) {
+            this.completions.set(key, { type, text, productIds: new Set() });
+        }
+        this.completions.get(key).productIds.add(productId);
+
+        // The same completion can be reached from several words (e.g. each word of a name)
+        const trieKey = `${key}|${weight}`;
+        this.trie.insert(word, trieKey, { key, weight });
+        this.productEntries.get(productId).push({ word, key, trieKey });
+    }
+
+    // Index a product's name, category and description keywords
+    add(product) {
+        if (this.productEntries.has(product.id)) {
+            this.remove(product.id);
+        }
+
+        this.productEntries.set(product.id, []);
+        const { weights, minKeywordLength } = this.options;
+        const nameEntries = TextAnalyzer.tokenize(product.name);
+        const nameTokens = nameEntries.map(entry => entry.token);
+        const name = String(product.name || '').toLowerCase();
+
+        // Product names complete from their first word and from every later word
+        nameEntries.forEach((entry, position) => {
+            this.addEntry(product.id, name.slice(entry.start), 'product', product.name,
+                position === 0 ? weights.nameStart : weights.nameWord);
+        });
+
+        if (product.category) {
+            this.addEntry(product.id, product.category.toLowerCase(), 'category', product.category, weights.category);
+        }
+
+        // Keywords from name and description
+        const keywords = new Set(
+            [...nameTokens, ...TextAnalyzer.tokenize(product.description).map(entry => entry.token)]
+                .filter(token => token.length >= minKeywordLength && !STOP_WORDS.has(token) && !/^[0-9]+$/.test(token))
+        );
+        keywords.forEach(keyword => {
+            this.addEntry(product.id, keyword, 'keyword', keyword, weights.keyword);
+        });
+    }
+
+    // Remove a product's contributions
+    remove(productId) {
+        const entries = this.productEntries.get(productId);
+        if (!entries) return;
+
+        entries.forEach(({ word, key, trieKey }) => {
+            const completion = this.completions.get(key);
+            if (!completion) return;
+
+            completion.productIds.delete(productId);
+            if (completion.productIds.size === 0) {
+                this.completions.delete(key);
+                this.trie.remove(word, trieKey);
+            }
+        });
+
+        this.productEntries.delete(productId);
+    }
+
+    // Build the trie from the repository and keep it in sync with its change events
+    syncWith(repository) {
+        repository.on('created', product => this.add(product));
+        // Products in the trash can still be updated (e.g. recategorized) but stay out of the index
+        repository.on('updated', product => (product.deletedAt ? this.remove(product.id) : this.add(product)));
+        repository.on('deleted', product => this.remove(product.id));
+        repository.on('restored', product => this.add(product));
+        repository.on('purged', product => this.remove(product.id));
+
+        return repository.findAll().then(products => {
+            this.reset();
+            products.forEach(product => this.add(product));
+            return this;
+        });
+    }
+
+    // Ranked completions for a prefix
+    complete(prefix, limit = this.options.defaultLimit) {
+        const normalized = String(prefix || '').toLowerCase().trimStart();
+        if (normalized.length === 0) return [];
+
+        // Keep the best weight per completion
+        const best = new Map();
+        this.trie.collect(normalized).forEach(({ value }) => {
+            if (!this.completions.has(value.key)) return;
+            if (!best.has(value.key) || best.get(value.key) < value.weight) {
+                best.set(value.key, value.weight);
+            }
+        });
+
+        return [...best.entries()]
+            .map(([key, weight]) => {
+                const completion = this.completions.get(key);
+                const productIds = [...completion.productIds];
+                // More products behind a completion ranks it higher, with diminishing returns
+                const score = weight * (1 + Math.log(productIds.length));
+
+                return {
+                    text: completion.text,
+                    type: completion.type,
+                    productIds: productIds.slice(0, this.options.maxLimit),
+                    productCount: productIds.length,
+                    score: parseFloat(score.toFixed(4))
+                };
+            })
+            .sort((a, b) => b.score - a.score || a.text.length - b.text.length || a.text.localeCompare(b.text))
+            .slice(0, limit);
+    }
+}
+
+// Create singleton instance for the product catalog
+const productAutocomplete = new AutocompleteIndex();
+
+module.exports = {
+    PrefixTrie,
+    AutocompleteIndex,
+    productAutocomplete
+};
@@ -0,0 +1,289 @@
+// utils/bulkOperations.js - Batched product create/update/delete with optional all-or-nothing mode
+
+const { v4: uuidv4 } = require('uuid');
+const { ErrorFactory } = require('../errors');
+const { checkProductCreation, checkProductUpdate } = require('../middleware/validation');
+const { currencyConverter } = require('./currencyConverter');
+
+const BULK_OPERATIONS = ['create', 'update', 'delete'];
+
+class BulkOperationProcessor {
+    constructor(repository) {
+        this.repository = repository;
+    }
+
+    // Run operations in order and report a result per item.
+    // In atomic mode the batch is all-or-nothing: see runAtomic.
+    async run(operations, { atomic = false, permissions = [], role = null, actor = null } = {}) {
+        const context = { permissions, role, actor };
+        const { results, rolledBack } = atomic
+            ? await this.runAtomic(operations, context)
+            : await this.runEach(operations, context);
+
+        const succeeded = results.filter(result => result.success).length;
+
+        return {
+            results,
+            summary: {
+                total: operations.length,
+                succeeded,
+                failed: operations.length - succeeded,
+                atomic,
+                rolledBack
+            }
+        };
+    }
+
+    // Check and apply each operation on its own (under its product's lock); failures don't stop the batch
+    async runEach(operations, context) {
+        const results = [];
+
+        for (let index = 0; index < operations.length; index++) {
+            const operation = operations[index];
+
+            try {
+                const { status, product } = await this.repository.withLocks(BulkOperationProcessor.lockIds([operation]), async () => {
+                    const plan = await this.prepare(operation, context);
+                    return this.execute(plan, context);
+                });
+                results.push(this.buildSuccess(index, operation, status, product));
+            } catch (error) {
+                results.push(this.buildFailure(index, operation, ErrorFactory.fromNativeError(error)));
+            }
+        }
+
+        return { results, rolledBack: false };
+    }
+
+    // All-or-nothing: with every product the batch touches locked, check every operation before applying any,
+    // then apply them in order with their change events held back. Events are only emitted once the whole batch
+    // has been applied; when an operation fails the applied ones are undone and their events dropped, so the
+    // audit trail and price history never see the batch.
+    async runAtomic(operations, context) {
+        return this.repository.withLocks(BulkOperationProcessor.lockIds(operations), async () => {
+            const plans = [];
+            const failures = [];
+
+            for (let index = 0; index < operations.length; index++) {
+                try {
+                    plans.push(await this.prepare(operations[index], context));
+                } catch (error) {
+                    failures.push(this.buildFailure(index, operations[index], ErrorFactory.fromNativeError(error)));
+                }
+            }
+
+            if (failures.length > 0) {
+                return { results: this.markNotExecuted(operations, failures), rolledBack: true };
+            }
+
+            const { result: outcome, events } = await this.repository.withEventsHeld(async () => {
+                const results = [];
+                const undoLog = [];
+
+                for (let index = 0; index < plans.length; index++) {
+                    try {
+                        const { status, product, undo } = await this.execute(plans[index], context);
+                        undoLog.push(undo);
+                        results.push(this.buildSuccess(index, operations[index], status, product));
+                    } catch (error) {
+                        results.push(this.buildFailure(index, operations[index], ErrorFactory.fromNativeError(error)));
+                        await this.rollback(undoLog);
+                        this.markRolledBack(results, operations, index);
+                        return { results, rolledBack: true };
+                    }
+                }
+
+                return { results, rolledBack: false };
+            });
+
+            if (!outcome.rolledBack) {
+                this.repository.emitHeld(events);
+            }
+
+            return outcome;
+        });
+    }
+
+    // IDs of the existing products a batch writes to
+    static lockIds(operations) {
+        return operations
+            .filter(operation => operation && operation.op !== 'create' && typeof operation.id === 'string')
+            .map(operation => operation.id);
+    }
+
+    // Check an operation without applying it; returns what to apply
+    async prepare(operation, { permissions, role }) {
+        if (operation === null || typeof operation !== 'object' || !BULK_OPERATIONS.includes(operation.op)) {
+            throw ErrorFactory.validation('Invalid bulk operation', [`op must be one of: ${BULK_OPERATIONS.join(', ')}`], 'op');
+        }
+
+        const { op, id, data } = operation;
+
+        if (op !== 'create' && (typeof id !== 'string' || id.trim().length === 0)) {
+            throw ErrorFactory.validation('Invalid bulk operation', [`"${op}" requires a product id`], 'id');
+        }
+
+        if (op !== 'delete' && (data === null || typeof data !== 'object' || Array.isArray(data))) {
+            throw ErrorFactory.validation('Invalid bulk operation', [`"${op}" requires a data object`], 'data');
+        }
+
+        switch (op) {
+            case 'create': {
+                const { errors, data: fields } = checkProductCreation(data);
+                if (errors.length > 0) {
+                    throw ErrorFactory.validation('Product validation failed', errors);
+                }
+
+                return { op, fields };
+            }
+
+            case 'update': {
+                const existing = await this.repository.findById(id);
+                if (!existing) {
+                    throw ErrorFactory.notFound('Product', id);
+                }
+
+                // Prices the update doesn't move to another currency stay in the product's own
+                const { errors, data: changes } = checkProductUpdate(data, { currentCurrency: currencyConverter.currencyOf(existing) });
+                if (errors.length > 0) {
+                    throw ErrorFactory.validation('Product update validation failed', errors);
+                }
+
+                return { op, id, changes };
+            }
+
+            default: {
+                if (!permissions.includes('delete')) {
+                    throw ErrorFactory.authorization('Access denied. Required permission: delete', 'delete', role);
+                }
+
+                const existing = await this.repository.findById(id);
+                if (!existing) {
+                    throw ErrorFactory.notFound('Product', id);
+                }
+
+                return { op, id };
+            }
+        }
+    }
+
+    // Apply a checked operation; returns the HTTP-style status, the resulting product and how to undo it
+    async execute({ op, id, fields, changes }, { actor }) {
+        if (op === 'create') {
+            const now = new Date().toISOString();
+            const product = await this.repository.create({
+                id: uuidv4(),
+                ...fields,
+                createdAt: now,
+                updatedAt: now,
+                version: 1
+            });
+
+            return { status: 201, product, undo: () => this.repository.purge(product.id, { includeLive: true }) };
+        }
+
+        // Earlier operations in the batch may have changed or deleted the product since it was checked
+        const existing = await this.repository.findById(id);
+        const product = existing && (op === 'update'
+            ? await this.repository.update(id, { ...changes, updatedAt: new Date().toISOString() }, { basedOn: existing })
+            : await this.repository.delete(id, { deletedBy: actor, basedOn: existing }));
+
+        if (!product) {
+            throw ErrorFactory.notFound('Product', id);
+        }
+
+        return { status: 200, product, undo: () => this.repository.reinstate(existing) };
+    }
+
+    // Undo applied operations, newest first
+    async rollback(undoLog) {
+        for (const undo of [...undoLog].reverse()) {
+            await undo();
+        }
+    }
+
+    // Per-item success entry
+    buildSuccess(index, operation, status, product) {
+        return {
+            index,
+            op: operation.op,
+            id: product.id,
+            status,
+            success: true,
+            data: product
+        };
+    }
+
+    // In atomic mode, report the operations that failed their checks and every other one as never run
+    markNotExecuted(operations, failures) {
+        const failedIndexes = failures.map(failure => failure.index);
+
+        return operations.map((operation, index) => failures.find(failure => failure.index === index) || {
+            index,
+            op: operation && operation.op,
+            ...(operation && operation.id && { id: operation.id }),
+            status: 424,
+            success: false,
+            error: {
+                code: 'NOT_EXECUTED',
+                message: `Skipped because operation(s) ${failedIndexes.join(', ')} failed validation`
+            }
+        });
+    }
+
+    // In atomic mode, report applied operations as undone and the rest as never run
+    markRolledBack(results, operations, failedIndex) {
+        results.forEach((result, index) => {
+            if (index === failedIndex) return;
+
+            results[index] = {
+                index,
+                op: result.op,
+                id: result.id,
+                status: 424,
+                success: false,
+                error: {
+                    code: 'ROLLED_BACK',
+                    message: `Rolled back because operation ${failedIndex} failed`
+                }
+            };
+        });
+
+        for (let index = failedIndex + 1; index < operations.length; index++) {
+            results.push({
+                index,
+                op: operations[index] && operations[index].op,
+                status: 424,
+                success: false,
+                error: {
+                    code: 'NOT_EXECUTED',
+                    message: `Skipped because operation ${failedIndex} failed`
+                }
+            });
+        }
+    }
+
+    // Per-item failure entry built from an error's JSON representation
+    buildFailure(index, operation, error) {
+        const { message, error: code, details, field } = error.toJSON();
+
+        return {
+            index,
+            op: operation && operation.op,
+            ...(operation && operation.id && { id: operation.id }),
+            status: error.getHTTPStatusCode(),
+            success: false,
+            error: {
+                code,
+                message,
+                ...(details && { details }),
+                ...(field && { field })
+            }
+        };
+    }
+}
+
+module.exports = {
+    BulkOperationProcessor,
+    BULK_OPERATIONS
+};
@@ -0,0 +1,88 @@
+// utils/categoryRegistry.js - In-memory view of the category store used by validators and query parsing
+
+class CategoryRegistry {
+    constructor() {
+        // slug -> category
+        this.categories = new Map();
+    }
+
+    // Load categories from the repository and keep them in sync with its change events
+    syncWith(repository) {
+        repository.on('created', category => this.categories.set(category.slug, category));
+        repository.on('updated', category => this.categories.set(category.slug, category));
+        repository.on('deleted', category => this.categories.delete(category.slug));
+
+        return repository.findAll().then(categories => {
+            this.categories = new Map(categories.map(category => [category.slug, category]));
+            return this;
+        });
+    }
+
+    // Whether a category slug exists
+    has(slug) {
+        return this.categories.has(slug);
+    }
+
+    // Get a category by slug (null when missing)
+    get(slug) {
+        return this.categories.get(slug) || null;
+    }
+
+    // All category slugs, sorted
+    slugs() {
+        return [...this.categories.keys()].sort();
+    }
+
+    // Slugs of the direct children of a category
+    children(slug) {
+        return this.slugs().filter(candidate => this.categories.get(candidate).parent === slug);
+    }
+
+    // Slugs of every category below a category (children, grandchildren, ...)
+    descendants(slug) {
+        const descendants = [];
+        const pending = this.children(slug);
+
+        while (pending.length > 0) {
+            const current = pending.shift();
+            if (current === slug || descendants.includes(current)) continue;
+
+            descendants.push(current);
+            pending.push(...this.children(current));
+        }
+
+        return descendants;
+    }
+
+    // A category followed by all of its descendants
+    subtree(slug) {
+        return [slug, ...this.descendants(slug)];
+    }
+
+    // Slugs from the root down to a category ("electronics" > "audio" > "headphones")
+    path(slug) {
+        return [...this.ancestors(slug).reverse(), slug];
+    }
+
+    // Slugs from a category's parent up to the root
+    ancestors(slug) {
+        const ancestors = [];
+        let current = this.get(slug);
+
+        // Guard against cycles in stored data
+        while (current && current.parent && !ancestors.includes(current.parent)) {
+            ancestors.push(current.parent);
+            current = this.get(current.parent);
+        }
+
+        return ancestors;
+    }
+}
+
+// Create singleton instance
+const categoryRegistry = new CategoryRegistry();
+
+module.exports = {
+    CategoryRegistry,
+    categoryRegistry
+};
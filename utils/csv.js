@@ -0,0 +1,100 @@
+// utils/csv.js - Minimal RFC 4180 CSV parsing and formatting
+
+// Leading characters that make spreadsheet applications treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class Csv {
+    // Parse CSV text into records; each record keeps the line number it starts on
+    static parse(text) {
+        const source = String(text).replace(/^﻿/, '');
+        const records = [];
+        let values = [];
+        let value = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+        let fieldStarted = false;
+
+        const endField = () => {
+            values.push(value);
+            value = '';
+            fieldStarted = false;
+        };
+
+        const endRecord = () => {
+            endField();
+            // Skip blank lines
+            if (values.length > 1 || values[0] !== '') {
+                records.push({ line: recordLine, values });
+            }
+            values = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    value += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && !fieldStarted) {
+                quoted = true;
+                fieldStarted = true;
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                value += char;
+                fieldStarted = true;
+            }
+        }
+
+        if (quoted) {
+            throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+        }
+
+        if (value !== '' || values.length > 0) {
+            endRecord();
+        }
+
+        return records;
+    }
+
+    // Format one value, quoting it when it contains a delimiter, quote or line break.
+    // Text that a spreadsheet would run as a formula is prefixed with ' so it opens as plain text.
+    static formatValue(value) {
+        if (value === undefined || value === null) return '';
+
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Undo the formula guard added by formatValue, so exported files import unchanged
+    static unescapeFormula(text) {
+        return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+    }
+
+    // Format a row of values as one CSV line (CRLF terminated)
+    static formatRow(values) {
+        return `${values.map(value => Csv.formatValue(value)).join(',')}\r\n`;
+    }
+}
+
+module.exports = Csv;
@@ -0,0 +1,121 @@
+// utils/currencyConverter.js - In-memory view of the exchange rate table used to convert and format prices
+
+const { currencyConfig } = require('../config/currencyConfig');
+const { Money } = require('./money');
+
+class CurrencyConverter {
+    constructor(baseCurrency = currencyConfig.baseCurrency) {
+        this.baseCurrency = baseCurrency;
+        // currency -> units of that currency per 1 unit of the base currency
+        this.rates = new Map();
+    }
+
+    // Load rates from the repository and keep them in sync with its change events
+    syncWith(repository) {
+        repository.on('created', entry => this.rates.set(entry.currency, entry.rate));
+        repository.on('updated', entry => this.rates.set(entry.currency, entry.rate));
+        repository.on('deleted', entry => this.rates.delete(entry.currency));
+
+        return repository.findAll().then(entries => {
+            this.rates = new Map(entries.map(entry => [entry.currency, entry.rate]));
+            return this;
+        });
+    }
+
+    // Whether prices can be converted to and from a currency
+    has(currency) {
+        return currency === this.baseCurrency || this.rates.has(currency);
+    }
+
+    // All convertible currencies: the base currency first, then the rest by code
+    currencies() {
+        return [this.baseCurrency, ...[...this.rates.keys()].filter(code => code !== this.baseCurrency).sort()];
+    }
+
+    // Units of a currency per 1 unit of the base currency
+    rate(currency) {
+        if (currency === this.baseCurrency) return 1;
+
+        if (!this.rates.has(currency)) {
+            throw new Error(`No exchange rate for ${currency}`);
+        }
+
+        return this.rates.get(currency);
+    }
+
+    // Currency a product is priced in (records written before currencies existed use the base currency)
+    currencyOf(product) {
+        return (product && product.currency) || this.baseCurrency;
+    }
+
+    // Convert an amount between currencies, rounded to the target currency's minor unit
+    convert(amount, from, to) {
+        if (from === to) return amount;
+        return Money.roundMoney((amount / this.rate(from)) * this.rate(to), to);
+    }
+
+    // The price a product sells for (its sale price while a promotion runs) in another currency;
+    // used to filter and sort on prices across currencies
+    priceIn(product, currency = this.baseCurrency) {
+        const price = product.salePrice !== null && product.salePrice !== undefined ? product.salePrice : product.price;
+        return this.convert(price, this.currencyOf(product), currency);
+    }
+
+    // A copy of a product with its prices (list, sale and variant prices) converted to a currency
+    convertProduct(product, currency) {
+        const from = this.currencyOf(product);
+        if (!currency || from === currency) return product;
+
+        const convertPrices = item => Object.fromEntries(['price', 'salePrice']
+            .filter(field => item[field] !== null && item[field] !== undefined)
+            .map(field => [field, this.convert(item[field], from, currency)]));
+
+        return {
+            ...product,
+            ...convertPrices(product),
+            currency,
+            ...(Array.isArray(product.variants) && {
+                variants: product.variants.map(variant => ({ ...variant, ...convertPrices(variant) }))
+            })
+        };
+    }
+
+    // Convert a list of products to a currency (unchanged when no currency is given)
+    convertAll(products, currency) {
+        return currency ? products.map(product => this.convertProduct(product, currency)) : products;
+    }
+
+    // A product as shown to a client: converted when a currency is asked for, with formatted prices
+    // (for the product and each variant, plus sale prices) when a currency or locale is asked for
+    present(product, { currency = null, locale = null } = {}) {
+        if (!currency && !locale) return product;
+
+        const converted = this.convertProduct(product, currency);
+        const priceCurrency = this.currencyOf(converted);
+        const format = amount => Money.format(amount, priceCurrency, locale || currencyConfig.defaultLocale);
+        const formatSale = item => (item.salePrice !== null && item.salePrice !== undefined
+            ? { formattedSalePrice: format(item.salePrice) }
+            : {});
+
+        return {
+            ...converted,
+            formattedPrice: format(converted.price),
+            ...formatSale(converted),
+            ...(Array.isArray(converted.variants) && {
+                variants: converted.variants.map(variant => ({
+                    ...variant,
+                    formattedPrice: format(variant.price === null || variant.price === undefined ? converted.price : variant.price),
+                    ...formatSale(variant)
+                }))
+            })
+        };
+    }
+}
+
+// Create singleton instance
+const currencyConverter = new CurrencyConverter();
+
+module.exports = {
+    CurrencyConverter,
+    currencyConverter
+};
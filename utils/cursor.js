@@ -0,0 +1,46 @@
+// utils/cursor.js - Opaque, signed pagination cursors
+
+const crypto = require('crypto');
+const { paginationConfig } = require('../config/paginationConfig');
+
+// Cursors only need to survive between page requests, so a per-process secret is an acceptable fallback
+const secret = paginationConfig.cursor.secret || crypto.randomBytes(32).toString('hex');
+
+class Cursor {
+    // Sign an encoded payload
+    static sign(data) {
+        return crypto.createHmac('sha256', secret).update(data).digest('base64url').slice(0, 22);
+    }
+
+    // Encode a sort position ({ field, order, value, id }) as an opaque cursor
+    static encode({ field, order, value, id }) {
+        const data = Buffer.from(JSON.stringify({ f: field, o: order, v: value, id })).toString('base64url');
+        return `${data}.${this.sign(data)}`;
+    }
+
+    // Decode and verify a cursor; throws if it was tampered with or is malformed
+    static decode(cursor) {
+        const [data, signature, extra] = String(cursor).split('.');
+
+        if (!data || !signature || extra !== undefined) {
+            throw new Error('Invalid pagination cursor');
+        }
+
+        const expected = Buffer.from(this.sign(data));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            throw new Error('Invalid pagination cursor');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid pagination cursor');
+        }
+
+        return { field: payload.f, order: payload.o, value: payload.v, id: payload.id };
+    }
+}
+
+module.exports = Cursor;
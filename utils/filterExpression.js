@@ -0,0 +1,262 @@
+// utils/filterExpression.js - Filter expression language for product listings
+//
+// Syntax (parsed by Express' query parser into nested objects):
+//   filter[price][gte]=100                    single condition
+//   filter[category]=books                    shorthand for eq
+//   filter[createdAt][between]=2024-01-01,2024-01-31
+//   filter[or][0][price][lt]=50&filter[or][1][inStock][eq]=false
+// Top-level conditions are combined with AND; "and"/"or" groups can be nested.
+
+const { ErrorFactory } = require('../errors');
+const { currencyConverter } = require('./currencyConverter');
+
+// Filterable fields and their value types
+const FILTERABLE_FIELDS = {
+    id: 'string',
+    name: 'string',
+    description: 'string',
+    category: 'string',
+    price: 'number',
+    inStock: 'boolean',
+    createdAt: 'date',
+    updatedAt: 'date'
+};
+
+// Operators supported for each value type
+const OPERATORS_BY_TYPE = {
+    string: ['eq', 'ne', 'in', 'nin', 'contains', 'startsWith', 'exists'],
+    number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'between', 'exists'],
+    boolean: ['eq', 'ne', 'exists'],
+    date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'exists']
+};
+
+const GROUP_OPERATORS = ['and', 'or'];
+const MAX_DEPTH = 3;
+const MAX_CONDITIONS = 50;
+
+class FilterExpression {
+    // Parse a raw "filter" query object into an expression tree; throws ValidationError with all problems found
+    static parse(raw) {
+        const errors = [];
+        const state = { conditions: 0 };
+
+        if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw ErrorFactory.validation(
+                'Invalid filter expression',
+                ['filter must use the form filter[field][operator]=value'],
+                'filter'
+            );
+        }
+
+        const expression = this.parseGroup('and', raw, 'filter', 1, errors, state);
+
+        if (state.conditions > MAX_CONDITIONS) {
+            errors.push(`filter: at most ${MAX_CONDITIONS} conditions are allowed`);
+        }
+
+        if (errors.length > 0) {
+            throw ErrorFactory.validation('Invalid filter expression', errors, 'filter');
+        }
+
+        return expression;
+    }
+
+    // Parse an object of "field -> operators" and nested groups into a group node
+    static parseGroup(type, raw, path, depth, errors, state) {
+        const node = { type, conditions: [] };
+
+        if (depth > MAX_DEPTH) {
+            errors.push(`${path}: groups can be nested at most ${MAX_DEPTH} levels deep`);
+            return node;
+        }
+
+        Object.entries(raw).forEach(([key, value]) => {
+            const keyPath = `${path}[${key}]`;
+
+            if (GROUP_OPERATORS.includes(key)) {
+                // qs gives arrays for small indexes and objects for large ones
+                const members = value !== null && typeof value === 'object' ? Object.values(value) : null;
+
+                if (!members || members.length === 0 || members.some(m => m === null || typeof m !== 'object' || Array.isArray(m))) {
+                    errors.push(`${keyPath}: must contain one or more groups like ${keyPath}[0][field][operator]=value`);
+                    return;
+                }
+
+                const group = { type: key, conditions: [] };
+                members.forEach((member, index) => {
+                    group.conditions.push(this.parseGroup('and', member, `${keyPath}[${index}]`, depth + 1, errors, state));
+                });
+                node.conditions.push(group);
+                return;
+            }
+
+            const fieldType = FILTERABLE_FIELDS[key];
+            if (!fieldType) {
+                errors.push(`${keyPath}: unknown field "${key}". Filterable fields: ${Object.keys(FILTERABLE_FIELDS).join(', ')}`);
+                return;
+            }
+
+            // filter[field]=value is shorthand for eq (repeated values for in)
+            let operators = value;
+            if (Array.isArray(value)) {
+                operators = { in: value };
+            } else if (value === null || typeof value !== 'object') {
+                operators = { eq: value };
+            }
+
+            Object.entries(operators).forEach(([operator, operand]) => {
+                const condition = this.parseCondition(key, fieldType, operator, operand, `${keyPath}[${operator}]`, errors);
+                if (condition) {
+                    state.conditions++;
+                    node.conditions.push(condition);
+                }
+            });
+        });
+
+        return node;
+    }
+
+    // Validate an operator and coerce its operand to the field type
+    static parseCondition(field, fieldType, operator, operand, path, errors) {
+        const allowed = OPERATORS_BY_TYPE[fieldType];
+
+        if (!allowed.includes(operator)) {
+            errors.push(`${path}: operator "${operator}" is not supported for ${fieldType} field "${field}". Supported: ${allowed.join(', ')}`);
+            return null;
+        }
+
+        if (operator === 'exists') {
+            const exists = this.coerce('boolean', operand);
+            if (exists === undefined) {
+                errors.push(`${path}: must be "true" or "false"`);
+                return null;
+            }
+            return { field, operator, value: exists };
+        }
+
+        if (operator === 'in' || operator === 'nin' || operator === 'between') {
+            const items = this.toList(operand);
+
+            if (items.length === 0) {
+                errors.push(`${path}: must be a comma-separated list of values`);
+                return null;
+            }
+
+            if (operator === 'between' && items.length !== 2) {
+                errors.push(`${path}: must be exactly two comma-separated values (min,max)`);
+                return null;
+            }
+
+            const values = items.map(item => this.coerce(fieldType, item));
+            const invalid = items.filter((item, index) => values[index] === undefined);
+            if (invalid.length > 0) {
+                errors.push(`${path}: ${invalid.map(item => `"${item}"`).join(', ')} ${invalid.length === 1 ? 'is' : 'are'} not a valid ${fieldType}`);
+                return null;
+            }
+
+            if (operator === 'between' && values[0] > values[1]) {
+                errors.push(`${path}: the first value must not be greater than the second`);
+                return null;
+            }
+
+            return { field, operator, value: values };
+        }
+
+        if (typeof operand !== 'string') {
+            errors.push(`${path}: must be a single value`);
+            return null;
+        }
+
+        const value = this.coerce(fieldType, operand);
+        if (value === undefined) {
+            errors.push(`${path}: "${operand}" is not a valid ${fieldType}`);
+            return null;
+        }
+
+        return { field, operator, value };
+    }
+
+    // Split a list operand given either as "a,b" or as repeated parameters
+    static toList(operand) {
+        const items = Array.isArray(operand) ? operand : String(operand).split(',');
+        return items.map(item => String(item).trim()).filter(item => item.length > 0);
+    }
+
+    // Convert a query string value to a field type (undefined when invalid)
+    static coerce(type, raw) {
+        const value = String(raw).trim();
+
+        switch (type) {
+            case 'number': {
+                const number = Number(value);
+                return value.length > 0 && Number.isFinite(number) ? number : undefined;
+            }
+            case 'boolean':
+                return value === 'true' ? true : value === 'false' ? false : undefined;
+            case 'date': {
+                const timestamp = Date.parse(value);
+                return isNaN(timestamp) ? undefined : timestamp;
+            }
+            default:
+                return value.length > 0 ? value.toLowerCase() : undefined;
+        }
+    }
+
+    // Normalize a product's field value for comparison with a coerced operand.
+    // price is the price the product sells for (its sale price during a promotion) in the given currency,
+    // as with minPrice/maxPrice.
+    static fieldValue(product, field, { currency = currencyConverter.baseCurrency } = {}) {
+        if (field === 'price' && typeof product.price === 'number') {
+            return currencyConverter.priceIn(product, currency);
+        }
+
+        const value = product[field];
+        if (value === undefined || value === null) return value;
+
+        switch (FILTERABLE_FIELDS[field]) {
+            case 'date':
+                return Date.parse(value);
+            case 'string':
+                return String(value).toLowerCase();
+            default:
+                return value;
+        }
+    }
+
+    // Evaluate an expression tree against a product (options are passed to fieldValue)
+    static evaluate(node, product, options = {}) {
+        if (node.type === 'and') {
+            return node.conditions.every(condition => this.evaluate(condition, product, options));
+        }
+
+        if (node.type === 'or') {
+            return node.conditions.some(condition => this.evaluate(condition, product, options));
+        }
+
+        const actual = this.fieldValue(product, node.field, options);
+        const expected = node.value;
+        const present = actual !== undefined && actual !== null && actual !== '';
+
+        switch (node.operator) {
+            case 'exists': return present === expected;
+            case 'eq': return actual === expected;
+            case 'ne': return actual !== expected;
+            case 'gt': return present && actual > expected;
+            case 'gte': return present && actual >= expected;
+            case 'lt': return present && actual < expected;
+            case 'lte': return present && actual <= expected;
+            case 'in': return expected.includes(actual);
+            case 'nin': return !expected.includes(actual);
+            case 'between': return present && actual >= expected[0] && actual <= expected[1];
+            case 'contains': return present && actual.includes(expected);
+            case 'startsWith': return present && actual.startsWith(expected);
+            default: return false;
+        }
+    }
+}
+
+module.exports = {
+    FilterExpression,
+    FILTERABLE_FIELDS,
+    OPERATORS_BY_TYPE
+};
@@ -0,0 +1,185 @@
+// utils/jsonPatch.js - JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) support
+
+const { ErrorFactory } = require('../errors');
+
+const PATCH_OPERATIONS = ['add', 'remove', 'replace', 'test'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class JsonPatch {
+    // Check the structure of a JSON Patch document; returns a list of problems (empty when valid)
+    static validate(operations) {
+        if (!Array.isArray(operations)) {
+            return ['JSON Patch body must be an array of operations'];
+        }
+
+        if (operations.length === 0) {
+            return ['JSON Patch body must contain at least one operation'];
+        }
+
+        const errors = [];
+        operations.forEach((operation, index) => {
+            const at = `operations[${index}]`;
+
+            if (!isPlainObject(operation)) {
+                errors.push(`${at}: must be an object`);
+                return;
+            }
+
+            if (!PATCH_OPERATIONS.includes(operation.op)) {
+                errors.push(`${at}: op must be one of: ${PATCH_OPERATIONS.join(', ')}`);
+            }
+
+            if (typeof operation.path !== 'string' || (operation.path !== '' && !operation.path.startsWith('/'))) {
+                errors.push(`${at}: path must be a JSON Pointer such as "/price"`);
+            }
+
+            if (PATCH_OPERATIONS.includes(operation.op) && operation.op !== 'remove' && !('value' in operation)) {
+                errors.push(`${at}: "${operation.op}" requires a value`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Split a JSON Pointer into unescaped reference tokens
+    static parsePointer(pointer) {
+        if (pointer === '') return [];
+
+        return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    // Apply a JSON Patch to a document, returning a new document (the input is not modified)
+    static apply(document, operations) {
+        let result = structuredClone(document);
+
+        operations.forEach((operation, index) => {
+            const tokens = this.parsePointer(operation.path);
+            const at = `operations[${index}] (${operation.op} ${operation.path})`;
+
+            if (tokens.length === 0) {
+                // Operations on the whole document
+                if (operation.op === 'test') {
+                    this.assertEqual(result, operation.value, at);
+                } else if (operation.op === 'remove') {
+                    throw ErrorFactory.validation('Invalid JSON Patch', [`${at}: the document root cannot be removed`], 'path');
+                } else {
+                    result = structuredClone(operation.value);
+                }
+                return;
+            }
+
+            const key = tokens[tokens.length - 1];
+            const parent = this.resolve(result, tokens.slice(0, -1), at);
+
+            if (Array.isArray(parent)) {
+                this.applyToArray(parent, key, operation, at);
+            } else {
+                this.applyToObject(parent, key, operation, at);
+            }
+        });
+
+        return result;
+    }
+
+    // Walk reference tokens down to a container value
+    static resolve(document, tokens, at) {
+        return tokens.reduce((current, token) => {
+            const next = Array.isArray(current) ? current[Number(token)] : current[token];
+
+            if (next === null || typeof next !== 'object' ||
+                !Object.prototype.hasOwnProperty.call(current, token)) {
+                throw ErrorFactory.validation('Invalid JSON Patch', [`${at}: path does not exist`], 'path');
+            }
+
+            return next;
+        }, document);
+    }
+
+    static applyToObject(parent, key, operation, at) {
+        const exists = Object.prototype.hasOwnProperty.call(parent, key);
+
+        if (operation.op !== 'add' && !exists) {
+            throw ErrorFactory.validation('Invalid JSON Patch', [`${at}: path does not exist`], 'path');
+        }
+
+        switch (operation.op) {
+            case 'test':
+                this.assertEqual(parent[key], operation.value, at);
+                break;
+            case 'remove':
+                delete parent[key];
+                break;
+            default:
+                parent[key] = structuredClone(operation.value);
+        }
+    }
+
+    static applyToArray(parent, key, operation, at) {
+        const appending = key === '-' && operation.op === 'add';
+        const index = appending ? parent.length : Number(key);
+        const upperBound = operation.op === 'add' ? parent.length : parent.length - 1;
+
+        if (!appending && (!/^(0|[1-9][0-9]*)$/.test(key) || index > upperBound)) {
+            throw ErrorFactory.validation('Invalid JSON Patch', [`${at}: array index is out of range`], 'path');
+        }
+
+        switch (operation.op) {
+            case 'test':
+                this.assertEqual(parent[index], operation.value, at);
+                break;
+            case 'remove':
+                parent.splice(index, 1);
+                break;
+            case 'replace':
+                parent[index] = structuredClone(operation.value);
+                break;
+            default:
+                parent.splice(index, 0, structuredClone(operation.value));
+        }
+    }
+
+    // A failed "test" aborts the whole patch
+    static assertEqual(actual, expected, at) {
+        if (!this.isEqual(actual, expected)) {
+            throw ErrorFactory.custom(`JSON Patch test failed at ${at}`, 409, 'PATCH_TEST_FAILED');
+        }
+    }
+
+    // Structural JSON equality
+    static isEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+
+        return keysA.length === keysB.length &&
+            keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.isEqual(a[key], b[key]));
+    }
+
+    // Apply a JSON Merge Patch: objects merge recursively, null removes a member, anything else replaces
+    static merge(target, patch) {
+        if (!isPlainObject(patch)) {
+            return structuredClone(patch);
+        }
+
+        const result = isPlainObject(target) ? { ...target } : {};
+
+        Object.entries(patch).forEach(([key, value]) => {
+            if (value === null) {
+                delete result[key];
+            } else {
+                result[key] = this.merge(result[key], value);
+            }
+        });
+
+        return result;
+    }
+}
+
+module.exports = {
+    JsonPatch,
+    PATCH_OPERATIONS
+};
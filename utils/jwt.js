@@ -0,0 +1,67 @@
+// utils/jwt.js - Minimal HS256 JSON Web Token signing and verification
+
+const crypto = require('crypto');
+
+class JsonWebToken {
+    // Base64url-encode a buffer or string
+    static encode(value) {
+        return Buffer.from(value).toString('base64url');
+    }
+
+    // Create the HS256 signature for a header.payload pair
+    static createSignature(data, secret) {
+        return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+    }
+
+    // Sign a payload, adding iat/exp claims
+    static sign(payload, secret, expiresInSeconds) {
+        const now = Math.floor(Date.now() / 1000);
+        const header = { alg: 'HS256', typ: 'JWT' };
+        const claims = {
+            ...payload,
+            iat: now,
+            exp: now + expiresInSeconds
+        };
+
+        const data = `${this.encode(JSON.stringify(header))}.${this.encode(JSON.stringify(claims))}`;
+        return `${data}.${this.createSignature(data, secret)}`;
+    }
+
+    // Verify a token's signature and expiry
+    static verify(token, secret) {
+        const parts = typeof token === 'string' ? token.split('.') : [];
+        if (parts.length !== 3) {
+            return { valid: false, reason: 'MALFORMED' };
+        }
+
+        const [encodedHeader, encodedPayload, signature] = parts;
+        let header;
+        let payload;
+
+        try {
+            header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+            payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+        } catch (error) {
+            return { valid: false, reason: 'MALFORMED' };
+        }
+
+        // Only accept the algorithm we sign with (rejects "alg: none" tricks)
+        if (header.alg !== 'HS256') {
+            return { valid: false, reason: 'UNSUPPORTED_ALGORITHM' };
+        }
+
+        const expected = Buffer.from(this.createSignature(`${encodedHeader}.${encodedPayload}`, secret));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return { valid: false, reason: 'INVALID_SIGNATURE' };
+        }
+
+        if (typeof payload.exp !== 'number' || payload.exp <= Math.floor(Date.now() / 1000)) {
+            return { valid: false, reason: 'EXPIRED', payload };
+        }
+
+        return { valid: true, payload };
+    }
+}
+
+module.exports = JsonWebToken;
@@ -0,0 +1,42 @@
+// utils/keyedLock.js - Per-key locks that serialize async tasks (e.g. writes to one product)
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class KeyedLock {
+    constructor() {
+        // key -> tail of the queue of tasks for that key
+        this.queues = new Map();
+        // Keys held by the running task and everything it awaits, so a holder can take its own keys again
+        this.held = new AsyncLocalStorage();
+    }
+
+    // Run a task once every earlier task for the same key has finished
+    run(key, task) {
+        const held = this.held.getStore() || new Set();
+        if (held.has(key)) {
+            return Promise.resolve().then(task);
+        }
+
+        const previous = this.queues.get(key) || Promise.resolve();
+        const result = previous.then(() => this.held.run(new Set([...held, key]), task));
+        const settled = result.catch(() => {});
+
+        this.queues.set(key, settled);
+        settled.then(() => {
+            if (this.queues.get(key) === settled) this.queues.delete(key);
+        });
+
+        return result;
+    }
+
+    // Run a task holding several keys, taken in sorted order so overlapping callers cannot deadlock
+    runAll(keys, task) {
+        return [...new Set(keys)]
+            .sort()
+            .reduceRight((next, key) => () => this.run(key, next), task)();
+    }
+}
+
+module.exports = {
+    KeyedLock
+};
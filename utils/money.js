@@ -0,0 +1,91 @@
+// utils/money.js - Currency-aware rounding, price limits and locale formatting
+
+const { currencyConfig } = require('../config/currencyConfig');
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// Cached Intl formatters keyed by "locale:currency"
+const formatters = new Map();
+
+class Money {
+    // Whether a string is an ISO 4217-style currency code (three uppercase letters)
+    static isCurrencyCode(code) {
+        return typeof code === 'string' && CURRENCY_CODE_PATTERN.test(code);
+    }
+
+    // Whether Intl can format numbers for a locale tag
+    static isSupportedLocale(locale) {
+        try {
+            return typeof locale === 'string' && Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Digits after the decimal point in a currency's minor unit (2 for USD, 0 for JPY, 3 for KWD)
+    static decimals(currency) {
+        return Money.formatter(currencyConfig.defaultLocale, currency).resolvedOptions().maximumFractionDigits;
+    }
+
+    // Round half away from zero to a number of decimals. Shifting the decimal point through the
+    // exponent avoids the binary float errors of value * 100 (1.005 rounds to 1.01, not 1.00).
+    static round(value, decimals = 2) {
+        if (!Number.isFinite(value)) return value;
+
+        const shift = (number, places) => {
+            const [mantissa, exponent = '0'] = String(number).split('e');
+            return Number(`${mantissa}e${Number(exponent) + places}`);
+        };
+
+        const rounded = Math.sign(value) * Math.round(shift(Math.abs(value), decimals));
+        return shift(rounded, -decimals) || 0;
+    }
+
+    // Round an amount to the minor unit of its currency
+    static roundMoney(amount, currency) {
+        return Money.round(amount, Money.decimals(currency));
+    }
+
+    // Smallest price allowed in a currency (one minor unit)
+    static minPrice(currency) {
+        return Money.round(10 ** -Money.decimals(currency), Money.decimals(currency));
+    }
+
+    // Largest price allowed in a currency
+    static maxPrice(currency) {
+        return Money.round(currencyConfig.maxPriceMinorUnits / 10 ** Money.decimals(currency), Money.decimals(currency));
+    }
+
+    // Check that a price fits a currency's limits; returns the problem found (null when valid)
+    static checkPrice(price, currency, label = 'Price') {
+        const min = Money.minPrice(currency);
+        const max = Money.maxPrice(currency);
+
+        if (typeof price !== 'number' || !Number.isFinite(price) || price < min || price > max) {
+            return `${label} must be between ${min} and ${max} ${currency}`;
+        }
+
+        return null;
+    }
+
+    // Format an amount for display, e.g. 1234.5 EUR in de-DE -> "1.234,50 €"
+    static format(amount, currency, locale = currencyConfig.defaultLocale) {
+        return Money.formatter(locale, currency).format(amount);
+    }
+
+    // Shared Intl.NumberFormat for a locale and currency
+    static formatter(locale, currency) {
+        const key = `${locale}:${currency}`;
+
+        if (!formatters.has(key)) {
+            formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+        }
+
+        return formatters.get(key);
+    }
+}
+
+module.exports = {
+    Money,
+    CURRENCY_CODE_PATTERN
+};
@@ -0,0 +1,38 @@
+// utils/priceHistory.js - Record product price and stock changes as a time series
+
+const PriceHistoryRepository = require('../repositories/PriceHistoryRepository');
+const { requestContext } = require('./requestContext');
+
+class PriceHistory {
+    constructor(priceHistoryRepository) {
+        this.priceHistoryRepository = priceHistoryRepository;
+    }
+
+    // Record a point whenever a product is created or its prices or stock level change
+    attach(repository) {
+        repository.on('created', product => this.record(null, product));
+        repository.on('updated', (product, previous) => this.record(previous, product));
+
+        return this;
+    }
+
+    // Record the product's new prices and stock level when they differ from before (always for new products)
+    record(before, after) {
+        const changes = before
+            ? PriceHistoryRepository.changedFields(PriceHistoryRepository.snapshot(before), PriceHistoryRepository.snapshot(after))
+            : ['created'];
+
+        if (changes.length === 0) return Promise.resolve(null);
+
+        const context = requestContext.get() || {};
+
+        return this.priceHistoryRepository.record(after, {
+            changes,
+            requestId: context.requestId || null
+        }).catch(error => {
+            console.error(`Failed to record price history for product ${after.id}: ${error.message}`);
+        });
+    }
+}
+
+module.exports = PriceHistory;
@@ -0,0 +1,184 @@
+// utils/productTransfer.js - Catalog export (CSV, NDJSON, JSON) and import parsing (CSV, NDJSON)
+
+const Csv = require('./csv');
+
+// Columns written when no fields=... projection is given
+const EXPORT_FIELDS = ['id', 'name', 'description', 'price', 'currency', 'category', 'inStock', 'stock', 'lowStockThreshold', 'variants', 'createdAt', 'updatedAt', 'version'];
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Upload content types accepted by the importer
+const IMPORT_FORMATS = {
+    'text/csv': 'csv',
+    'application/x-ndjson': 'ndjson'
+};
+
+// Columns the importer reads; server-managed columns from an export are accepted and ignored
+// (stock levels only change through stock movements)
+const IMPORT_FIELDS = ['id', 'name', 'description', 'price', 'currency', 'category', 'lowStockThreshold', 'variants'];
+const IGNORED_IMPORT_FIELDS = ['inStock', 'stock', 'createdAt', 'updatedAt', 'version', 'score', 'highlights'];
+
+// Rows per chunk written to the response
+const EXPORT_CHUNK_SIZE = 100;
+
+class ProductTransfer {
+    // Yield the serialized products in chunks so the response body is written as it is built rather than
+    // held as one string. The products themselves are already in memory (search, filters and sorting need
+    // the whole catalog); `present` is applied per chunk, e.g. to convert prices only as rows are written.
+    static* exportChunks(products, format, fields = EXPORT_FIELDS, { present = product => product } = {}) {
+        const pick = product => Object.fromEntries(fields.map(field => [field, product[field]]));
+
+        if (format === 'csv') {
+            yield Csv.formatRow(fields);
+        } else if (format === 'json') {
+            yield '[';
+        }
+
+        for (let start = 0; start < products.length; start += EXPORT_CHUNK_SIZE) {
+            const rows = products.slice(start, start + EXPORT_CHUNK_SIZE).map(present).map((product, offset) => {
+                switch (format) {
+                    case 'csv':
+                        return Csv.formatRow(fields.map(field => product[field]));
+                    case 'ndjson':
+                        return `${JSON.stringify(pick(product))}\n`;
+                    default:
+                        return `${start + offset > 0 ? ',' : ''}\n${JSON.stringify(pick(product))}`;
+                }
+            });
+
+            yield rows.join('');
+        }
+
+        if (format === 'json') {
+            yield '\n]\n';
+        }
+    }
+
+    // Parse an upload into rows; rows are numbered by the line they start on
+    static parseImport(text, format) {
+        return format === 'csv' ? this.parseCsv(text) : this.parseNdjson(text);
+    }
+
+    static parseCsv(text) {
+        const rows = [];
+        const errors = [];
+        let records;
+
+        try {
+            records = Csv.parse(text);
+        } catch (error) {
+            return { rows, errors: [{ row: null, errors: [error.message] }] };
+        }
+
+        if (records.length === 0) {
+            return { rows, errors: [{ row: null, errors: ['The file is empty'] }] };
+        }
+
+        const [header, ...dataRecords] = records;
+        const columns = header.values.map(column => column.trim());
+        const unknownColumns = columns.filter(column => !IMPORT_FIELDS.includes(column) && !IGNORED_IMPORT_FIELDS.includes(column));
+
+        if (unknownColumns.length > 0) {
+            return {
+                rows,
+                errors: [{
+                    row: header.line,
+                    errors: [`Unknown columns: ${unknownColumns.join(', ')}. Supported columns: ${IMPORT_FIELDS.join(', ')}`]
+                }]
+            };
+        }
+
+        dataRecords.forEach(({ line, values }) => {
+            if (values.length !== columns.length) {
+                errors.push({ row: line, errors: [`Expected ${columns.length} values but found ${values.length}`] });
+                return;
+            }
+
+            const data = {};
+            columns.forEach((column, index) => {
+                if (!IMPORT_FIELDS.includes(column)) return;
+                const value = this.coerceCsvValue(column, values[index]);
+                if (value !== undefined) data[column] = value;
+            });
+
+            rows.push({ row: line, data });
+        });
+
+        return { rows, errors };
+    }
+
+    static parseNdjson(text) {
+        const rows = [];
+        const errors = [];
+
+        String(text).split(/\r?\n/).forEach((line, index) => {
+            if (line.trim().length === 0) return;
+            const row = index + 1;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                errors.push({ row, errors: ['Line is not valid JSON'] });
+                return;
+            }
+
+            if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+                errors.push({ row, errors: ['Line must be a JSON object'] });
+                return;
+            }
+
+            const unknownFields = Object.keys(record)
+                .filter(field => !IMPORT_FIELDS.includes(field) && !IGNORED_IMPORT_FIELDS.includes(field));
+            if (unknownFields.length > 0) {
+                errors.push({ row, errors: [`Unknown fields: ${unknownFields.join(', ')}`] });
+                return;
+            }
+
+            const data = Object.fromEntries(IMPORT_FIELDS
+                .filter(field => record[field] !== undefined)
+                .map(field => [field, record[field]]));
+
+            rows.push({ row, data });
+        });
+
+        if (rows.length === 0 && errors.length === 0) {
+            errors.push({ row: null, errors: ['The file is empty'] });
+        }
+
+        return { rows, errors };
+    }
+
+    // Turn a CSV cell into the type the product rules expect (invalid values are left for validation to report)
+    static coerceCsvValue(column, raw) {
+        const value = Csv.unescapeFormula(raw.trim());
+        if (value === '') return undefined;
+
+        if (column === 'price' || column === 'lowStockThreshold') {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : value;
+        }
+
+        // Variants are written as a JSON array in one cell
+        if (column === 'variants') {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                return value;
+            }
+        }
+
+        return value;
+    }
+}
+
+module.exports = {
+    ProductTransfer,
+    EXPORT_FIELDS,
+    EXPORT_FORMATS,
+    IMPORT_FORMATS
+};
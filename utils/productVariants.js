@@ -0,0 +1,172 @@
+// utils/productVariants.js - Product variants: SKUs with option values (e.g. color, size), price overrides and their own stock
+
+const { Money } = require('./money');
+const { currencyConfig } = require('../config/currencyConfig');
+
+const MAX_VARIANTS = 100;
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,63}$/;
+const OPTION_NAME_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+class ProductVariants {
+    // Whether a product is sold as variants rather than as a single item
+    static hasVariants(product) {
+        return Boolean(product && Array.isArray(product.variants) && product.variants.length > 0);
+    }
+
+    // Normalize a SKU for storage and comparison
+    static normalizeSku(sku) {
+        return String(sku).trim().toUpperCase();
+    }
+
+    // Find a variant of a product by SKU (null when missing)
+    static find(product, sku) {
+        if (!ProductVariants.hasVariants(product) || typeof sku !== 'string') return null;
+
+        const normalized = ProductVariants.normalizeSku(sku);
+        return product.variants.find(variant => variant.sku === normalized) || null;
+    }
+
+    // Check a variants list (price overrides are in the product's currency); returns the problems found
+    static check(variants, currency = currencyConfig.baseCurrency) {
+        const errors = [];
+
+        if (!Array.isArray(variants)) {
+            return ['Variants must be an array'];
+        }
+
+        if (variants.length > MAX_VARIANTS) {
+            errors.push(`A product can have at most ${MAX_VARIANTS} variants`);
+        }
+
+        const skus = new Set();
+        const combinations = new Set();
+        let optionNames = null;
+
+        variants.forEach((variant, index) => {
+            const label = `variants[${index}]`;
+
+            if (variant === null || typeof variant !== 'object' || Array.isArray(variant)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+
+            const { sku, options, price } = variant;
+
+            if (typeof sku !== 'string' || !SKU_PATTERN.test(ProductVariants.normalizeSku(sku))) {
+                errors.push(`${label}.sku must be 1-64 letters, digits, dots, hyphens or underscores`);
+            } else if (skus.has(ProductVariants.normalizeSku(sku))) {
+                errors.push(`${label}.sku "${sku}" is used by another variant of this product`);
+            } else {
+                skus.add(ProductVariants.normalizeSku(sku));
+            }
+
+            if (options === null || typeof options !== 'object' || Array.isArray(options) || Object.keys(options).length === 0) {
+                errors.push(`${label}.options must be an object of option values, e.g. { "color": "red", "size": "M" }`);
+            } else {
+                const names = Object.keys(options).map(name => name.trim().toLowerCase()).sort();
+                const invalidNames = names.filter(name => !OPTION_NAME_PATTERN.test(name));
+                const invalidValues = Object.entries(options)
+                    .filter(([, value]) => typeof value !== 'string' || value.trim().length === 0 || value.trim().length > 50)
+                    .map(([name]) => name);
+
+                if (invalidNames.length > 0) {
+                    errors.push(`${label}.options has invalid option names: ${invalidNames.join(', ')} (use lowercase letters, digits and underscores)`);
+                }
+                if (invalidValues.length > 0) {
+                    errors.push(`${label}.options values must be non-empty strings of at most 50 characters (${invalidValues.join(', ')})`);
+                }
+
+                if (optionNames === null) {
+                    optionNames = names;
+                } else if (names.join(',') !== optionNames.join(',')) {
+                    errors.push(`${label}.options must set the same options as the other variants (${optionNames.join(', ')})`);
+                }
+
+                if (invalidValues.length === 0) {
+                    const combination = JSON.stringify(ProductVariants.sanitizeOptions(options));
+                    if (combinations.has(combination)) {
+                        errors.push(`${label}.options duplicate the options of another variant`);
+                    }
+                    combinations.add(combination);
+                }
+            }
+
+            if (price !== undefined && price !== null) {
+                const priceError = Money.checkPrice(price, currency, `${label}.price`);
+                if (priceError) errors.push(`${priceError} (or null to use the product price)`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Option names lowercased and sorted, values trimmed
+    static sanitizeOptions(options) {
+        return Object.fromEntries(Object.entries(options)
+            .map(([name, value]) => [name.trim().toLowerCase(), value.trim()])
+            .sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    // Sanitized client-editable variant fields (stock is managed through stock movements)
+    static sanitize(variants, currency = currencyConfig.baseCurrency) {
+        return variants.map(({ sku, options, price }) => ({
+            sku: ProductVariants.normalizeSku(sku),
+            options: ProductVariants.sanitizeOptions(options),
+            price: typeof price === 'number' ? Money.roundMoney(price, currency) : null
+        }));
+    }
+
+    // Sellable items of a product with their effective price and stock: each variant, or the product itself
+    static items(product) {
+        if (!ProductVariants.hasVariants(product)) {
+            return [{ sku: null, price: product.price, stock: product.stock || {} }];
+        }
+
+        return product.variants.map(variant => ({
+            sku: variant.sku,
+            price: variant.price !== null && variant.price !== undefined ? variant.price : product.price,
+            stock: variant.stock || {}
+        }));
+    }
+
+    // Effective prices of a product's sellable items
+    static prices(product) {
+        return ProductVariants.items(product).map(item => item.price);
+    }
+
+    // Per-warehouse stock of all variants combined
+    static aggregateStock(variants) {
+        const stock = {};
+        variants.forEach(variant => {
+            Object.entries(variant.stock || {}).forEach(([warehouse, quantity]) => {
+                stock[warehouse] = (stock[warehouse] || 0) + quantity;
+            });
+        });
+
+        return stock;
+    }
+
+    // Whether any variant matches every requested option (values compared case-insensitively)
+    static matchesOptions(product, optionFilters) {
+        if (!ProductVariants.hasVariants(product)) return false;
+
+        return product.variants.some(variant => Object.entries(optionFilters).every(([name, values]) => {
+            const value = variant.options[name];
+            return value !== undefined && values.includes(value.toLowerCase());
+        }));
+    }
+
+    // Text indexed for search: SKUs and option values
+    static searchText(product) {
+        if (!ProductVariants.hasVariants(product)) return '';
+
+        return product.variants
+            .map(variant => [variant.sku, ...Object.values(variant.options)].join(' '))
+            .join(' ');
+    }
+}
+
+module.exports = {
+    ProductVariants,
+    OPTION_NAME_PATTERN
+};
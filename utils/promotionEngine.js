@@ -0,0 +1,117 @@
+// utils/promotionEngine.js - In-memory view of the promotion store used to work out sale prices
+
+const PromotionRepository = require('../repositories/PromotionRepository');
+const { categoryRegistry } = require('./categoryRegistry');
+const { currencyConverter } = require('./currencyConverter');
+const { Money } = require('./money');
+
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+const PROMOTION_STATUSES = ['scheduled', 'active', 'ended'];
+
+class PromotionEngine {
+    constructor(converter = currencyConverter) {
+        this.converter = converter;
+        // id -> promotion
+        this.promotions = new Map();
+    }
+
+    // Load promotions from the repository and keep them in sync with its change events
+    syncWith(repository) {
+        repository.on('created', promotion => this.promotions.set(promotion.id, promotion));
+        repository.on('updated', promotion => this.promotions.set(promotion.id, promotion));
+        repository.on('deleted', promotion => this.promotions.delete(promotion.id));
+
+        return repository.findAll().then(promotions => {
+            this.promotions = new Map(promotions.map(promotion => [promotion.id, promotion]));
+            return this;
+        });
+    }
+
+    // Whether a promotion applies to a product: listed by ID, or in a targeted category or one of its subcategories
+    static targets(promotion, product) {
+        return (promotion.productIds || []).includes(product.id)
+            || (promotion.categories || []).some(slug => categoryRegistry.subtree(slug).includes(product.category));
+    }
+
+    // Promotions targeting a product that are running now (or, with scheduled, that haven't ended yet)
+    promotionsFor(product, { now = Date.now(), scheduled = false } = {}) {
+        return [...this.promotions.values()].filter(promotion => {
+            const status = PromotionRepository.status(promotion, now);
+            return PromotionEngine.targets(promotion, product) && (status === 'active' || (scheduled && status === 'scheduled'));
+        });
+    }
+
+    // Whether a product's sale price is going to change on a schedule (a promotion is running or about to)
+    hasScheduledPrices(product, now = Date.now()) {
+        return this.promotionsFor(product, { now, scheduled: true }).length > 0;
+    }
+
+    // A price after a promotion's discount, rounded to the currency's minor unit and never below one minor unit.
+    // Fixed discounts are converted from the promotion's currency first; the price is left as it is when
+    // there is no exchange rate to convert them with.
+    discount(price, currency, promotion) {
+        if (promotion.type === 'fixed' && !(this.converter.has(promotion.currency) && this.converter.has(currency))) {
+            return price;
+        }
+
+        const discounted = promotion.type === 'percentage'
+            ? price * (1 - promotion.value / 100)
+            : price - this.converter.convert(promotion.value, promotion.currency, currency);
+
+        return Math.max(Money.roundMoney(discounted, currency), Money.minPrice(currency));
+    }
+
+    // The running promotion giving a product the lowest price (null when none applies)
+    bestPromotion(product, now = Date.now()) {
+        const currency = this.converter.currencyOf(product);
+
+        return this.promotionsFor(product, { now })
+            .map(promotion => ({ promotion, price: this.discount(product.price, currency, promotion) }))
+            .filter(candidate => candidate.price < product.price)
+            .sort((a, b) => a.price - b.price || a.promotion.id.localeCompare(b.promotion.id))
+            .map(candidate => candidate.promotion)[0] || null;
+    }
+
+    // A product with its salePrice and the promotion behind it (both null when no promotion is running).
+    // Variants get a salePrice for their own effective price.
+    apply(product, now = Date.now()) {
+        const promotion = this.bestPromotion(product, now);
+        const currency = this.converter.currencyOf(product);
+        const sale = price => (promotion ? this.discount(price, currency, promotion) : null);
+
+        return {
+            ...product,
+            salePrice: sale(product.price),
+            promotion: promotion ? {
+                id: promotion.id,
+                name: promotion.name,
+                type: promotion.type,
+                value: promotion.value,
+                ...(promotion.type === 'fixed' && { currency: promotion.currency }),
+                startsAt: promotion.startsAt,
+                endsAt: promotion.endsAt
+            } : null,
+            ...(Array.isArray(product.variants) && {
+                variants: product.variants.map(variant => ({
+                    ...variant,
+                    salePrice: sale(variant.price === null || variant.price === undefined ? product.price : variant.price)
+                }))
+            })
+        };
+    }
+
+    // Apply running promotions to a list of products
+    applyAll(products, now = Date.now()) {
+        return products.map(product => this.apply(product, now));
+    }
+}
+
+// Create singleton instance
+const promotionEngine = new PromotionEngine();
+
+module.exports = {
+    PromotionEngine,
+    promotionEngine,
+    PROMOTION_TYPES,
+    PROMOTION_STATUSES
+};
@@ -1,22 +1,68 @@
 // utils/queryHelpers.js - Query processing and validation utilities
 
+const { SearchIndex, productSearchIndex } = require('./searchIndex');
+const { searchConfig } = require('../config/searchConfig');
+const { paginationConfig } = require('../config/paginationConfig');
+const Cursor = require('./cursor');
+const { FilterExpression } = require('./filterExpression');
+const StatsCalculator = require('./statsCalculator');
+const { categoryRegistry } = require('./categoryRegistry');
+const { ProductVariants, OPTION_NAME_PATTERN } = require('./productVariants');
+const { currencyConverter } = require('./currencyConverter');
+const { Money } = require('./money');
+
+// Fields that can be selected with fields=... (id is always included)
+const PROJECTABLE_FIELDS = ['id', 'name', 'description', 'price', 'salePrice', 'promotion', 'currency', 'formattedPrice', 'formattedSalePrice', 'category', 'inStock', 'stock', 'lowStockThreshold', 'variants', 'createdAt', 'updatedAt', 'version', 'deletedAt', 'deletedBy', 'score', 'highlights'];
+
+// Optional, computed blocks that can be requested with include=...
+const INCLUDE_OPTIONS = ['related', 'priceComparison', 'categoryStats'];
+
 class QueryProcessor {
-    // Parse and validate pagination parameters
-    static parsePagination(query) {
-        const page = parseInt(query.page) || 1;
-        const limit = parseInt(query.limit) || 10;
+    // Parse and validate pagination parameters (page mode, or cursor mode with after/before)
+    static parsePagination(query, sort = null) {
+        const { defaultLimit, maxLimit } = paginationConfig;
+        const limit = query.limit !== undefined ? parseInt(query.limit) : defaultLimit;
+
+        // Limit applies to both page and cursor mode
+        if (isNaN(limit) || limit < 1 || limit > maxLimit) {
+            throw new Error(`Limit must be between 1 and ${maxLimit}`);
+        }
+
+        if (query.after !== undefined || query.before !== undefined) {
+            if (query.after !== undefined && query.before !== undefined) {
+                throw new Error('Use either "after" or "before", not both');
+            }
+
+            if (query.page !== undefined) {
+                throw new Error('Cursor pagination ("after"/"before") cannot be combined with "page"');
+            }
+
+            const direction = query.after !== undefined ? 'after' : 'before';
+            const cursor = Cursor.decode(query[direction]);
+
+            // A cursor is a position in one specific ordering
+            if (sort && (cursor.field !== sort.field || cursor.order !== sort.order)) {
+                throw new Error(`Cursor was created for sortBy=${cursor.field}&sortOrder=${cursor.order}; use the same sorting or start from the first page`);
+            }
+
+            return {
+                mode: 'cursor',
+                limit,
+                direction,
+                cursor
+            };
+        }
+
+        const page = query.page !== undefined ? parseInt(query.page) : 1;
         const skip = (page - 1) * limit;
 
         // Validate pagination parameters
-        if (page < 1) {
+        if (isNaN(page) || page < 1) {
             throw new Error('Page number must be greater than 0');
         }
 
-        if (limit < 1 || limit > 100) {
-            throw new Error('Limit must be between 1 and 100');
-        }
-
         return {
+            mode: 'page',
             page,
             limit,
             skip,
@@ -24,28 +70,80 @@ class QueryProcessor {
         };
     }
 
+    // Parse the display currency (currency=EUR); null keeps each product's own currency
+    static parseCurrency(query) {
+        if (query.currency === undefined) return null;
+
+        const currency = String(query.currency).trim().toUpperCase();
+        if (!currencyConverter.has(currency)) {
+            throw new Error(`Unknown currency "${query.currency}". Available currencies: ${currencyConverter.currencies().join(', ')}`);
+        }
+
+        return currency;
+    }
+
+    // Parse the locale prices are formatted for (locale=de-DE); null when not given
+    static parseLocale(query) {
+        if (query.locale === undefined) return null;
+
+        const locale = String(query.locale).trim();
+        if (!Money.isSupportedLocale(locale)) {
+            throw new Error(`Unsupported locale "${query.locale}" (use a BCP 47 tag such as en-US or de-DE)`);
+        }
+
+        return locale;
+    }
+
+    // Parse currency conversion and price formatting parameters
+    static parsePricing(query) {
+        return {
+            currency: this.parseCurrency(query),
+            locale: this.parseLocale(query)
+        };
+    }
+
     // Parse and validate filter parameters
     static parseFilters(query) {
         const filters = {};
 
         // Category filter
         if (query.category) {
-            const validCategories = ['electronics', 'kitchen', 'clothing', 'books', 'sports', 'toys', 'other'];
             const categories = Array.isArray(query.category)
                 ? query.category.map(c => c.toLowerCase())
                 : [query.category.toLowerCase()];
 
-            const invalidCategories = categories.filter(cat => !validCategories.includes(cat));
+            const invalidCategories = categories.filter(cat => !categoryRegistry.has(cat));
             if (invalidCategories.length > 0) {
-                throw new Error(`Invalid categories: ${invalidCategories.join(', ')}. Valid categories: ${validCategories.join(', ')}`);
+                throw new Error(`Invalid categories: ${invalidCategories.join(', ')}. Valid categories: ${categoryRegistry.slugs().join(', ')}`);
+            }
+
+            // A category matches its whole subtree
+            filters.category = [...new Set(categories.flatMap(cat => categoryRegistry.subtree(cat)))];
+        }
+
+        // Variant option filter (option[color]=red,blue&option[size]=M): some variant must match every option
+        if (query.option !== undefined) {
+            if (query.option === null || typeof query.option !== 'object' || Array.isArray(query.option)) {
+                throw new Error('option must use the form option[name]=value (e.g. option[color]=red)');
             }
 
-            filters.category = categories;
+            filters.options = Object.fromEntries(Object.entries(query.option).map(([name, value]) => {
+                const optionName = name.trim().toLowerCase();
+                const values = (Array.isArray(value) ? value : String(value).split(','))
+                    .map(v => String(v).trim().toLowerCase())
+                    .filter(Boolean);
+
+                if (!OPTION_NAME_PATTERN.test(optionName) || values.length === 0) {
+                    throw new Error(`Invalid option filter "${name}": use option[name]=value with a lowercase option name`);
+                }
+
+                return [optionName, values];
+            }));
         }
 
-        // Price range filter
+        // Price range filter, in the requested currency (the base currency by default)
         if (query.minPrice || query.maxPrice) {
-            filters.price = {};
+            filters.price = { currency: this.parseCurrency(query) || currencyConverter.baseCurrency };
 
             if (query.minPrice) {
                 const minPrice = parseFloat(query.minPrice);
@@ -79,6 +177,13 @@ class QueryProcessor {
             }
         }
 
+        // Filter expression (filter[field][operator]=value); throws ValidationError with per-condition details
+        if (query.filter !== undefined) {
+            filters.expression = FilterExpression.parse(query.filter);
+            // Price conditions are in the requested currency too
+            filters.expressionCurrency = this.parseCurrency(query) || currencyConverter.baseCurrency;
+        }
+
         return filters;
     }
 
@@ -97,26 +202,91 @@ class QueryProcessor {
                 throw new Error('Search term must be less than 100 characters');
             }
 
+            const validFields = Object.keys(searchConfig.fields);
+            const fields = query.searchFields ? String(query.searchFields).split(',').map(f => f.trim()) : validFields;
+            const invalidFields = fields.filter(field => !validFields.includes(field));
+
+            if (invalidFields.length > 0) {
+                throw new Error(`Invalid search fields: ${invalidFields.join(', ')}. Valid fields: ${validFields.join(', ')}`);
+            }
+
             search.term = searchTerm.toLowerCase();
-            search.fields = query.fields ? query.fields.split(',') : ['name', 'description'];
+            search.fields = fields;
         }
 
         return search;
     }
 
+    // Parse sparse fieldset (fields=id,name,price); null means all fields
+    static parseFields(query) {
+        if (query.fields === undefined) return null;
+
+        const fields = String(query.fields).split(',').map(f => f.trim()).filter(f => f.length > 0);
+
+        if (fields.length === 0) {
+            throw new Error('fields must list at least one field');
+        }
+
+        const invalidFields = fields.filter(field => !PROJECTABLE_FIELDS.includes(field));
+        if (invalidFields.length > 0) {
+            throw new Error(`Invalid fields: ${invalidFields.join(', ')}. Valid fields: ${PROJECTABLE_FIELDS.join(', ')}`);
+        }
+
+        return [...new Set(['id', ...fields])];
+    }
+
+    // Parse optional computed blocks (include=related,priceComparison,categoryStats)
+    static parseIncludes(query) {
+        if (query.include === undefined) return [];
+
+        const includes = String(query.include).split(',').map(i => i.trim()).filter(i => i.length > 0);
+        const invalidIncludes = includes.filter(include => !INCLUDE_OPTIONS.includes(include));
+
+        if (invalidIncludes.length > 0) {
+            throw new Error(`Invalid include: ${invalidIncludes.join(', ')}. Valid options: ${INCLUDE_OPTIONS.join(', ')}`);
+        }
+
+        return [...new Set(includes)];
+    }
+
+    // Parse the includeDeleted flag (show products in the trash alongside live ones)
+    static parseIncludeDeleted(query) {
+        if (query.includeDeleted === undefined) return false;
+
+        if (query.includeDeleted !== 'true' && query.includeDeleted !== 'false') {
+            throw new Error('includeDeleted must be "true" or "false"');
+        }
+
+        return query.includeDeleted === 'true';
+    }
+
     // Parse and validate sorting parameters
     static parseSorting(query) {
         const sort = {};
 
+        const hasSearchTerm = Boolean(query.q || query.search);
+
         if (query.sortBy) {
-            const validSortFields = ['name', 'price', 'category', 'inStock', 'createdAt', 'updatedAt'];
+            const validSortFields = ['name', 'price', 'category', 'inStock', 'createdAt', 'updatedAt', 'relevance'];
 
             if (!validSortFields.includes(query.sortBy)) {
                 throw new Error(`Invalid sortBy field. Valid fields: ${validSortFields.join(', ')}`);
             }
 
+            if (query.sortBy === 'relevance' && !hasSearchTerm) {
+                throw new Error('sortBy=relevance requires a search term (q or search)');
+            }
+
             sort.field = query.sortBy;
-            sort.order = query.sortOrder === 'desc' ? 'desc' : 'asc';
+
+            // Relevance defaults to best match first
+            sort.order = query.sortBy === 'relevance'
+                ? (query.sortOrder === 'asc' ? 'asc' : 'desc')
+                : (query.sortOrder === 'desc' ? 'desc' : 'asc');
+        } else if (hasSearchTerm) {
+            // Search results default to relevance order
+            sort.field = 'relevance';
+            sort.order = 'desc';
         } else {
             // Default sorting
             sort.field = 'createdAt';
@@ -134,12 +304,19 @@ class QueryProcessor {
                 return false;
             }
 
-            // Price range filter
+            // Variant option filter
+            if (filters.options && !ProductVariants.matchesOptions(product, filters.options)) {
+                return false;
+            }
+
+            // Price range filter on the price products sell for (the sale price during a promotion),
+            // converting products priced in other currencies first
             if (filters.price) {
-                if (filters.price.min && product.price < filters.price.min) {
+                const price = currencyConverter.priceIn(product, filters.price.currency);
+                if (filters.price.min && price < filters.price.min) {
                     return false;
                 }
-                if (filters.price.max && product.price > filters.price.max) {
+                if (filters.price.max && price > filters.price.max) {
                     return false;
                 }
             }
@@ -149,56 +326,167 @@ class QueryProcessor {
                 return false;
             }
 
+            // Filter expression
+            if (filters.expression && !FilterExpression.evaluate(filters.expression, product, { currency: filters.expressionCurrency })) {
+                return false;
+            }
+
             return true;
         });
     }
 
-    // Apply search to products array
-    static applySearch(products, search) {
+    // Apply full-text search to products array, adding a relevance score and highlights to each hit
+    static applySearch(products, search, sharedIndex = productSearchIndex) {
         if (!search.term) return products;
 
-        return products.filter(product => {
-            return search.fields.some(field => {
-                const fieldValue = product[field];
-                return fieldValue && fieldValue.toString().toLowerCase().includes(search.term);
+        // Trashed products (includeDeleted) are kept out of the shared index, whose vocabulary feeds
+        // "did you mean" for every caller, so such searches use a throwaway index of the products at hand
+        const index = products.some(product => product.deletedAt)
+            ? new SearchIndex(sharedIndex.options)
+            : sharedIndex;
+
+        // Pick up products the index hasn't seen yet (e.g. written by another instance)
+        if (index === sharedIndex) {
+            index.ensure(products);
+        } else {
+            products.forEach(product => index.add(product));
+        }
+
+        const productsById = new Map(products.map(product => [product.id, product]));
+
+        return index.search(search.term, { fields: search.fields })
+            .filter(hit => productsById.has(hit.id))
+            .map(hit => {
+                const product = productsById.get(hit.id);
+                return {
+                    ...product,
+                    score: hit.score,
+                    highlights: index.highlight(product, hit.terms, search.fields)
+                };
             });
-        });
+    }
+
+    // Get the value a product is sorted on (relevance sorts on the score added by applySearch;
+    // prices sort on what products sell for, compared in the base currency so products priced in different
+    // currencies sort together)
+    static getSortValue(product, sort) {
+        if (sort.field === 'price') return currencyConverter.priceIn(product);
+
+        const value = product[sort.field === 'relevance' ? 'score' : sort.field];
+        return typeof value === 'string' ? value.toLowerCase() : value;
+    }
+
+    // Compare two sort positions ({ value, id }); ties are broken by ID so the order is stable
+    static comparePositions(a, b, order) {
+        if (a.value !== b.value) {
+            const result = a.value > b.value ? 1 : -1;
+            return order === 'desc' ? -result : result;
+        }
+
+        return a.id > b.id ? 1 : a.id < b.id ? -1 : 0;
     }
 
     // Apply sorting to products array
     static applySorting(products, sort) {
-        return products.sort((a, b) => {
-            let aValue = a[sort.field];
-            let bValue = b[sort.field];
-
-            // Handle different data types
-            if (typeof aValue === 'string') {
-                aValue = aValue.toLowerCase();
-                bValue = bValue.toLowerCase();
-            }
+        return products.sort((a, b) => this.comparePositions(
+            { value: this.getSortValue(a, sort), id: a.id },
+            { value: this.getSortValue(b, sort), id: b.id },
+            sort.order
+        ));
+    }
 
-            if (sort.order === 'desc') {
-                return bValue > aValue ? 1 : bValue < aValue ? -1 : 0;
-            } else {
-                return aValue > bValue ? 1 : aValue < bValue ? -1 : 0;
-            }
+    // Create a cursor pointing at a product's position in the current ordering
+    static createCursor(product, sort) {
+        return Cursor.encode({
+            field: sort.field,
+            order: sort.order,
+            value: this.getSortValue(product, sort),
+            id: product.id
         });
     }
 
-    // Apply pagination to products array
-    static applyPagination(products, pagination) {
+    // Keep only the requested fields of a product
+    static projectProduct(product, fields) {
+        if (!fields) return product;
+
+        return fields.reduce((projected, field) => {
+            if (product[field] !== undefined) projected[field] = product[field];
+            return projected;
+        }, {});
+    }
+
+    // Apply a sparse fieldset to products array
+    static applyProjection(products, fields) {
+        if (!fields) return products;
+        return products.map(product => this.projectProduct(product, fields));
+    }
+
+    // Apply pagination to (already sorted) products array
+    static applyPagination(products, pagination, sort = null) {
+        if (pagination.mode === 'cursor') {
+            return this.applyCursorPagination(products, pagination, sort);
+        }
+
         const startIndex = pagination.skip;
         const endIndex = startIndex + pagination.limit;
 
+        const data = products.slice(startIndex, endIndex);
+        const hasNextPage = endIndex < products.length;
+        const hasPrevPage = pagination.page > 1;
+
         return {
-            data: products.slice(startIndex, endIndex),
+            data,
             pagination: {
+                mode: 'page',
                 currentPage: pagination.page,
                 totalPages: Math.ceil(products.length / pagination.limit),
                 totalItems: products.length,
                 itemsPerPage: pagination.limit,
-                hasNextPage: endIndex < products.length,
-                hasPrevPage: pagination.page > 1
+                hasNextPage,
+                hasPrevPage,
+                // Cursors let clients switch to cursor mode from any page
+                nextCursor: sort && hasNextPage && data.length > 0 ? this.createCursor(data[data.length - 1], sort) : null,
+                prevCursor: sort && hasPrevPage && data.length > 0 ? this.createCursor(data[0], sort) : null
+            }
+        };
+    }
+
+    // Apply keyset pagination relative to a cursor (stable when items are inserted or deleted)
+    static applyCursorPagination(products, pagination, sort) {
+        const { cursor, direction, limit } = pagination;
+        const positionOf = product => ({ value: this.getSortValue(product, sort), id: product.id });
+
+        // Index of the first product positioned after the cursor
+        let boundary = products.findIndex(product => this.comparePositions(positionOf(product), cursor, sort.order) > 0);
+        if (boundary === -1) boundary = products.length;
+
+        let startIndex;
+        let endIndex;
+
+        if (direction === 'after') {
+            startIndex = boundary;
+            endIndex = Math.min(products.length, startIndex + limit);
+        } else {
+            // Products before the cursor end where the cursor item itself (if still present) starts
+            endIndex = products.findIndex(product => this.comparePositions(positionOf(product), cursor, sort.order) >= 0);
+            if (endIndex === -1) endIndex = products.length;
+            startIndex = Math.max(0, endIndex - limit);
+        }
+
+        const data = products.slice(startIndex, endIndex);
+        const hasNextPage = endIndex < products.length;
+        const hasPrevPage = startIndex > 0;
+
+        return {
+            data,
+            pagination: {
+                mode: 'cursor',
+                totalItems: products.length,
+                itemsPerPage: limit,
+                hasNextPage,
+                hasPrevPage,
+                nextCursor: hasNextPage && data.length > 0 ? this.createCursor(data[data.length - 1], sort) : null,
+                prevCursor: hasPrevPage && data.length > 0 ? this.createCursor(data[0], sort) : null
             }
         };
     }
@@ -206,17 +494,55 @@ class QueryProcessor {
 
 // Generate comprehensive metadata for API responses
 class ResponseBuilder {
-    static buildListResponse(products, originalQuery, filters, search, sort, pagination) {
+    // Build the per-product include blocks (related, priceComparison) against the full catalog,
+    // with catalog prices in the product's currency
+    static buildProductIncludes(product, catalog, include = []) {
+        const blocks = {};
+        if (include.includes('related') || include.includes('priceComparison')) {
+            catalog = currencyConverter.convertAll(catalog, currencyConverter.currencyOf(product));
+        }
+
+        if (include.includes('related')) {
+            blocks.relatedProducts = StatsCalculator.getRelatedProducts(product, catalog);
+        }
+
+        if (include.includes('priceComparison')) {
+            blocks.priceComparison = StatsCalculator.calculatePriceComparison(product, catalog);
+        }
+
+        return blocks;
+    }
+
+    // Category statistics for the categories of the given products, computed over the full catalog
+    static buildCategoryStats(products, catalog) {
+        const categories = new Set(products.map(p => p.category));
+        return StatsCalculator.calculateCategoryStats(catalog.filter(p => categories.has(p.category)));
+    }
+
+    static buildListResponse(products, originalQuery, filters, search, sort, pagination, options = {}) {
+        const { fields = null, include = [], catalog = products, pricing = {} } = options;
+        const priceCurrency = pricing.currency || currencyConverter.baseCurrency;
+
+        // Convert and format prices, project, then attach the requested computed blocks
+        const data = products.map(product => {
+            const presented = currencyConverter.present(product, pricing);
+            return {
+                ...QueryProcessor.projectProduct(presented, fields),
+                ...this.buildProductIncludes(presented, catalog, include)
+            };
+        });
+
         return {
             success: true,
-            data: products,
+            data: data,
             meta: {
                 pagination: pagination,
                 filters: {
                     applied: filters,
                     available: {
-                        categories: ['electronics', 'kitchen', 'clothing', 'books', 'sports', 'toys', 'other'],
-                        priceRange: { min: 0, max: 999999 },
+                        categories: categoryRegistry.slugs(),
+                        priceRange: { min: 0, max: Money.maxPrice(priceCurrency), currency: priceCurrency },
+                        currencies: currencyConverter.currencies(),
                         stockStatus: [true, false]
                     }
                 },
@@ -228,7 +554,19 @@ class ResponseBuilder {
                 sorting: {
                     field: sort.field,
                     order: sort.order,
-                    availableFields: ['name', 'price', 'category', 'inStock', 'createdAt', 'updatedAt']
+                    availableFields: ['name', 'price', 'category', 'inStock', 'createdAt', 'updatedAt', 'relevance']
+                },
+                projection: {
+                    fields: fields || 'all',
+                    include: include
+                },
+                ...(include.includes('categoryStats') && {
+                    categoryStats: this.buildCategoryStats(products, currencyConverter.convertAll(catalog, priceCurrency))
+                }),
+                pricing: {
+                    currency: pricing.currency || null,
+                    locale: pricing.locale || null,
+                    baseCurrency: currencyConverter.baseCurrency
                 },
                 query: originalQuery
             },
@@ -236,7 +574,7 @@ class ResponseBuilder {
         };
     }
 
-    static buildStatsResponse(products, stats) {
+    static buildStatsResponse(products, stats, dataSource = 'in-memory', currency = currencyConverter.baseCurrency) {
         return {
             success: true,
             data: {
@@ -249,7 +587,8 @@ class ResponseBuilder {
             meta: {
                 totalProducts: products.length,
                 generatedAt: new Date().toISOString(),
-                dataSource: 'in-memory'
+                dataSource: dataSource,
+                currency: currency
             },
             message: 'Product statistics retrieved successfully'
         };
@@ -258,5 +597,7 @@ class ResponseBuilder {
 
 module.exports = {
     QueryProcessor,
-    ResponseBuilder
+    ResponseBuilder,
+    PROJECTABLE_FIELDS,
+    INCLUDE_OPTIONS
 };
\ No newline at end of file
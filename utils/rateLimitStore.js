@@ -0,0 +1,102 @@
+// utils/rateLimitStore.js - Sliding window request counters
+
+class SlidingWindowStore {
+    constructor() {
+        // key -> { windowStart, current, previous, windowMs }
+        this.counters = new Map();
+        this.hitsSinceSweep = 0;
+    }
+
+    // Record a hit for a key and report whether it fits in the quota.
+    // Uses the sliding window counter approximation: the previous fixed window's count
+    // is weighted by how much of it still overlaps the sliding window.
+    hit(key, limit, windowMs, now = Date.now()) {
+        this.sweep(now);
+        return this.check(key, limit, windowMs, now, true);
+    }
+
+    // Report whether one more hit would fit in the quota, without recording it
+    peek(key, limit, windowMs, now = Date.now()) {
+        return this.check(key, limit, windowMs, now, false);
+    }
+
+    check(key, limit, windowMs, now, record) {
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        let entry = this.counters.get(key);
+
+        if (!entry || entry.windowStart !== windowStart) {
+            const previous = entry && entry.windowStart === windowStart - windowMs ? entry.current : 0;
+            entry = { windowStart, current: 0, previous, windowMs };
+            if (record) this.counters.set(key, entry);
+        }
+
+        const elapsed = now - windowStart;
+        const weight = 1 - elapsed / windowMs;
+        const estimated = entry.previous * weight + entry.current;
+        const resetAfter = Math.ceil((windowMs - elapsed) / 1000);
+
+        if (estimated + 1 > limit) {
+            return {
+                allowed: false,
+                limit,
+                remaining: 0,
+                resetAfter,
+                retryAfter: this.getRetryAfter(entry, limit, elapsed)
+            };
+        }
+
+        if (record) entry.current++;
+        const used = entry.previous * weight + entry.current + (record ? 0 : 1);
+
+        return {
+            allowed: true,
+            limit,
+            remaining: Math.max(0, Math.floor(limit - used)),
+            resetAfter,
+            retryAfter: 0
+        };
+    }
+
+    // Seconds until one more request would fit in the sliding window
+    getRetryAfter(entry, limit, elapsed) {
+        const { windowMs, previous, current } = entry;
+        let waitMs;
+
+        if (current + 1 <= limit && previous > 0) {
+            // Wait for enough of the previous window to slide out
+            waitMs = windowMs * (1 - (limit - 1 - current) / previous) - elapsed;
+        } else {
+            // Current window is full: wait for it to roll over and partly slide out
+            const rolloverMs = windowMs - elapsed;
+            waitMs = rolloverMs + (current > 0 ? windowMs * Math.max(0, 1 - (limit - 1) / current) : 0);
+        }
+
+        return Math.max(1, Math.ceil(waitMs / 1000));
+    }
+
+    // Drop counters that no longer affect any sliding window
+    sweep(now) {
+        if (++this.hitsSinceSweep < 1000) return;
+        this.hitsSinceSweep = 0;
+
+        this.counters.forEach((entry, key) => {
+            if (now - entry.windowStart >= 2 * entry.windowMs) {
+                this.counters.delete(key);
+            }
+        });
+    }
+
+    // Reset all counters
+    reset() {
+        this.counters.clear();
+        this.hitsSinceSweep = 0;
+    }
+}
+
+// Create singleton instance
+const rateLimitStore = new SlidingWindowStore();
+
+module.exports = {
+    SlidingWindowStore,
+    rateLimitStore
+};
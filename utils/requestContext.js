@@ -0,0 +1,27 @@
+// utils/requestContext.js - Per-request context (request ID, acting user) available to code without access to req
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const requestContext = {
+    // Run a callback (and everything it awaits) with the given context
+    run(context, callback) {
+        return storage.run(context, callback);
+    },
+
+    // Context of the current request (null outside a request, e.g. scheduled jobs)
+    get() {
+        return storage.getStore() || null;
+    },
+
+    // Add values to the current request's context
+    annotate(values) {
+        const context = storage.getStore();
+        if (context) Object.assign(context, values);
+    }
+};
+
+module.exports = {
+    requestContext
+};
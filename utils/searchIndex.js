@@ -0,0 +1,367 @@
+// utils/searchIndex.js - Inverted index with BM25 relevance scoring and highlighting
+
+const { TextAnalyzer } = require('./textAnalysis');
+const { searchConfig } = require('../config/searchConfig');
+const { ProductVariants } = require('./productVariants');
+
+// Characters escaped in highlighted snippets, which clients render as markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = text => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+class SearchIndex {
+    constructor(options = searchConfig) {
+        this.options = options;
+        this.fields = Object.keys(options.fields);
+        this.reset();
+    }
+
+    // Clear all indexed documents
+    reset() {
+        // term -> field -> Map(docId -> term frequency)
+        this.postings = new Map();
+        // docId -> { version, lengths: { field: termCount }, terms: Set, tokens: [[term, token]] }
+        this.documents = new Map();
+        // term -> Map(original token -> count), used to show readable corrections for stemmed terms
+        this.surfaceForms = new Map();
+        // field -> total term count (for average field length)
+        this.totalLengths = Object.fromEntries(this.fields.map(field => [field, 0]));
+    }
+
+    // Text of an indexed product field
+    static fieldText(product, field) {
+        return field === 'variants' ? ProductVariants.searchText(product) : String(product[field] || '');
+    }
+
+    // Number of indexed documents
+    get size() {
+        return this.documents.size;
+    }
+
+    // Index (or re-index) a product
+    add(product) {
+        if (this.documents.has(product.id)) {
+            this.remove(product.id);
+        }
+
+        const doc = { version: product.updatedAt, lengths: {}, terms: new Set(), tokens: [] };
+
+        this.fields.forEach(field => {
+            const analyzed = TextAnalyzer.analyze(SearchIndex.fieldText(product, field));
+            doc.lengths[field] = analyzed.length;
+            this.totalLengths[field] += analyzed.length;
+
+            analyzed.forEach(({ term, token }) => {
+                doc.tokens.push([term, token]);
+                if (!this.surfaceForms.has(term)) this.surfaceForms.set(term, new Map());
+                const forms = this.surfaceForms.get(term);
+                forms.set(token, (forms.get(token) || 0) + 1);
+
+                if (!this.postings.has(term)) this.postings.set(term, new Map());
+                const byField = this.postings.get(term);
+                if (!byField.has(field)) byField.set(field, new Map());
+                const docs = byField.get(field);
+                docs.set(product.id, (docs.get(product.id) || 0) + 1);
+                doc.terms.add(term);
+            });
+        });
+
+        this.documents.set(product.id, doc);
+    }
+
+    // Remove a product from the index
+    remove(id) {
+        const doc = this.documents.get(id);
+        if (!doc) return;
+
+        doc.terms.forEach(term => {
+            const byField = this.postings.get(term);
+            byField.forEach((docs, field) => {
+                docs.delete(id);
+                if (docs.size === 0) byField.delete(field);
+            });
+            if (byField.size === 0) this.postings.delete(term);
+        });
+
+        doc.tokens.forEach(([term, token]) => {
+            const forms = this.surfaceForms.get(term);
+            const count = forms.get(token) - 1;
+            if (count > 0) forms.set(token, count);
+            else forms.delete(token);
+            if (forms.size === 0) this.surfaceForms.delete(term);
+        });
+
+        this.fields.forEach(field => {
+            this.totalLengths[field] -= doc.lengths[field];
+        });
+
+        this.documents.delete(id);
+    }
+
+    // Index live products that are missing or changed since they were indexed (the trash stays out of the index)
+    ensure(products) {
+        products.forEach(product => {
+            if (product.deletedAt) return;
+
+            const doc = this.documents.get(product.id);
+            if (!doc || doc.version !== product.updatedAt) {
+                this.add(product);
+            }
+        });
+    }
+
+    // Build the index from the repository and keep it in sync with its change events
+    syncWith(repository) {
+        repository.on('created', product => this.add(product));
+        // Products in the trash can still be updated (e.g. recategorized) but stay out of the index
+        repository.on('updated', product => (product.deletedAt ? this.remove(product.id) : this.add(product)));
+        repository.on('deleted', product => this.remove(product.id));
+        repository.on('restored', product => this.add(product));
+        repository.on('purged', product => this.remove(product.id));
+
+        return repository.findAll().then(products => {
+            this.reset();
+            products.forEach(product => this.add(product));
+            return this;
+        });
+    }
+
+    // Maximum edit distance tolerated for a query term of this length
+    getMaxDistance(queryTerm) {
+        const { fuzzy } = this.options;
+        if (!fuzzy || !fuzzy.enabled) return 0;
+
+        const rule = fuzzy.maxDistance.find(r => queryTerm.length >= r.minLength);
+        return rule ? rule.distance : 0;
+    }
+
+    // Find index terms within the allowed edit distance of a query term, closest first
+    findSimilarTerms(queryTerm) {
+        const maxDistance = this.getMaxDistance(queryTerm);
+        const similar = [];
+
+        if (maxDistance === 0) return similar;
+
+        this.postings.forEach((byField, term) => {
+            const distance = TextAnalyzer.editDistance(queryTerm, term, maxDistance);
+            if (distance > 0 && distance <= maxDistance) {
+                similar.push({ term, distance, frequency: this.getDocumentFrequency(term) });
+            }
+        });
+
+        return similar.sort((a, b) => a.distance - b.distance || b.frequency - a.frequency);
+    }
+
+    // Number of documents containing a term in any field
+    getDocumentFrequency(term) {
+        const docIds = new Set();
+        this.postings.get(term)?.forEach(docs => docs.forEach((tf, docId) => docIds.add(docId)));
+        return docIds.size;
+    }
+
+    // Most common original spelling of an indexed (stemmed) term
+    getSurfaceForm(term) {
+        const forms = this.surfaceForms.get(term);
+        if (!forms) return term;
+
+        return [...forms.entries()].sort(([, a], [, b]) => b - a)[0][0];
+    }
+
+    // Expand a query term into matching index terms with weights (exact, then prefix, then fuzzy)
+    expandTerm(queryTerm) {
+        const expansions = new Map();
+
+        if (this.postings.has(queryTerm)) {
+            expansions.set(queryTerm, 1);
+        }
+
+        if (queryTerm.length >= this.options.prefixMinLength) {
+            this.postings.forEach((byField, term) => {
+                if (term !== queryTerm && term.startsWith(queryTerm)) {
+                    expansions.set(term, this.options.prefixWeight);
+                }
+            });
+        }
+
+        // Only fall back to typo tolerance when nothing matched as typed
+        if (expansions.size === 0) {
+            this.findSimilarTerms(queryTerm).forEach(({ term, distance }) => {
+                expansions.set(term, this.options.fuzzy.weight / distance);
+            });
+        }
+
+        return expansions;
+    }
+
+    // BM25 score contribution of one term in one field of a document
+    scoreTerm(term, field, docId) {
+        const docs = this.postings.get(term)?.get(field);
+        const tf = docs?.get(docId);
+        if (!tf) return 0;
+
+        const { k1, b } = this.options.bm25;
+        const n = this.documents.size;
+        const df = docs.size;
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        const avgLength = this.totalLengths[field] / n || 1;
+        const length = this.documents.get(docId).lengths[field];
+
+        return idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * length / avgLength));
+    }
+
+    // Search the index; every query term must match (AND). Returns hits sorted by score.
+    search(text, options = {}) {
+        const fields = (options.fields || this.fields).filter(field => this.fields.includes(field));
+        const queryTerms = [...new Set(TextAnalyzer.terms(text))];
+
+        if (queryTerms.length === 0 || fields.length === 0) return [];
+
+        let candidates = null;
+        const scores = new Map();
+        const matchedTerms = new Map();
+
+        queryTerms.forEach(queryTerm => {
+            const termScores = new Map();
+
+            this.expandTerm(queryTerm).forEach((weight, term) => {
+                fields.forEach(field => {
+                    const docs = this.postings.get(term)?.get(field);
+                    if (!docs) return;
+
+                    docs.forEach((tf, docId) => {
+                        const score = weight * this.options.fields[field].boost * this.scoreTerm(term, field, docId);
+                        termScores.set(docId, (termScores.get(docId) || 0) + score);
+
+                        if (!matchedTerms.has(docId)) matchedTerms.set(docId, new Set());
+                        matchedTerms.get(docId).add(term);
+                    });
+                });
+            });
+
+            const matchedDocs = new Set(termScores.keys());
+            candidates = candidates === null
+                ? matchedDocs
+                : new Set([...candidates].filter(docId => matchedDocs.has(docId)));
+
+            termScores.forEach((score, docId) => {
+                scores.set(docId, (scores.get(docId) || 0) + score);
+            });
+        });
+
+        return [...candidates]
+            .map(docId => ({
+                id: docId,
+                score: parseFloat(scores.get(docId).toFixed(4)),
+                terms: [...matchedTerms.get(docId)]
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Suggest spelling corrections for query words that don't appear in the catalog vocabulary
+    suggestCorrections(text) {
+        const corrections = [];
+
+        TextAnalyzer.analyze(text).forEach(({ token, term, start, end }) => {
+            if (this.postings.has(term)) return;
+
+            const hasPrefixMatch = term.length >= this.options.prefixMinLength &&
+                [...this.postings.keys()].some(indexed => indexed.startsWith(term));
+            if (hasPrefixMatch) return;
+
+            const [closest] = this.findSimilarTerms(term);
+            if (closest) {
+                corrections.push({
+                    term: token,
+                    suggestion: this.getSurfaceForm(closest.term),
+                    distance: closest.distance,
+                    start,
+                    end
+                });
+            }
+        });
+
+        return corrections;
+    }
+
+    // Build "did you mean" suggestions: corrected query and the product names closest to it
+    suggest(text, products) {
+        const { minSimilarity, maxSuggestions } = this.options.fuzzy;
+        const corrections = this.suggestCorrections(text);
+        const source = String(text).toLowerCase();
+
+        // Rebuild the query with corrected words in place
+        let didYouMean = null;
+        if (corrections.length > 0) {
+            let cursor = 0;
+            didYouMean = '';
+            corrections.forEach(correction => {
+                didYouMean += source.slice(cursor, correction.start) + correction.suggestion;
+                cursor = correction.end;
+            });
+            didYouMean += source.slice(cursor);
+        }
+
+        // Score product names by how closely their words match the (corrected) query words
+        const queryTokens = TextAnalyzer.analyze(didYouMean || source).map(entry => entry.token);
+        const closestProducts = queryTokens.length === 0 ? [] : products
+            .map(product => {
+                const nameTokens = TextAnalyzer.analyze(product.name).map(entry => entry.token);
+                const similarity = queryTokens.reduce((sum, queryToken) => {
+                    const best = Math.max(0, ...nameTokens.map(nameToken => TextAnalyzer.similarity(queryToken, nameToken)));
+                    return sum + best;
+                }, 0) / queryTokens.length;
+
+                return { id: product.id, name: product.name, similarity: parseFloat(similarity.toFixed(2)) };
+            })
+            .filter(candidate => candidate.similarity >= minSimilarity)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, maxSuggestions);
+
+        return {
+            didYouMean,
+            corrections: corrections.map(({ term, suggestion, distance }) => ({ term, suggestion, distance })),
+            closestProducts
+        };
+    }
+
+    // Build highlighted snippets for the fields of a product that contain matched terms.
+    // Product text is HTML-escaped; only the highlight tags are markup.
+    highlight(product, terms, fields = this.fields) {
+        const { preTag, postTag, snippetLength } = this.options.highlight;
+        const termSet = new Set(terms);
+        const highlights = {};
+
+        fields.forEach(field => {
+            const text = SearchIndex.fieldText(product, field);
+            const matches = TextAnalyzer.analyze(text).filter(entry => termSet.has(entry.term));
+            if (matches.length === 0) return;
+
+            // Centre the snippet window on the first match
+            const first = matches[0];
+            let start = Math.max(0, first.start - Math.floor(snippetLength / 3));
+            const end = Math.min(text.length, start + snippetLength);
+            start = Math.max(0, end - snippetLength);
+
+            let snippet = '';
+            let cursor = start;
+            matches
+                .filter(match => match.start >= start && match.end <= end)
+                .forEach(match => {
+                    snippet += escapeHtml(text.slice(cursor, match.start)) + preTag + escapeHtml(text.slice(match.start, match.end)) + postTag;
+                    cursor = match.end;
+                });
+            snippet += escapeHtml(text.slice(cursor, end));
+
+            highlights[field] = `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+        });
+
+        return highlights;
+    }
+}
+
+// Create singleton instance for the product catalog
+const productSearchIndex = new SearchIndex();
+
+module.exports = {
+    SearchIndex,
+    productSearchIndex
+};
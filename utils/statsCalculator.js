@@ -1,14 +1,24 @@
 // utils/statsCalculator.js - Product statistics and analytics
 
+const { categoryRegistry } = require('./categoryRegistry');
+const { StockLedger } = require('./stockLedger');
+const ProductRepository = require('../repositories/ProductRepository');
+const { ProductVariants } = require('./productVariants');
+const { Money } = require('./money');
+const { currencyConverter } = require('./currencyConverter');
+const { statsConfig } = require('../config/statsConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class StatsCalculator {
-    // Calculate comprehensive product statistics
-    static calculateProductStats(products) {
+    // Calculate comprehensive product statistics (options are passed to calculateCategoryStats and calculateTrends)
+    static calculateProductStats(products, options = {}) {
         const stats = {
             overview: this.calculateOverview(products),
-            byCategory: this.calculateCategoryStats(products),
+            byCategory: this.calculateCategoryStats(products, options),
             pricing: this.calculatePricingStats(products),
             inventory: this.calculateInventoryStats(products),
-            trends: this.calculateTrends(products)
+            trends: this.calculateTrends(products, options)
         };
 
         return stats;
@@ -25,23 +35,31 @@ class StatsCalculator {
 
         const uniqueCategories = [...new Set(products.map(p => p.category))].length;
 
+        // Products with variants are sold as one item per variant
+        const productsWithVariants = products.filter(p => ProductVariants.hasVariants(p)).length;
+        const totalVariants = products.reduce((sum, p) => sum + (ProductVariants.hasVariants(p) ? p.variants.length : 0), 0);
+
         return {
             totalProducts,
+            productsWithVariants,
+            totalVariants,
+            totalSellableItems: totalProducts - productsWithVariants + totalVariants,
             inStockProducts,
             outOfStockProducts,
-            stockPercentage: totalProducts > 0 ? ((inStockProducts / totalProducts) * 100).toFixed(2) : 0,
-            totalValue: parseFloat(totalValue.toFixed(2)),
-            averagePrice: parseFloat(averagePrice.toFixed(2)),
+            stockPercentage: totalProducts > 0 ? Money.round((inStockProducts / totalProducts) * 100) : 0,
+            totalValue: Money.round(totalValue),
+            averagePrice: Money.round(averagePrice),
             uniqueCategories
         };
     }
 
-    // Calculate category-based statistics
-    static calculateCategoryStats(products) {
+    // Calculate category-based statistics.
+    // With a depth, subcategories below that level are rolled up into their ancestor (depth 1 = top-level categories).
+    static calculateCategoryStats(products, { depth = null } = {}) {
         const categoryStats = {};
 
         products.forEach(product => {
-            const category = product.category;
+            const category = depth ? this.rollupCategory(product.category, depth) : product.category;
 
             if (!categoryStats[category]) {
                 categoryStats[category] = {
@@ -52,17 +70,21 @@ class StatsCalculator {
                     averagePrice: 0,
                     minPrice: Infinity,
                     maxPrice: -Infinity,
+                    variantCount: 0,
                     products: []
                 };
             }
 
+            // Price ranges cover variant price overrides
+            const prices = ProductVariants.prices(product);
             const stats = categoryStats[category];
             stats.count++;
+            stats.variantCount += ProductVariants.hasVariants(product) ? product.variants.length : 0;
             stats.inStock += product.inStock ? 1 : 0;
             stats.outOfStock += product.inStock ? 0 : 1;
             stats.totalValue += product.price;
-            stats.minPrice = Math.min(stats.minPrice, product.price);
-            stats.maxPrice = Math.max(stats.maxPrice, product.price);
+            stats.minPrice = Math.min(stats.minPrice, ...prices);
+            stats.maxPrice = Math.max(stats.maxPrice, ...prices);
             stats.products.push({
                 id: product.id,
                 name: product.name,
@@ -74,9 +96,9 @@ class StatsCalculator {
         // Calculate averages and format data
         Object.keys(categoryStats).forEach(category => {
             const stats = categoryStats[category];
-            stats.averagePrice = parseFloat((stats.totalValue / stats.count).toFixed(2));
-            stats.totalValue = parseFloat(stats.totalValue.toFixed(2));
-            stats.stockPercentage = parseFloat(((stats.inStock / stats.count) * 100).toFixed(2));
+            stats.averagePrice = Money.round(stats.totalValue / stats.count);
+            stats.totalValue = Money.round(stats.totalValue);
+            stats.stockPercentage = Money.round((stats.inStock / stats.count) * 100);
 
             // Handle edge cases
             if (stats.minPrice === Infinity) stats.minPrice = 0;
@@ -86,7 +108,56 @@ class StatsCalculator {
         return categoryStats;
     }
 
-    // Calculate pricing statistics
+    // The ancestor of a category at the given tree depth (the category itself when it is shallower)
+    static rollupCategory(category, depth) {
+        const path = categoryRegistry.path(category);
+        return path[Math.min(depth, path.length) - 1];
+    }
+
+    // Build the category tree with product counts, stock and price ranges rolled up from each subtree
+    static calculateCategoryTree(products) {
+        // Categories no longer in the registry still get a top-level node so their products are counted
+        const slugs = [...new Set([...categoryRegistry.slugs(), ...products.map(p => p.category)])];
+        const isRoot = slug => {
+            const category = categoryRegistry.get(slug);
+            return !category || !category.parent || !categoryRegistry.has(category.parent);
+        };
+
+        const buildNode = slug => {
+            const category = categoryRegistry.get(slug);
+            const ownProducts = products.filter(p => p.category === slug);
+            const children = categoryRegistry.children(slug).map(buildNode);
+            const prices = ownProducts.flatMap(p => ProductVariants.prices(p));
+            const count = ownProducts.length + children.reduce((sum, child) => sum + child.count, 0);
+            const totalValue = ownProducts.reduce((sum, p) => sum + p.price, 0)
+                + children.reduce((sum, child) => sum + child.totalValue, 0);
+            const ranged = children.filter(child => child.count > 0);
+            const min = Math.min(...prices, ...ranged.map(child => child.priceRange.min));
+            const max = Math.max(...prices, ...ranged.map(child => child.priceRange.max));
+
+            return {
+                slug,
+                name: category ? category.name : slug,
+                count,
+                ownCount: ownProducts.length,
+                inStock: ownProducts.filter(p => p.inStock).length + children.reduce((sum, child) => sum + child.inStock, 0),
+                totalValue: Money.round(totalValue),
+                averagePrice: count > 0 ? Money.round(totalValue / count) : 0,
+                priceRange: {
+                    min: count > 0 ? min : 0,
+                    max: count > 0 ? max : 0
+                },
+                children: children.sort((a, b) => b.count - a.count || a.slug.localeCompare(b.slug))
+            };
+        };
+
+        return slugs
+            .filter(isRoot)
+            .map(buildNode)
+            .sort((a, b) => b.count - a.count || a.slug.localeCompare(b.slug));
+    }
+
+    // Calculate pricing statistics over sellable items (each variant at its effective price, or the product itself)
     static calculatePricingStats(products) {
         if (products.length === 0) {
             return {
@@ -95,7 +166,7 @@ class StatsCalculator {
             };
         }
 
-        const prices = products.map(p => p.price).sort((a, b) => a - b);
+        const prices = products.flatMap(p => ProductVariants.prices(p)).sort((a, b) => a - b);
         const totalValue = prices.reduce((sum, price) => sum + price, 0);
 
         // Basic stats
@@ -123,13 +194,13 @@ class StatsCalculator {
         const q3 = prices[q3Index];
 
         return {
-            min: parseFloat(min.toFixed(2)),
-            max: parseFloat(max.toFixed(2)),
-            average: parseFloat(average.toFixed(2)),
-            median: parseFloat(median.toFixed(2)),
+            min: Money.round(min),
+            max: Money.round(max),
+            average: Money.round(average),
+            median: Money.round(median),
             quartiles: {
-                q1: parseFloat(q1.toFixed(2)),
-                q3: parseFloat(q3.toFixed(2))
+                q1: Money.round(q1),
+                q3: Money.round(q3)
             },
             priceRanges: ranges,
             distribution: [
@@ -141,36 +212,72 @@ class StatsCalculator {
         };
     }
 
-    // Calculate inventory statistics
+    // Calculate inventory statistics: units on hand and their value (price x units) overall, per warehouse and per category
     static calculateInventoryStats(products) {
         const totalProducts = products.length;
         const inStockProducts = products.filter(p => p.inStock);
         const outOfStockProducts = products.filter(p => !p.inStock);
+        const lowStockProducts = products.filter(p => StockLedger.isLowStock(p));
 
         // Most/least expensive in stock
         const inStockPrices = inStockProducts.map(p => p.price);
         const mostExpensiveInStock = inStockProducts.find(p => p.price === Math.max(...inStockPrices));
         const cheapestInStock = inStockProducts.find(p => p.price === Math.min(...inStockPrices));
 
-        // Category inventory
+        // Units and stock value per warehouse and per category
+        const warehouseInventory = {};
         const categoryInventory = {};
+        let totalUnits = 0;
+        let stockValue = 0;
+
         products.forEach(product => {
+            const units = ProductRepository.totalStock(product);
+            // Variant units are valued at the variant's effective price
+            const value = ProductVariants.items(product)
+                .reduce((sum, item) => sum + ProductRepository.totalStock(item) * item.price, 0);
+            totalUnits += units;
+            stockValue += value;
+
+            ProductVariants.items(product).forEach(item => {
+                Object.entries(item.stock).forEach(([warehouse, quantity]) => {
+                    if (!warehouseInventory[warehouse]) {
+                        warehouseInventory[warehouse] = { units: 0, stockValue: 0, products: new Set() };
+                    }
+                    warehouseInventory[warehouse].units += quantity;
+                    warehouseInventory[warehouse].stockValue += quantity * item.price;
+                    if (quantity > 0) warehouseInventory[warehouse].products.add(product.id);
+                });
+            });
+
             if (!categoryInventory[product.category]) {
-                categoryInventory[product.category] = { inStock: 0, outOfStock: 0, total: 0 };
+                categoryInventory[product.category] = { inStock: 0, outOfStock: 0, total: 0, units: 0, stockValue: 0 };
             }
-            categoryInventory[product.category].total++;
+            const category = categoryInventory[product.category];
+            category.total++;
+            category.units += units;
+            category.stockValue += value;
             if (product.inStock) {
-                categoryInventory[product.category].inStock++;
+                category.inStock++;
             } else {
-                categoryInventory[product.category].outOfStock++;
+                category.outOfStock++;
             }
         });
 
+        [...Object.values(warehouseInventory), ...Object.values(categoryInventory)].forEach(entry => {
+            entry.stockValue = Money.round(entry.stockValue);
+        });
+        Object.values(warehouseInventory).forEach(entry => {
+            entry.products = entry.products.size;
+        });
+
         return {
             totalProducts,
             inStockCount: inStockProducts.length,
             outOfStockCount: outOfStockProducts.length,
-            stockPercentage: totalProducts > 0 ? parseFloat(((inStockProducts.length / totalProducts) * 100).toFixed(2)) : 0,
+            lowStockCount: lowStockProducts.length,
+            stockPercentage: totalProducts > 0 ? Money.round((inStockProducts.length / totalProducts) * 100) : 0,
+            totalUnits,
+            stockValue: Money.round(stockValue),
             mostExpensiveInStock: mostExpensiveInStock ? {
                 id: mostExpensiveInStock.id,
                 name: mostExpensiveInStock.name,
@@ -183,37 +290,281 @@ class StatsCalculator {
                 price: cheapestInStock.price,
                 category: cheapestInStock.category
             } : null,
+            lowStock: lowStockProducts.map(p => ({
+                id: p.id,
+                name: p.name,
+                units: ProductRepository.totalStock(p),
+                lowStockThreshold: StockLedger.lowStockThreshold(p)
+            })),
+            byWarehouse: warehouseInventory,
             byCategory: categoryInventory
         };
     }
 
-    // Calculate trends (mock data since we don't have time series)
-    static calculateTrends(products) {
-        // Since we don't have historical data, we'll provide mock trends
-        // In a real application, this would analyze time-series data
+    // Calculate trends from the price history over each window (in days). Products are expected in one currency;
+    // the summary fields come from the window closest to statsConfig.summaryTrendWindowDays.
+    static calculateTrends(products, {
+        history = [],
+        windows = statsConfig.trendWindowsDays,
+        currency = currencyConverter.baseCurrency,
+        now = Date.now()
+    } = {}) {
+        // productId -> that product's points, oldest first
+        const pointsByProduct = new Map(products.map(p => [p.id, []]));
+        [...history]
+            .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))
+            .forEach(point => {
+                if (pointsByProduct.has(point.productId)) pointsByProduct.get(point.productId).push(point);
+            });
 
-        const currentTime = new Date();
-        const recentProducts = products.filter(p => {
-            if (p.createdAt) {
-                const createdDate = new Date(p.createdAt);
-                const daysDiff = (currentTime - createdDate) / (1000 * 60 * 60 * 24);
-                return daysDiff <= 30; // Products created in last 30 days
-            }
-            return false;
+        const byWindow = {};
+        windows.forEach(days => {
+            byWindow[`${days}d`] = this.calculateWindowTrends(products, pointsByProduct, days, currency, now);
         });
 
+        const target = statsConfig.summaryTrendWindowDays;
+        const summaryDays = windows.reduce((closest, days) => (Math.abs(days - target) < Math.abs(closest - target) ? days : closest));
+        const summary = byWindow[`${summaryDays}d`];
+        const period = `${summaryDays} day${summaryDays === 1 ? '' : 's'}`;
+
         return {
-            recentlyAdded: recentProducts.length,
+            recentlyAdded: summary.addedProducts,
             popularCategories: this.getPopularCategories(products),
-            priceGrowth: {
-                trend: 'stable', // Could be 'increasing', 'decreasing', 'stable'
-                percentage: 0,
-                period: '30 days'
-            },
-            inventoryTurnover: {
-                rate: 'normal', // Could be 'high', 'normal', 'low'
-                description: 'Based on stock levels and category distribution'
+            priceGrowth: { ...summary.priceGrowth, period },
+            stockOuts: { ...summary.stockOuts, period },
+            byWindow
+        };
+    }
+
+    // Trends over the last `days` days: products added, price growth of the products that existed at the start,
+    // and how often products sold out
+    static calculateWindowTrends(products, pointsByProduct, days, currency, now) {
+        const since = new Date(now - days * DAY_MS).toISOString();
+
+        return {
+            days,
+            since,
+            addedProducts: products.filter(p => p.createdAt && new Date(p.createdAt).toISOString() >= since).length,
+            priceGrowth: this.calculatePriceGrowth(products, pointsByProduct, since, currency),
+            stockOuts: this.calculateStockOuts(products, pointsByProduct, since, days)
+        };
+    }
+
+    // Price change of the basket of products priced at the window start: their prices then against their prices now.
+    // Past prices are converted at today's rates, so exchange rate moves don't count as price changes.
+    static calculatePriceGrowth(products, pointsByProduct, since, currency) {
+        let startTotal = 0;
+        let currentTotal = 0;
+        const counts = { increased: 0, decreased: 0, unchanged: 0 };
+
+        products.forEach(product => {
+            const startPoint = pointsByProduct.get(product.id).filter(point => point.recordedAt <= since).pop();
+            const startCurrency = startPoint && currencyConverter.currencyOf(startPoint);
+            if (!startPoint || !currencyConverter.has(startCurrency)) return;
+
+            const startPrice = currencyConverter.convert(startPoint.price, startCurrency, currency);
+            startTotal += startPrice;
+            currentTotal += product.price;
+
+            if (product.price > startPrice) {
+                counts.increased++;
+            } else if (product.price < startPrice) {
+                counts.decreased++;
+            } else {
+                counts.unchanged++;
+            }
+        });
+
+        const percentage = startTotal > 0 ? Money.round(((currentTotal - startTotal) / startTotal) * 100) : 0;
+
+        return {
+            trend: percentage > 0 ? 'increasing' : percentage < 0 ? 'decreasing' : 'stable',
+            percentage,
+            ...counts,
+            comparedProducts: counts.increased + counts.decreased + counts.unchanged
+        };
+    }
+
+    // Times products went out of stock within the window (an in-stock point followed by an out-of-stock one)
+    static calculateStockOuts(products, pointsByProduct, since, days) {
+        let events = 0;
+        const soldOut = new Set();
+
+        products.forEach(product => {
+            const points = pointsByProduct.get(product.id);
+
+            points.forEach((point, index) => {
+                if (index === 0 || point.recordedAt <= since) return;
+
+                if (points[index - 1].inStock && !point.inStock) {
+                    events++;
+                    soldOut.add(product.id);
+                }
+            });
+        });
+
+        return {
+            events,
+            products: soldOut.size,
+            perWeek: Money.round(events / (days / 7))
+        };
+    }
+
+    // Start (epoch ms, UTC) of the day, week (starting Monday) or month a time falls in
+    static bucketStart(time, interval) {
+        const date = new Date(time);
+        const start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate());
+
+        return interval === 'week' ? start - ((date.getUTCDay() + 6) % 7) * DAY_MS : start;
+    }
+
+    // Start of the bucket `count` intervals after (or, when negative, before) a bucket start
+    static shiftBucket(start, interval, count = 1) {
+        if (interval === 'month') {
+            const date = new Date(start);
+            return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1);
+        }
+
+        return start + count * (interval === 'week' ? 7 : 1) * DAY_MS;
+    }
+
+    // Number of buckets covering from..to, worked out without listing them
+    static bucketCount(from, to, interval) {
+        const first = this.bucketStart(from, interval);
+        const last = this.bucketStart(to, interval);
+
+        if (interval === 'month') {
+            const [a, b] = [new Date(first), new Date(last)];
+            return (b.getUTCFullYear() - a.getUTCFullYear()) * 12 + (b.getUTCMonth() - a.getUTCMonth()) + 1;
+        }
+
+        return Math.round((last - first) / ((interval === 'week' ? 7 : 1) * DAY_MS)) + 1;
+    }
+
+    // Starts of the buckets covering from..to (check bucketCount first for long ranges)
+    static bucketStarts(from, to, interval) {
+        const starts = [];
+        for (let start = this.bucketStart(from, interval); start <= Date.parse(to); start = this.shiftBucket(start, interval)) {
+            starts.push(start);
+        }
+
+        return starts;
+    }
+
+    // Chart-ready series of a metric per day, week or month between from and to (ISO dates), one series for the
+    // catalog or one per category (groupBy "category", rolled up to depth when given). Products are expected in one currency.
+    //   created:   products created in each bucket
+    //   value:     catalog value (sum of list prices) at the end of each bucket, from the price history
+    //   stockouts: times products went out of stock in each bucket
+    static calculateTimeseries(products, history, {
+        metric,
+        interval,
+        from,
+        to,
+        groupBy = null,
+        depth = null,
+        currency = currencyConverter.baseCurrency
+    }) {
+        const starts = this.bucketStarts(from, to, interval);
+        const fromTime = Date.parse(from);
+        const toTime = Date.parse(to);
+        const seriesKey = product => (groupBy === 'category'
+            ? (depth ? this.rollupCategory(product.category, depth) : product.category)
+            : 'all');
+
+        // productId -> that product's points, oldest first
+        const pointsByProduct = new Map(products.map(p => [p.id, []]));
+        [...history]
+            .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt))
+            .forEach(point => {
+                if (pointsByProduct.has(point.productId)) pointsByProduct.get(point.productId).push(point);
+            });
+
+        // series key -> one value per bucket (the catalog series is there even without products)
+        const series = new Map(groupBy ? [] : [['all', starts.map(() => 0)]]);
+        products.forEach(product => {
+            if (!series.has(seriesKey(product))) series.set(seriesKey(product), starts.map(() => 0));
+        });
+
+        // Index of the bucket a time falls in (-1 when outside from..to)
+        const bucketIndex = time => {
+            if (time < fromTime || time > toTime) return -1;
+            return starts.indexOf(this.bucketStart(time, interval));
+        };
+
+        products.forEach(product => {
+            const values = series.get(seriesKey(product));
+            const points = pointsByProduct.get(product.id);
+            const createdAt = product.createdAt ? Date.parse(product.createdAt) : null;
+
+            if (metric === 'created') {
+                const index = createdAt === null ? -1 : bucketIndex(createdAt);
+                if (index >= 0) values[index]++;
+            }
+
+            if (metric === 'stockouts') {
+                points.forEach((point, index) => {
+                    const bucket = index > 0 && points[index - 1].inStock && !point.inStock
+                        ? bucketIndex(Date.parse(point.recordedAt))
+                        : -1;
+                    if (bucket >= 0) values[bucket]++;
+                });
+            }
+
+            if (metric === 'value') {
+                starts.forEach((start, index) => {
+                    const end = Math.min(this.shiftBucket(start, interval) - 1, toTime);
+                    if (createdAt === null || createdAt > end) return;
+
+                    // Latest recorded price by the end of the bucket; products without one (recorded before price
+                    // history was kept, or priced in a currency without a rate) count at their current price
+                    const endIso = new Date(end).toISOString();
+                    const point = points.filter(p => p.recordedAt <= endIso).pop();
+                    const pointCurrency = point && currencyConverter.currencyOf(point);
+                    values[index] += point && currencyConverter.has(pointCurrency)
+                        ? currencyConverter.convert(point.price, pointCurrency, currency)
+                        : product.price;
+                });
             }
+        });
+
+        return {
+            metric,
+            interval,
+            from,
+            to,
+            groupBy,
+            ...(metric === 'value' && { currency }),
+            labels: starts.map(start => new Date(start).toISOString()),
+            series: [...series.entries()]
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([name, values]) => (metric === 'value'
+                    ? { name, values: values.map(value => Money.round(value)) }
+                    : { name, values, total: values.reduce((sum, value) => sum + value, 0) }))
+        };
+    }
+
+    // Get other products from the same category
+    static getRelatedProducts(product, products, limit = 3) {
+        return products
+            .filter(p => p.id !== product.id && p.category === product.category)
+            .slice(0, limit)
+            .map(p => ({ id: p.id, name: p.name, price: p.price }));
+    }
+
+    // Compare a product's price against the catalog and its category
+    static calculatePriceComparison(product, products) {
+        const categoryProducts = products.filter(p => p.category === product.category);
+        const catalogAverage = products.length > 0
+            ? products.reduce((sum, p) => sum + p.price, 0) / products.length
+            : 0;
+        const categoryAverage = categoryProducts.length > 0
+            ? categoryProducts.reduce((sum, p) => sum + p.price, 0) / categoryProducts.length
+            : 0;
+
+        return {
+            isAboveAverage: product.price > catalogAverage,
+            categoryAverage: Money.round(categoryAverage)
         };
     }
 
@@ -0,0 +1,243 @@
+// utils/stockLedger.js - Stock movements (receive, sell, adjust, transfer) and reservations applied to products,
+// with every movement recorded in a ledger
+
+const { ErrorFactory } = require('../errors');
+const ProductRepository = require('../repositories/ProductRepository');
+const StockMovementRepository = require('../repositories/StockMovementRepository');
+const { inventoryConfig } = require('../config/inventoryConfig');
+const { requestContext } = require('./requestContext');
+const { ProductVariants } = require('./productVariants');
+
+const STOCK_MOVEMENT_TYPES = ['receive', 'sell', 'adjust', 'transfer'];
+const RESERVATION_STATUSES = ['active', 'confirmed', 'released', 'expired'];
+
+class StockLedger {
+    constructor(productRepository, movementRepository, reservationRepository) {
+        this.productRepository = productRepository;
+        this.movementRepository = movementRepository;
+        this.reservationRepository = reservationRepository;
+    }
+
+    // Units at or below which the product counts as low on stock
+    static lowStockThreshold(product) {
+        return Number.isInteger(product.lowStockThreshold)
+            ? product.lowStockThreshold
+            : inventoryConfig.defaultLowStockThreshold;
+    }
+
+    // Whether a product's total stock is at or below its threshold
+    static isLowStock(product) {
+        return ProductRepository.totalStock(product) <= StockLedger.lowStockThreshold(product);
+    }
+
+    // Units per warehouse that are not held by reservations
+    static availability(stock, held) {
+        const warehouses = new Set([...Object.keys(stock), ...Object.keys(held)]);
+        return Object.fromEntries([...warehouses].map(warehouse => [
+            warehouse,
+            Math.max((stock[warehouse] || 0) - (held[warehouse] || 0), 0)
+        ]));
+    }
+
+    // The variant a movement or reservation applies to. Products with variants need a SKU; other products take none.
+    static resolveVariant(product, sku) {
+        if (!ProductVariants.hasVariants(product)) {
+            if (sku) {
+                throw ErrorFactory.validation('Product has no variants', [`Remove sku "${sku}" for this product`], 'sku');
+            }
+            return null;
+        }
+
+        if (!sku) {
+            throw ErrorFactory.validation(
+                'A variant SKU is required for products with variants',
+                [`sku must be one of: ${product.variants.map(variant => variant.sku).join(', ')}`],
+                'sku'
+            );
+        }
+
+        const variant = ProductVariants.find(product, sku);
+        if (!variant) {
+            throw ErrorFactory.notFound('Variant', sku);
+        }
+
+        return variant;
+    }
+
+    // Per-warehouse quantity changes a movement makes; units can only be taken from what is available
+    static plan(productId, stock, held, { type, quantity, warehouse, from, to }) {
+        const changes = type === 'transfer'
+            ? [{ warehouse: from, delta: -quantity }, { warehouse: to, delta: quantity }]
+            : [{ warehouse, delta: type === 'sell' ? -quantity : quantity }];
+
+        return changes.map(change => {
+            const onHand = stock[change.warehouse] || 0;
+            const available = onHand - (held[change.warehouse] || 0);
+
+            if (change.delta < 0 && available + change.delta < 0) {
+                throw ErrorFactory.insufficientStock(productId, change.warehouse, -change.delta, Math.max(available, 0));
+            }
+
+            return { ...change, balance: onHand + change.delta };
+        });
+    }
+
+    // Run a task under the product's write lock (shared with every other product write), so concurrent
+    // requests cannot sell or reserve the same units twice or overwrite a stock change they read before it.
+    // Across instances sharing a JSON store only the stock change is protected (by its version check); two
+    // instances can still each reserve the same available units.
+    withProductLock(productId, task) {
+        return this.productRepository.withLock(productId, task);
+    }
+
+    // Apply a validated movement to a product and append it to the ledger
+    async record(productId, movement) {
+        return this.withProductLock(productId, () => this.apply(productId, movement));
+    }
+
+    // Apply a movement; the caller must hold the product lock.
+    // A sale that fulfils a reservation passes its reservationId so the units it holds count as available.
+    async apply(productId, movement) {
+        const product = await this.productRepository.findById(productId);
+        if (!product) {
+            throw ErrorFactory.notFound('Product', productId);
+        }
+
+        const variant = StockLedger.resolveVariant(product, movement.sku);
+        const current = (variant ? variant.stock : product.stock) || {};
+        const held = await this.reservationRepository.heldUnits(productId, {
+            sku: variant ? variant.sku : undefined,
+            exclude: movement.reservationId
+        });
+        const changes = StockLedger.plan(productId, current, held, movement);
+        const itemStock = { ...current };
+        changes.forEach(change => {
+            itemStock[change.warehouse] = change.balance;
+        });
+
+        // A variant's stock changes and the product's stock is the total of its variants
+        const variants = variant
+            ? product.variants.map(candidate => (candidate.sku === variant.sku ? { ...candidate, stock: itemStock } : candidate))
+            : undefined;
+        const stock = variants ? ProductVariants.aggregateStock(variants) : itemStock;
+
+        // The product is written before the ledger entry, so a write refused because another instance changed
+        // the product meanwhile leaves no entry behind
+        const context = requestContext.get() || {};
+        const movementId = StockMovementRepository.newId();
+        requestContext.annotate({ auditDetails: { stockMovementId: movementId } });
+        const updated = await this.productRepository.setStock(productId, stock, variants, { basedOn: product });
+
+        const entry = await this.movementRepository.record({
+            ...movement,
+            id: movementId,
+            productId,
+            sku: variant ? variant.sku : null,
+            changes,
+            requestId: context.requestId || null,
+            actor: context.actor || null
+        });
+
+        return { movement: entry, product: updated };
+    }
+
+    // Current on-hand, reserved and available units per warehouse of a product (or of one of its variants)
+    async availabilityOf(product, sku = undefined) {
+        const variant = sku ? ProductVariants.find(product, sku) : null;
+        const stock = (variant ? variant.stock : product.stock) || {};
+        const held = await this.reservationRepository.heldUnits(product.id, { sku: variant ? variant.sku : undefined });
+
+        return { stock, reserved: held, available: StockLedger.availability(stock, held) };
+    }
+
+    // Hold units for a checkout. Without a warehouse, the one with the most available units is used.
+    async reserve(productId, { quantity, warehouse = null, ttlSeconds, reference = null, sku = null }) {
+        return this.withProductLock(productId, async () => {
+            const product = await this.productRepository.findById(productId);
+            if (!product) {
+                throw ErrorFactory.notFound('Product', productId);
+            }
+
+            const variant = StockLedger.resolveVariant(product, sku);
+            const { available } = await this.availabilityOf(product, variant ? variant.sku : undefined);
+            const [bestWarehouse] = Object.entries(available).sort(([, a], [, b]) => b - a)[0]
+                || [inventoryConfig.warehouses[0]];
+            const target = warehouse || bestWarehouse;
+
+            if ((available[target] || 0) < quantity) {
+                throw ErrorFactory.insufficientStock(productId, target, quantity, available[target] || 0);
+            }
+
+            const context = requestContext.get() || {};
+            const reservation = await this.reservationRepository.create({
+                productId,
+                sku: variant ? variant.sku : null,
+                warehouse: target,
+                quantity,
+                reference,
+                expiresAt: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+                requestId: context.requestId || null,
+                actor: context.actor || null
+            });
+
+            return { reservation, availability: await this.availabilityOf(product, reservation.sku || undefined) };
+        });
+    }
+
+    // Turn an active reservation into a sale of its units
+    async confirm(reservationId) {
+        return this.settle(reservationId, async reservation => {
+            const { movement, product } = await this.apply(reservation.productId, {
+                type: 'sell',
+                quantity: reservation.quantity,
+                warehouse: reservation.warehouse,
+                sku: reservation.sku || null,
+                reason: `Reservation ${reservation.id}${reservation.reference ? ` (${reservation.reference})` : ''}`,
+                reservationId: reservation.id
+            });
+
+            const confirmed = await this.reservationRepository.setStatus(reservation.id, 'confirmed', { movementId: movement.id });
+            return { reservation: confirmed, movement, product };
+        });
+    }
+
+    // Give an active reservation's units back without selling them
+    async release(reservationId) {
+        return this.settle(reservationId, async reservation => {
+            const released = await this.reservationRepository.setStatus(reservation.id, 'released');
+            return { reservation: released };
+        });
+    }
+
+    // Run a confirm/release step for a reservation that is still active, under its product's lock
+    async settle(reservationId, step) {
+        const found = await this.reservationRepository.findById(reservationId);
+        if (!found) {
+            throw ErrorFactory.notFound('Reservation', reservationId);
+        }
+
+        return this.withProductLock(found.productId, async () => {
+            const reservation = await this.reservationRepository.findById(reservationId);
+
+            if (reservation.status !== 'active') {
+                throw ErrorFactory.conflict(
+                    `Reservation is ${reservation.status} and can no longer be confirmed or released`,
+                    { reservationId, status: reservation.status }
+                );
+            }
+
+            return step(reservation);
+        });
+    }
+
+    // Mark reservations past their expiry as expired (their units are already available again)
+    async expireReservations(now = Date.now()) {
+        return this.reservationRepository.expireStale(now);
+    }
+}
+
+module.exports = {
+    StockLedger,
+    STOCK_MOVEMENT_TYPES,
+    RESERVATION_STATUSES
+};
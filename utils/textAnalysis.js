@@ -0,0 +1,171 @@
+// utils/textAnalysis.js - Tokenization and stemming for full-text search
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+    'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+const TOKEN_PATTERN = /[a-z0-9]+/g;
+
+class TextAnalyzer {
+    // Split text into lowercase tokens with their character offsets
+    static tokenize(text) {
+        const tokens = [];
+        const source = String(text || '').toLowerCase();
+        let match;
+
+        TOKEN_PATTERN.lastIndex = 0;
+        while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+            tokens.push({ token: match[0], start: match.index, end: match.index + match[0].length });
+        }
+
+        return tokens;
+    }
+
+    // Tokenize, drop stop words and stem; returns terms with their offsets
+    static analyze(text) {
+        return this.tokenize(text)
+            .filter(({ token }) => !STOP_WORDS.has(token))
+            .map(entry => ({ ...entry, term: this.stem(entry.token) }));
+    }
+
+    // Analyze text and return the list of terms only
+    static terms(text) {
+        return this.analyze(text).map(entry => entry.term);
+    }
+
+    // Edit distance (Damerau-Levenshtein, optimal string alignment); stops early past maxDistance
+    static editDistance(a, b, maxDistance = Infinity) {
+        if (a === b) return 0;
+        if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + cost
+                );
+
+                // Adjacent transposition (e.g. "labtpo" -> "labtop")
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+                }
+
+                rowMin = Math.min(rowMin, current[j]);
+            }
+
+            if (rowMin > maxDistance) return maxDistance + 1;
+
+            previousPrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    // Similarity between two words from 0 (unrelated) to 1 (identical)
+    static similarity(a, b) {
+        const longest = Math.max(a.length, b.length);
+        if (longest === 0) return 1;
+
+        return 1 - this.editDistance(a, b) / longest;
+    }
+
+    // Check whether a character is a consonant at position i (Porter definition)
+    static isConsonant(word, i) {
+        const ch = word[i];
+        if ('aeiou'.includes(ch)) return false;
+        if (ch === 'y') return i === 0 ? true : !this.isConsonant(word, i - 1);
+        return true;
+    }
+
+    // Porter "measure": number of vowel-consonant sequences in a stem
+    static measure(stem) {
+        let m = 0;
+        let previousVowel = false;
+
+        for (let i = 0; i < stem.length; i++) {
+            const consonant = this.isConsonant(stem, i);
+            if (consonant && previousVowel) m++;
+            previousVowel = !consonant;
+        }
+
+        return m;
+    }
+
+    static containsVowel(stem) {
+        for (let i = 0; i < stem.length; i++) {
+            if (!this.isConsonant(stem, i)) return true;
+        }
+        return false;
+    }
+
+    static endsWithDoubleConsonant(word) {
+        const n = word.length;
+        return n >= 2 && word[n - 1] === word[n - 2] && this.isConsonant(word, n - 1);
+    }
+
+    // consonant-vowel-consonant ending where the last consonant is not w, x or y
+    static endsWithCvc(word) {
+        const n = word.length;
+        return n >= 3 &&
+            this.isConsonant(word, n - 3) &&
+            !this.isConsonant(word, n - 2) &&
+            this.isConsonant(word, n - 1) &&
+            !'wxy'.includes(word[n - 1]);
+    }
+
+    // Light stemmer: Porter step 1 (plurals, -ed/-ing, terminal y)
+    static stem(word) {
+        if (word.length <= 2 || /^[0-9]/.test(word)) return word;
+
+        let w = word;
+
+        // Step 1a - plurals
+        if (w.endsWith('sses')) w = w.slice(0, -2);
+        else if (w.endsWith('ies')) w = w.slice(0, -2);
+        else if (!w.endsWith('ss') && w.endsWith('s')) w = w.slice(0, -1);
+
+        // Step 1b - past tense and gerunds
+        let stripped = false;
+        if (w.endsWith('eed')) {
+            if (this.measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+        } else if (w.endsWith('ed') && this.containsVowel(w.slice(0, -2))) {
+            w = w.slice(0, -2);
+            stripped = true;
+        } else if (w.endsWith('ing') && this.containsVowel(w.slice(0, -3))) {
+            w = w.slice(0, -3);
+            stripped = true;
+        }
+
+        if (stripped) {
+            if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+                w += 'e';
+            } else if (this.endsWithDoubleConsonant(w) && !'lsz'.includes(w[w.length - 1])) {
+                w = w.slice(0, -1);
+            } else if (this.measure(w) === 1 && this.endsWithCvc(w)) {
+                w += 'e';
+            }
+        }
+
+        // Step 1c - terminal y
+        if (w.endsWith('y') && this.containsVowel(w.slice(0, -1))) {
+            w = w.slice(0, -1) + 'i';
+        }
+
+        return w;
+    }
+}
+
+module.exports = {
+    TextAnalyzer,
+    STOP_WORDS
+};
@@ -0,0 +1,134 @@
+// utils/tokenService.js - Access/refresh token issuing, refresh rotation and revocation
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const JsonWebToken = require('./jwt');
+const { authConfig } = require('../config/authConfig');
+
+class TokenService {
+    constructor(options = authConfig.jwt) {
+        this.issuer = options.issuer;
+        this.accessTokenTtl = options.accessTokenTtl;
+        this.refreshTokenTtl = options.refreshTokenTtl;
+
+        if (options.secret) {
+            this.secret = options.secret;
+        } else {
+            // Tokens won't survive a restart or be shared across instances without JWT_SECRET
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.warn('⚠️  JWT_SECRET is not set - using a random per-process signing secret');
+        }
+
+        // Revoked token IDs (jti -> exp), kept until the token would have expired anyway
+        this.revokedTokens = new Map();
+        // Outstanding refresh tokens (jti -> { keyId, exp })
+        this.refreshTokens = new Map();
+    }
+
+    // Issue an access/refresh token pair for an API key record
+    issueTokens(keyRecord) {
+        this.cleanup();
+
+        const claims = {
+            iss: this.issuer,
+            sub: keyRecord.owner,
+            kid: keyRecord.id,
+            role: keyRecord.role,
+            permissions: keyRecord.permissions
+        };
+
+        const accessToken = JsonWebToken.sign(
+            { ...claims, type: 'access', jti: uuidv4() },
+            this.secret,
+            this.accessTokenTtl
+        );
+
+        const refreshJti = uuidv4();
+        const refreshToken = JsonWebToken.sign(
+            { iss: this.issuer, sub: keyRecord.owner, kid: keyRecord.id, type: 'refresh', jti: refreshJti },
+            this.secret,
+            this.refreshTokenTtl
+        );
+
+        this.refreshTokens.set(refreshJti, {
+            keyId: keyRecord.id,
+            exp: Math.floor(Date.now() / 1000) + this.refreshTokenTtl
+        });
+
+        return {
+            tokenType: 'Bearer',
+            accessToken,
+            expiresIn: this.accessTokenTtl,
+            refreshToken,
+            refreshExpiresIn: this.refreshTokenTtl
+        };
+    }
+
+    // Verify a token of the expected type, checking signature, expiry, issuer and revocation
+    verify(token, expectedType = 'access') {
+        const result = JsonWebToken.verify(token, this.secret);
+
+        if (!result.valid) {
+            return { status: result.reason === 'EXPIRED' ? 'expired' : 'invalid', payload: null };
+        }
+
+        const { payload } = result;
+
+        if (payload.iss !== this.issuer || payload.type !== expectedType || !payload.jti) {
+            return { status: 'invalid', payload: null };
+        }
+
+        if (this.revokedTokens.has(payload.jti)) {
+            return { status: 'revoked', payload };
+        }
+
+        if (expectedType === 'refresh' && !this.refreshTokens.has(payload.jti)) {
+            // Unknown or already-used refresh token
+            return { status: 'revoked', payload };
+        }
+
+        return { status: 'valid', payload };
+    }
+
+    // Revoke a verified token (access or refresh); refresh tokens are also revoked once used
+    revoke(payload) {
+        this.revokedTokens.set(payload.jti, payload.exp);
+        this.refreshTokens.delete(payload.jti);
+    }
+
+    // Revoke every outstanding refresh token issued for an API key
+    revokeAllForKey(keyId) {
+        let revoked = 0;
+
+        this.refreshTokens.forEach((entry, jti) => {
+            if (entry.keyId === keyId) {
+                this.revokedTokens.set(jti, entry.exp);
+                this.refreshTokens.delete(jti);
+                revoked++;
+            }
+        });
+
+        return revoked;
+    }
+
+    // Drop revocation entries and refresh tokens that have expired
+    cleanup() {
+        const now = Math.floor(Date.now() / 1000);
+
+        this.revokedTokens.forEach((exp, jti) => {
+            if (exp <= now) this.revokedTokens.delete(jti);
+        });
+
+        this.refreshTokens.forEach((entry, jti) => {
+            if (entry.exp <= now) this.refreshTokens.delete(jti);
+        });
+    }
+}
+
+// Create singleton instance
+const tokenService = new TokenService();
+
+module.exports = {
+    TokenService,
+    tokenService
+};